@@ -0,0 +1,192 @@
+/**
+ * Evolve-UI Embedding Cache
+ *
+ * Least-recently-used cache of embedding vectors, keyed by a SHA-256 hash of
+ * the model and text. Vectors are stored on disk in a binary log: new entries
+ * are appended, so a save costs only what changed, and the log is rewritten
+ * in recency order once it holds twice as many records as the cache keeps.
+ */
+
+import fs from 'fs/promises';
+
+const MAGIC = 'EVEC';
+const FORMAT_VERSION = 1;
+const HEADER_BYTES = 8;
+const KEY_BYTES = 32;
+const SAVE_DELAY_MS = 2000;
+
+/**
+ * Encode entries as log records.
+ * Record layout (little-endian): key (32 bytes), u32 model byte length,
+ * model (UTF-8), u32 dim, f32 vector[dim].
+ * @param {Array<[string, Object]>} entries - [hex key, { model, vector }] pairs
+ * @returns {Buffer} Records
+ */
+function encodeRecords(entries) {
+  const records = entries.map(([key, { model, vector }]) => {
+    const modelBytes = Buffer.from(model, 'utf-8');
+    const record = Buffer.alloc(KEY_BYTES + 8 + modelBytes.length + vector.length * 4);
+    Buffer.from(key, 'hex').copy(record, 0);
+    let offset = KEY_BYTES;
+    record.writeUInt32LE(modelBytes.length, offset);
+    modelBytes.copy(record, offset + 4);
+    offset += 4 + modelBytes.length;
+    record.writeUInt32LE(vector.length, offset);
+    Buffer.from(Float32Array.from(vector).buffer).copy(record, offset + 4);
+    return record;
+  });
+  return Buffer.concat(records);
+}
+
+function fileHeader() {
+  const header = Buffer.alloc(HEADER_BYTES);
+  header.write(MAGIC, 0, 'ascii');
+  header.writeUInt32LE(FORMAT_VERSION, 4);
+  return header;
+}
+
+export class EmbeddingCache {
+  /**
+   * @param {Object} options - { file: log path, maxEntries, onError(error) for failed saves }
+   */
+  constructor({ file, maxEntries = 2000, onError = () => {} }) {
+    this.file = file;
+    this.maxEntries = maxEntries;
+    this.onError = onError;
+    // key -> { model, dimension, vector }, in least-recently-used order
+    this.entries = new Map();
+    // Keys added since the last save
+    this.pending = new Set();
+    // Records in the log file, including superseded and evicted ones
+    this.records = 0;
+    this.needsCompaction = false;
+    this.loading = null;
+    this.saveTimer = null;
+    // Saves run one after another, so appends never interleave with a rewrite
+    this.saving = Promise.resolve();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  load() {
+    this.loading ||= this.readLog();
+    return this.loading;
+  }
+
+  async readLog() {
+    let buffer;
+    try {
+      buffer = await fs.readFile(this.file);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    if (buffer.length < HEADER_BYTES || buffer.toString('ascii', 0, 4) !== MAGIC ||
+      buffer.readUInt32LE(4) !== FORMAT_VERSION) {
+      this.needsCompaction = true;
+      return;
+    }
+
+    let offset = HEADER_BYTES;
+    while (offset < buffer.length) {
+      // A record cut short by a crash ends the log; the next save rewrites it
+      if (offset + KEY_BYTES + 4 > buffer.length) break;
+      const key = buffer.toString('hex', offset, offset + KEY_BYTES);
+      const modelLength = buffer.readUInt32LE(offset + KEY_BYTES);
+      const dimOffset = offset + KEY_BYTES + 4 + modelLength;
+      if (dimOffset + 4 > buffer.length) break;
+      const dimension = buffer.readUInt32LE(dimOffset);
+      const end = dimOffset + 4 + dimension * 4;
+      if (end > buffer.length) break;
+
+      const model = buffer.toString('utf-8', offset + KEY_BYTES + 4, dimOffset);
+      const start = buffer.byteOffset + dimOffset + 4;
+      const vector = Array.from(new Float32Array(buffer.buffer.slice(start, start + dimension * 4)));
+      // Later records supersede earlier ones and count as more recent
+      this.entries.delete(key);
+      this.entries.set(key, { model, dimension, vector });
+      this.records++;
+      offset = end;
+    }
+    if (offset < buffer.length) this.needsCompaction = true;
+    this.evict();
+  }
+
+  /**
+   * Look up a vector and mark it as recently used
+   * @param {string} key - Hex SHA-256 key
+   * @returns {Object|undefined} { model, dimension, vector }
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    // Re-insert so the Map's insertion order tracks recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Store a vector; it is written to disk with the next scheduled save
+   * @param {string} key - Hex SHA-256 key
+   * @param {Object} entry - { model, dimension, vector }
+   */
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.pending.add(key);
+    this.evict();
+    this.scheduleSave();
+  }
+
+  evict() {
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries) break;
+      this.entries.delete(key);
+      this.pending.delete(key);
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saving = this.saving.then(() => this.save()).catch(this.onError);
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Append pending entries, or rewrite the log when it has grown too large
+   */
+  async save() {
+    const pending = [...this.pending].filter(key => this.entries.has(key));
+    this.pending.clear();
+    try {
+      await this.write(pending);
+    } catch (error) {
+      // The log may now end in a partial record
+      this.needsCompaction = true;
+      throw error;
+    }
+  }
+
+  async write(pending) {
+    if (this.needsCompaction || this.records === 0 || this.records + pending.length > this.maxEntries * 2) {
+      const entries = [...this.entries];
+      const tmp = `${this.file}.tmp`;
+      await fs.writeFile(tmp, Buffer.concat([fileHeader(), encodeRecords(entries)]));
+      await fs.rename(tmp, this.file);
+      this.records = entries.length;
+      this.needsCompaction = false;
+      return;
+    }
+
+    if (pending.length === 0) return;
+    await fs.appendFile(this.file, encodeRecords(pending.map(key => [key, this.entries.get(key)])));
+    this.records += pending.length;
+  }
+}
@@ -0,0 +1,589 @@
+/**
+ * Evolve-UI Document Extractors
+ *
+ * Turns uploaded files into plain text. Each extractor registers the MIME
+ * types and extensions it handles plus a content check (magic bytes, or the
+ * entries of a ZIP container), and the content check wins over whatever the
+ * client claimed. Extractors return sections (pages, sheets, chapters) so the
+ * boundaries survive into the extracted text. Files that look binary but match
+ * no extractor are rejected instead of being decoded as mojibake.
+ */
+
+import path from 'path';
+import * as cheerio from 'cheerio';
+import yauzl from 'yauzl';
+
+// Extracted text beyond this many characters is cut off and flagged
+export const MAX_EXTRACTED_CHARS = 2000000;
+// ZIP-based formats: refuse archives that would expand past these sizes
+const MAX_ZIP_ENTRY_BYTES = 50 * 1024 * 1024;
+const MAX_ZIP_TOTAL_BYTES = 200 * 1024 * 1024;
+// Spreadsheets can declare millions of repeated empty cells
+const MAX_SHEET_ROWS = 100000;
+const MAX_SHEET_COLUMNS = 1024;
+
+// Signatures of common binary files that no extractor handles
+const BINARY_SIGNATURES = [
+  { label: 'PNG image', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { label: 'JPEG image', bytes: [0xff, 0xd8, 0xff] },
+  { label: 'GIF image', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { label: 'WebP image', bytes: [0x52, 0x49, 0x46, 0x46], at: 0, also: { bytes: [0x57, 0x45, 0x42, 0x50], at: 8 } },
+  { label: 'MP4 video', bytes: [0x66, 0x74, 0x79, 0x70], at: 4 },
+  { label: 'Ogg media', bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { label: 'MP3 audio', bytes: [0x49, 0x44, 0x33] },
+  { label: 'gzip archive', bytes: [0x1f, 0x8b] },
+  { label: '7-Zip archive', bytes: [0x37, 0x7a, 0xbc, 0xaf] },
+  { label: 'RAR archive', bytes: [0x52, 0x61, 0x72, 0x21] },
+  { label: 'ELF executable', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { label: 'SQLite database', bytes: [0x53, 0x51, 0x4c, 0x69, 0x74, 0x65, 0x20, 0x66] },
+  { label: 'legacy Office document (save it as .docx or .xlsx)', bytes: [0xd0, 0xcf, 0x11, 0xe0] }
+];
+
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+
+// Images vision models accept; these are attachments, not text to extract
+const IMAGE_TYPES = [
+  { mimeType: 'image/png', extension: 'png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', extension: 'jpg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/webp', extension: 'webp', bytes: [0x52, 0x49, 0x46, 0x46], webp: true }
+];
+
+const extractors = [];
+
+/**
+ * Add an extractor. Later registrations take precedence, so a plugin can
+ * override a built-in format.
+ * @param {Object} extractor - Extractor definition
+ * @param {string} extractor.format - Short format name reported to clients
+ * @param {string[]} [extractor.mimeTypes] - MIME types the format is declared as
+ * @param {string[]} [extractor.extensions] - File extensions, with the dot
+ * @param {function(Buffer): boolean} [extractor.magic] - Matches raw bytes
+ * @param {function(Object): boolean} [extractor.zip] - Matches a ZIP container by its entries
+ * @param {function(string): boolean} [extractor.sniff] - Matches decoded text
+ * @param {function(Object): Promise<Array<{title: string|null, text: string}>>} extractor.extract -
+ *   Receives { buffer, text, zip, filename, mimeType } and returns sections
+ */
+export function registerExtractor(extractor) {
+  if (!extractor?.format || typeof extractor.extract !== 'function') {
+    throw new Error('Extractor needs a format and an extract function');
+  }
+  extractors.unshift({ mimeTypes: [], extensions: [], ...extractor });
+}
+
+export function listExtractors() {
+  return extractors.map(({ format, mimeTypes, extensions }) => ({ format, mimeTypes, extensions }));
+}
+
+function startsWith(buffer, bytes, at = 0) {
+  if (buffer.length < at + bytes.length) return false;
+  return bytes.every((byte, i) => buffer[at + i] === byte);
+}
+
+/**
+ * Identify a PNG, JPEG or WebP image from its magic bytes
+ * @param {Buffer} buffer - File contents (the first 12 bytes are enough)
+ * @returns {{ mimeType: string, extension: string }|null} Image type, or null
+ */
+export function detectImageType(buffer) {
+  const match = IMAGE_TYPES.find(type =>
+    startsWith(buffer, type.bytes) && (!type.webp || startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8))
+  );
+  return match ? { mimeType: match.mimeType, extension: match.extension } : null;
+}
+
+function binarySignature(buffer) {
+  const match = BINARY_SIGNATURES.find(sig =>
+    startsWith(buffer, sig.bytes, sig.at || 0) && (!sig.also || startsWith(buffer, sig.also.bytes, sig.also.at))
+  );
+  return match?.label || null;
+}
+
+/**
+ * Decode text, honoring byte order marks. Returns null when the bytes look
+ * binary: NUL bytes, or mostly control characters after decoding.
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} Decoded text
+ */
+export function decodeText(buffer) {
+  if (startsWith(buffer, [0xef, 0xbb, 0xbf])) return buffer.subarray(3).toString('utf-8');
+  if (startsWith(buffer, [0xff, 0xfe])) return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+  if (startsWith(buffer, [0xfe, 0xff])) return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+
+  if (buffer.subarray(0, 8192).includes(0)) return null;
+
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    text = new TextDecoder('windows-1252').decode(buffer);
+  }
+
+  const sample = text.slice(0, 8192);
+  let control = 0;
+  for (let i = 0; i < sample.length; i++) {
+    const code = sample.charCodeAt(i);
+    if ((code < 0x20 && code !== 0x09 && code !== 0x0a && code !== 0x0d && code !== 0x0c) || code === 0x7f) control++;
+  }
+  return sample.length > 0 && control / sample.length > 0.1 ? null : text;
+}
+
+/**
+ * Tidy extracted text: trim lines, collapse runs of spaces and blank lines
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\f\v\u00a0]+/g, ' ')
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Elements that end a line, and those that also get a blank line before them
+const HTML_BLOCKS = 'address, article, aside, blockquote, dd, div, dl, dt, figcaption, figure, footer, ' +
+  'form, h1, h2, h3, h4, h5, h6, header, hr, li, main, nav, ol, p, pre, section, table, tr, ul';
+const HTML_PARAGRAPHS = 'blockquote, h1, h2, h3, h4, h5, h6, ol, p, pre, table, ul';
+
+/**
+ * Convert HTML to readable text, keeping block structure as line breaks
+ * @param {string} html - HTML or XHTML source
+ * @returns {{ title: string|null, text: string }} Document title and text
+ */
+export function htmlToText(html) {
+  const $ = cheerio.load(html);
+  const title = $('title').first().text().trim() || null;
+  $('head, script, style, noscript, template, svg, iframe, object, embed').remove();
+  $('br').replaceWith('\n');
+  $('li').each((_, el) => { $(el).prepend('- '); });
+  $('td, th').each((_, el) => { $(el).append(' '); });
+  $(HTML_BLOCKS).after('\n');
+  $(HTML_PARAGRAPHS).before('\n');
+  const root = $('body').length ? $('body') : $.root();
+  return { title, text: normalizeText(root.text()) };
+}
+
+/**
+ * Open a ZIP container held in memory. Declared entry sizes are checked up
+ * front (yauzl verifies them while inflating), which stops zip bombs before
+ * anything is decompressed.
+ * @param {Buffer} buffer - Archive bytes
+ * @returns {Promise<{ names: Set<string>, read: function(string): Promise<string|null>, close: function() }>}
+ */
+function openZip(buffer) {
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true, autoClose: false }, (openError, zip) => {
+      if (openError) return reject(new Error(`Invalid ZIP container: ${openError.message}`));
+      const entries = new Map();
+      let total = 0;
+
+      zip.on('error', reject);
+      zip.on('entry', entry => {
+        if (!entry.fileName.endsWith('/')) {
+          total += entry.uncompressedSize;
+          if (entry.uncompressedSize > MAX_ZIP_ENTRY_BYTES || total > MAX_ZIP_TOTAL_BYTES) {
+            zip.close();
+            return reject(new Error('Archive expands beyond the size limit'));
+          }
+          entries.set(entry.fileName, entry);
+        }
+        zip.readEntry();
+      });
+      zip.on('end', () => resolve({
+        names: new Set(entries.keys()),
+        read: name => new Promise((resolveEntry, rejectEntry) => {
+          const entry = entries.get(name);
+          if (!entry) return resolveEntry(null);
+          zip.openReadStream(entry, (streamError, stream) => {
+            if (streamError) return rejectEntry(streamError);
+            const parts = [];
+            stream.on('data', part => parts.push(part));
+            stream.on('error', rejectEntry);
+            stream.on('end', () => resolveEntry(Buffer.concat(parts).toString('utf-8')));
+          });
+        }),
+        close: () => zip.close()
+      }));
+      zip.readEntry();
+    });
+  });
+}
+
+/**
+ * Quote a value for CSV when it contains a separator, quote or line break
+ * @param {string} value - Cell value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Render rows as CSV, dropping trailing empty cells and rows
+ * @param {string[][]} rows - Cell values
+ * @returns {string} CSV text
+ */
+function rowsToCsv(rows) {
+  const lines = rows.map(row => {
+    const cells = [...row];
+    while (cells.length && !cells[cells.length - 1]) cells.pop();
+    return cells.map(cell => csvField(cell || '')).join(',');
+  });
+  while (lines.length && !lines[lines.length - 1]) lines.pop();
+  return lines.join('\n');
+}
+
+// "BC12" -> 54 (zero-based column index)
+function columnIndex(ref) {
+  const letters = /^[A-Z]+/.exec(ref || '')?.[0];
+  if (!letters) return null;
+  let index = 0;
+  for (const letter of letters) index = index * 26 + letter.charCodeAt(0) - 64;
+  return index - 1;
+}
+
+async function extractPdf({ buffer }) {
+  // Loaded on first use; pdf.js is large and most uploads are not PDFs
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  let doc;
+  try {
+    doc = await pdfjs.getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      disableFontFace: true,
+      useSystemFonts: false,
+      verbosity: 0
+    }).promise;
+  } catch (error) {
+    if (error?.name === 'PasswordException') throw new Error('PDF is password protected');
+    throw new Error(`Invalid PDF: ${error.message}`);
+  }
+
+  try {
+    const sections = [];
+    let characters = 0;
+    for (let n = 1; n <= doc.numPages && characters <= MAX_EXTRACTED_CHARS; n++) {
+      const page = await doc.getPage(n);
+      const content = await page.getTextContent();
+      const text = content.items.map(item => (item.str ?? '') + (item.hasEOL ? '\n' : '')).join('');
+      page.cleanup();
+      sections.push({ title: `Page ${n}`, text: normalizeText(text) });
+      characters += text.length;
+    }
+    return sections;
+  } finally {
+    await doc.destroy();
+  }
+}
+
+async function extractDocx({ zip }) {
+  const xml = await zip.read('word/document.xml');
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const pages = [];
+  let lines = [];
+
+  const paragraphText = el => {
+    let text = '';
+    $(el).find('w\\:t, w\\:tab, w\\:br, w\\:cr').each((_, node) => {
+      if (node.name === 'w:t') text += $(node).text();
+      else if (node.name === 'w:tab') text += '\t';
+      else if ($(node).attr('w:type') === 'page') {
+        lines.push(text);
+        pages.push(lines);
+        lines = [];
+        text = '';
+      } else text += '\n';
+    });
+    return text;
+  };
+
+  $('w\\:body').children().each((_, el) => {
+    if (el.name === 'w:p') {
+      // Read the text first: a page break inside it replaces `lines`
+      const text = paragraphText(el);
+      lines.push(text);
+    } else if (el.name === 'w:tbl') {
+      $(el).find('w\\:tr').each((_, row) => {
+        const cells = $(row).children('w\\:tc').map((_, cell) =>
+          $(cell).find('w\\:p').map((_, p) => paragraphText(p)).get().join(' ').trim()
+        ).get();
+        lines.push(cells.join(' | '));
+      });
+    }
+  });
+  pages.push(lines);
+
+  // Explicit page breaks are the only page boundaries a .docx records
+  if (pages.length === 1) return [{ title: null, text: normalizeText(lines.join('\n')) }];
+  return pages.map((page, i) => ({ title: `Page ${i + 1}`, text: normalizeText(page.join('\n')) }));
+}
+
+async function extractXlsx({ zip }) {
+  const workbook = cheerio.load(await zip.read('xl/workbook.xml'), { xmlMode: true });
+  const relsXml = await zip.read('xl/_rels/workbook.xml.rels');
+  const rels = relsXml ? cheerio.load(relsXml, { xmlMode: true }) : null;
+  const targets = new Map();
+  rels?.('Relationship').each((_, el) => {
+    const target = rels(el).attr('Target') || '';
+    targets.set(rels(el).attr('Id'), target.startsWith('/') ? target.slice(1) : path.posix.join('xl', target));
+  });
+
+  const sharedXml = await zip.read('xl/sharedStrings.xml');
+  const shared = [];
+  if (sharedXml) {
+    const $ = cheerio.load(sharedXml, { xmlMode: true });
+    // Phonetic runs (rPh) repeat the text as reading hints
+    $('si').each((_, si) => {
+      shared.push($(si).find('t').filter((_, t) => !$(t).parents('rPh').length).map((_, t) => $(t).text()).get().join(''));
+    });
+  }
+
+  const sections = [];
+  const sheets = workbook('sheet').get();
+  for (const [i, sheet] of sheets.entries()) {
+    const name = workbook(sheet).attr('name') || `Sheet ${i + 1}`;
+    const target = targets.get(workbook(sheet).attr('r:id')) || `xl/worksheets/sheet${i + 1}.xml`;
+    const xml = await zip.read(target);
+    if (!xml) continue;
+
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const rows = [];
+    $('sheetData > row').slice(0, MAX_SHEET_ROWS).each((_, row) => {
+      const values = [];
+      $(row).children('c').each((position, cell) => {
+        const column = columnIndex($(cell).attr('r')) ?? position;
+        if (column >= MAX_SHEET_COLUMNS) return;
+        const type = $(cell).attr('t');
+        const raw = $(cell).children('v').text();
+        let value;
+        if (type === 's') value = shared[Number(raw)] ?? '';
+        else if (type === 'inlineStr') value = $(cell).find('is t').map((_, t) => $(t).text()).get().join('');
+        else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+        else value = raw;
+        values[column] = value;
+      });
+      rows.push(Array.from(values, value => value ?? ''));
+    });
+    sections.push({ title: `Sheet: ${name}`, text: rowsToCsv(rows) });
+  }
+  return sections;
+}
+
+async function extractOds({ zip }) {
+  const $ = cheerio.load(await zip.read('content.xml'), { xmlMode: true });
+  const sections = [];
+
+  $('table\\:table').each((i, table) => {
+    const name = $(table).attr('table:name') || `Sheet ${i + 1}`;
+    const rows = [];
+    // Empty rows are only written out once a later row has data
+    let pendingEmpty = 0;
+
+    $(table).find('table\\:table-row').each((_, row) => {
+      if (rows.length >= MAX_SHEET_ROWS) return false;
+      const values = [];
+      $(row).children('table\\:table-cell, table\\:covered-table-cell').each((_, cell) => {
+        const $cell = $(cell);
+        const type = $cell.attr('office:value-type');
+        let value;
+        if (type === 'float' || type === 'percentage' || type === 'currency') value = $cell.attr('office:value');
+        else if (type === 'date') value = $cell.attr('office:date-value');
+        else if (type === 'time') value = $cell.attr('office:time-value');
+        else if (type === 'boolean') value = $cell.attr('office:boolean-value') === 'true' ? 'TRUE' : 'FALSE';
+        else value = $cell.children('text\\:p').map((_, p) => $(p).text()).get().join('\n');
+        value = value || '';
+
+        const repeat = Number($cell.attr('table:number-columns-repeated')) || 1;
+        for (let n = 0; n < repeat && values.length < MAX_SHEET_COLUMNS; n++) values.push(value);
+      });
+
+      const repeat = Number($(row).attr('table:number-rows-repeated')) || 1;
+      if (values.every(value => !value)) {
+        pendingEmpty += repeat;
+        return;
+      }
+      for (; pendingEmpty > 0 && rows.length < MAX_SHEET_ROWS; pendingEmpty--) rows.push([]);
+      pendingEmpty = 0;
+      for (let n = 0; n < repeat && rows.length < MAX_SHEET_ROWS; n++) rows.push(values);
+    });
+
+    sections.push({ title: `Sheet: ${name}`, text: rowsToCsv(rows) });
+  });
+  return sections;
+}
+
+async function extractEpub({ zip }) {
+  const container = cheerio.load(await zip.read('META-INF/container.xml') || '', { xmlMode: true });
+  const opfPath = container('rootfile').first().attr('full-path');
+  const opfXml = opfPath && await zip.read(opfPath);
+  if (!opfXml) throw new Error('EPUB has no package document');
+
+  const $ = cheerio.load(opfXml, { xmlMode: true });
+  const manifest = new Map();
+  $('manifest > item').each((_, item) => {
+    manifest.set($(item).attr('id'), $(item).attr('href'));
+  });
+
+  const sections = [];
+  const spine = $('spine > itemref').map((_, ref) => $(ref).attr('idref')).get();
+  for (const idref of spine) {
+    const href = manifest.get(idref);
+    if (!href) continue;
+    let entry;
+    try {
+      entry = path.posix.join(path.posix.dirname(opfPath), decodeURIComponent(href.split('#')[0]));
+    } catch {
+      continue;
+    }
+    const html = await zip.read(entry);
+    if (!html) continue;
+
+    const { title, text } = htmlToText(html);
+    if (!text) continue;
+    const number = sections.length + 1;
+    sections.push({ title: title ? `Chapter ${number}: ${title}` : `Chapter ${number}`, text });
+  }
+  return sections;
+}
+
+registerExtractor({
+  format: 'text',
+  mimeTypes: ['text/plain', 'text/markdown', 'text/csv', 'application/json', 'application/xml', 'text/xml'],
+  extensions: ['.txt', '.md', '.csv', '.json', '.js', '.py', '.css', '.xml', '.yaml', '.yml'],
+  sniff: () => true,
+  extract: async ({ text }) => [{ title: null, text }]
+});
+
+registerExtractor({
+  format: 'html',
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  extensions: ['.html', '.htm', '.xhtml'],
+  sniff: text => /^\s*(<!doctype html|<html[\s>])/i.test(text.slice(0, 1024)),
+  extract: async ({ text }) => [{ title: null, text: htmlToText(text).text }]
+});
+
+registerExtractor({
+  format: 'epub',
+  mimeTypes: ['application/epub+zip'],
+  extensions: ['.epub'],
+  zip: ({ names, mimetype }) => mimetype === 'application/epub+zip' || names.has('META-INF/container.xml'),
+  extract: extractEpub
+});
+
+registerExtractor({
+  format: 'ods',
+  mimeTypes: ['application/vnd.oasis.opendocument.spreadsheet'],
+  extensions: ['.ods'],
+  zip: ({ mimetype }) => mimetype === 'application/vnd.oasis.opendocument.spreadsheet',
+  extract: extractOds
+});
+
+registerExtractor({
+  format: 'xlsx',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  extensions: ['.xlsx'],
+  zip: ({ names }) => names.has('xl/workbook.xml'),
+  extract: extractXlsx
+});
+
+registerExtractor({
+  format: 'docx',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  extensions: ['.docx'],
+  zip: ({ names }) => names.has('word/document.xml'),
+  extract: extractDocx
+});
+
+registerExtractor({
+  format: 'pdf',
+  mimeTypes: ['application/pdf'],
+  extensions: ['.pdf'],
+  // The header may follow a few bytes of junk, as long as it is within the first 1 KB
+  magic: buffer => buffer.subarray(0, 1024).includes('%PDF-'),
+  extract: extractPdf
+});
+
+/**
+ * Pick the extractor for a file from its contents, then check the result
+ * against the declared MIME type and extension
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Original filename
+ * @param {string} mimeType - Client-declared MIME type
+ * @returns {Promise<{ extractor: Object, text: string|null, zip: Object|null }>}
+ */
+async function detectFormat(buffer, filename, mimeType) {
+  const extension = path.extname(filename || '').toLowerCase();
+  const claimed = extractors.find(e => e.mimeTypes.includes(mimeType)) ||
+    extractors.find(e => e.extensions.includes(extension));
+  const declaredBinary = claimed && !claimed.sniff;
+
+  const byMagic = extractors.find(e => e.magic?.(buffer));
+  if (byMagic) return { extractor: byMagic, text: null, zip: null };
+
+  if (startsWith(buffer, ZIP_SIGNATURE)) {
+    const zip = await openZip(buffer);
+    try {
+      const info = { names: zip.names, mimetype: zip.names.has('mimetype') ? (await zip.read('mimetype')).trim() : null };
+      const byZip = extractors.find(e => e.zip?.(info));
+      if (!byZip) throw new Error('Unsupported ZIP archive; expected DOCX, XLSX, ODS or EPUB');
+      return { extractor: byZip, text: null, zip };
+    } catch (error) {
+      zip.close();
+      throw error;
+    }
+  }
+
+  const signature = binarySignature(buffer);
+  if (signature) throw new Error(`Binary file (${signature}) is not supported`);
+
+  if (declaredBinary) {
+    throw new Error(`File is declared as ${claimed.format.toUpperCase()} but its contents do not match`);
+  }
+
+  const text = decodeText(buffer);
+  if (text === null) throw new Error('Binary file is not supported');
+
+  // A declared markup format decides; otherwise look at the content, with
+  // plain text as the catch-all
+  const extractor = claimed?.sniff && claimed.format !== 'text'
+    ? claimed
+    : extractors.find(e => e.sniff?.(text));
+  return { extractor, text, zip: null };
+}
+
+/**
+ * Extract the text of an uploaded file
+ * @param {Object} file - Uploaded file
+ * @param {Buffer} file.buffer - Contents
+ * @param {string} [file.filename] - Original filename
+ * @param {string} [file.mimeType] - Client-declared MIME type
+ * @returns {Promise<{ format: string, text: string, sections: Array<{title: string|null, characters: number}>, truncated: boolean }>}
+ */
+export async function extractDocument({ buffer, filename = '', mimeType = '' }) {
+  if (!buffer || buffer.length === 0) throw new Error('File is empty');
+
+  const { extractor, text, zip } = await detectFormat(buffer, filename, mimeType);
+  let sections;
+  try {
+    sections = await extractor.extract({ buffer, text, zip, filename, mimeType });
+  } finally {
+    zip?.close();
+  }
+  sections = sections.filter(section => section.text || section.title);
+
+  let output = sections.length === 1 && !sections[0].title
+    ? sections[0].text
+    : sections.map(section => `--- ${section.title} ---\n${section.text}`).join('\n\n');
+  const truncated = output.length > MAX_EXTRACTED_CHARS;
+  if (truncated) output = output.slice(0, MAX_EXTRACTED_CHARS);
+
+  return {
+    format: extractor.format,
+    text: output,
+    sections: sections.map(section => ({ title: section.title, characters: section.text.length })),
+    truncated
+  };
+}
@@ -0,0 +1,423 @@
+/**
+ * Evolve-UI Fetch Policy
+ *
+ * Rules for fetching pages whose URLs come from search results or from the
+ * model. Hostnames are resolved and private, loopback and link-local
+ * addresses are refused unless allow-listed, also when they are embedded in
+ * an IPv6 address. The check runs inside the
+ * socket's DNS lookup, so a name cannot pass it with a public address and
+ * then connect to a private one. Every redirect hop is checked again against
+ * robots.txt and the domain allow and deny lists, and bodies are cut off at a
+ * size limit after decompression.
+ */
+
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+import zlib from 'zlib';
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+// RFC 9309 asks crawlers to read at least 500 KiB of robots.txt
+const ROBOTS_MAX_BYTES = 512 * 1024;
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+// Unreachable robots.txt files mean "disallow all", but only for a short while
+const ROBOTS_ERROR_TTL_MS = 10 * 60 * 1000;
+const ROBOTS_CACHE_MAX_ENTRIES = 500;
+
+// [network, prefix, family, description]
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4', 'unspecified'],
+  ['10.0.0.0', 8, 'ipv4', 'private'],
+  ['100.64.0.0', 10, 'ipv4', 'carrier-grade NAT'],
+  ['127.0.0.0', 8, 'ipv4', 'loopback'],
+  ['169.254.0.0', 16, 'ipv4', 'link-local'],
+  ['172.16.0.0', 12, 'ipv4', 'private'],
+  ['192.0.0.0', 24, 'ipv4', 'reserved'],
+  ['192.168.0.0', 16, 'ipv4', 'private'],
+  ['198.18.0.0', 15, 'ipv4', 'benchmarking'],
+  ['224.0.0.0', 4, 'ipv4', 'multicast'],
+  ['240.0.0.0', 4, 'ipv4', 'reserved'],
+  ['::', 128, 'ipv6', 'unspecified'],
+  ['::1', 128, 'ipv6', 'loopback'],
+  ['::ffff:0:0', 96, 'ipv6', 'IPv4-mapped'],
+  ['fc00::', 7, 'ipv6', 'private'],
+  ['fe80::', 10, 'ipv6', 'link-local'],
+  ['ff00::', 8, 'ipv6', 'multicast']
+].map(([network, prefix, family, description]) => {
+  const list = new net.BlockList();
+  list.addSubnet(network, prefix, family);
+  return { list, family, description };
+});
+
+/**
+ * Build the error thrown for a fetch the policy refuses
+ * @param {string} message - Why the fetch was refused
+ * @param {string} rule - 'protocol', 'private-address', 'deny-list', 'allow-list', 'robots' or 'redirects'
+ * @returns {Error} Error with code FETCH_BLOCKED
+ */
+function blockedError(message, rule) {
+  const error = new Error(message);
+  error.code = 'FETCH_BLOCKED';
+  error.rule = rule;
+  return error;
+}
+
+/**
+ * Whether a host is a domain in the list or a subdomain of one
+ * @param {string} host - Lowercase hostname
+ * @param {string[]} domains - Lowercase domains
+ * @returns {boolean} True on a match
+ */
+function matchesDomain(host, domains) {
+  return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * The eight 16-bit groups of an IPv6 address
+ * @param {string} address - IPv6 address, possibly with a dotted IPv4 tail
+ * @returns {number[]} Groups
+ */
+function ipv6Groups(address) {
+  let ip = address.replace(/%.*$/, '');
+  const dotted = ip.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(2).map(Number);
+    ip = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = ip.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const missing = ip.includes('::') ? 8 - left.length - right.length : 0;
+  return [...left, ...Array(missing).fill('0'), ...right].map(group => parseInt(group, 16));
+}
+
+/**
+ * IPv4 address carried inside an IPv6 one: IPv4-mapped (::ffff:0:0/96, in hex
+ * or dotted form), NAT64 (64:ff9b::/96) or 6to4 (2002::/16)
+ * @param {string} address - IP address
+ * @returns {string} The embedded IPv4 address, or the address unchanged
+ */
+function unmapAddress(address) {
+  if (!net.isIPv6(address)) return address;
+  const groups = ipv6Groups(address);
+  const ipv4 = (high, low) => [high >> 8, high & 255, low >> 8, low & 255].join('.');
+  const zero = (from, to) => groups.slice(from, to).every(group => group === 0);
+
+  if (zero(0, 5) && groups[5] === 0xffff) return ipv4(groups[6], groups[7]);
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && zero(2, 6)) return ipv4(groups[6], groups[7]);
+  if (groups[0] === 0x2002) return ipv4(groups[1], groups[2]);
+  return address;
+}
+
+/**
+ * Name of the non-public range an address belongs to. IPv6 addresses that
+ * embed an IPv4 address are judged by it, and IPv4-mapped ones are never public.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {string|null} Range description, or null for public addresses
+ */
+export function blockedRange(address) {
+  const ip = unmapAddress(address);
+  for (const candidate of new Set([ip, address])) {
+    const family = net.isIPv4(candidate) ? 'ipv4' : 'ipv6';
+    const range = BLOCKED_RANGES.find(r => r.family === family && r.list.check(candidate, family));
+    if (range) return range.description;
+  }
+  return null;
+}
+
+/**
+ * Compile a robots.txt path pattern: * matches anything and a trailing $
+ * anchors the end
+ * @param {string} pattern - Allow or Disallow value
+ * @returns {RegExp} Pattern matched against the path and query
+ */
+function robotsPattern(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Parse robots.txt and keep the rules of the group for a user agent, or the
+ * "*" group when no group names it
+ * @param {string} text - robots.txt contents
+ * @param {string} agent - Product token, such as "EvolveUI"
+ * @returns {Array<{allow: boolean, path: string, pattern: RegExp}>} Rules
+ */
+export function parseRobots(text, agent) {
+  const groups = [];
+  let current = null;
+  let previousWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+    const field = line.slice(0, colon).trim().toLowerCase();
+    const value = line.slice(colon + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!previousWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      previousWasAgent = true;
+      continue;
+    }
+
+    previousWasAgent = false;
+    // An empty Disallow allows everything, so it adds no rule
+    if (current && (field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', path: value, pattern: robotsPattern(value) });
+    }
+  }
+
+  const token = agent.toLowerCase();
+  const named = groups.filter(group => group.agents.some(name => name !== '*' && token.includes(name)));
+  const selected = named.length ? named : groups.filter(group => group.agents.includes('*'));
+  return selected.flatMap(group => group.rules);
+}
+
+/**
+ * Whether robots rules allow a path. The longest matching rule wins, and
+ * Allow wins a tie.
+ * @param {Array} rules - Rules from parseRobots
+ * @param {string} path - Path and query of the URL
+ * @returns {boolean} True when the path may be fetched
+ */
+export function robotsAllows(rules, path) {
+  let best = null;
+  for (const rule of rules) {
+    if (!rule.pattern.test(path)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+export class FetchPolicy {
+  /**
+   * @param {Object} options - { allowPrivate: hosts, IPs or CIDRs that may be
+   * private; allowDomains: if set, the only domains fetched; denyDomains;
+   * respectRobots; maxBytes; maxRedirects; userAgent; robotsAgent: product
+   * token matched against robots.txt groups }
+   */
+  constructor({
+    allowPrivate = [],
+    allowDomains = [],
+    denyDomains = [],
+    respectRobots = true,
+    maxBytes = 5 * 1024 * 1024,
+    maxRedirects = 5,
+    userAgent = 'Mozilla/5.0 (compatible; EvolveUI/2.0)',
+    robotsAgent = 'EvolveUI'
+  } = {}) {
+    this.allowDomains = allowDomains.map(d => d.toLowerCase());
+    this.denyDomains = denyDomains.map(d => d.toLowerCase());
+    this.respectRobots = respectRobots;
+    this.maxBytes = maxBytes;
+    this.maxRedirects = maxRedirects;
+    this.userAgent = userAgent;
+    this.robotsAgent = robotsAgent;
+    // origin -> { expiresAt, rules: Promise<Array> }
+    this.robotsCache = new Map();
+
+    this.allowPrivate = allowPrivate;
+    this.privateHosts = [];
+    this.privateAddresses = new net.BlockList();
+    for (const entry of allowPrivate.map(e => e.toLowerCase())) {
+      const [address, prefix] = entry.split('/');
+      const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+      if (!family) this.privateHosts.push(entry);
+      else if (prefix) this.privateAddresses.addSubnet(address, Number(prefix), family);
+      else this.privateAddresses.addAddress(address, family);
+    }
+
+    // Runs for every connection, after DNS and before connecting
+    this.lookup = (hostname, options, callback) => {
+      dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const denied = addresses.find(({ address }) => this.addressBlocked(hostname, address));
+        if (denied) {
+          return callback(blockedError(
+            `${hostname} resolves to ${denied.address}, a ${blockedRange(denied.address)} address`,
+            'private-address'
+          ));
+        }
+        if (options.all) callback(null, addresses);
+        else callback(null, addresses[0].address, addresses[0].family);
+      });
+    };
+  }
+
+  /**
+   * Whether connecting to an address for a host breaks the private range rule
+   * @param {string} hostname - Hostname being fetched
+   * @param {string} address - Resolved or literal IP address
+   * @returns {boolean} True when the connection must be refused
+   */
+  addressBlocked(hostname, address) {
+    if (!blockedRange(address)) return false;
+    if (matchesDomain(hostname.toLowerCase(), this.privateHosts)) return false;
+    return ![unmapAddress(address), address]
+      .some(ip => this.privateAddresses.check(ip, net.isIPv4(ip) ? 'ipv4' : 'ipv6'));
+  }
+
+  /**
+   * Apply the protocol, domain list, address and robots.txt rules to one URL
+   * @param {URL} url - URL about to be requested
+   * @param {AbortSignal|null} signal - Cancellation signal for robots.txt
+   */
+  async check(url, signal) {
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw blockedError(`${url.protocol} URLs are not fetched`, 'protocol');
+    }
+
+    const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (matchesDomain(host, this.denyDomains)) {
+      throw blockedError(`${host} is on the fetch deny list`, 'deny-list');
+    }
+    if (this.allowDomains.length && !matchesDomain(host, this.allowDomains)) {
+      throw blockedError(`${host} is not on the fetch allow list`, 'allow-list');
+    }
+    // Literal addresses skip DNS, so the lookup hook never sees them
+    if (net.isIP(host) && this.addressBlocked(host, host)) {
+      throw blockedError(`${host} is a ${blockedRange(host)} address`, 'private-address');
+    }
+
+    if (this.respectRobots && !url.pathname.endsWith('/robots.txt')) {
+      const rules = await this.robotsRules(url, signal);
+      if (!robotsAllows(rules, `${url.pathname}${url.search}`)) {
+        throw blockedError(`robots.txt of ${url.host} disallows ${url.pathname}`, 'robots');
+      }
+    }
+  }
+
+  /**
+   * Rules for this agent from the origin's robots.txt, cached per origin
+   * @param {URL} url - Any URL on the origin
+   * @param {AbortSignal|null} signal - Cancellation signal
+   * @returns {Promise<Array>} Rules from parseRobots
+   */
+  async robotsRules(url, signal) {
+    const cached = this.robotsCache.get(url.origin);
+    if (cached && cached.expiresAt > Date.now()) return cached.rules;
+
+    const entry = { expiresAt: Date.now() + ROBOTS_TTL_MS, rules: null };
+    entry.rules = (async () => {
+      try {
+        const response = await this.fetch(new URL('/robots.txt', url.origin), { signal, maxBytes: ROBOTS_MAX_BYTES });
+        if (response.status >= 200 && response.status < 300) {
+          return parseRobots(response.body.toString('utf-8'), this.robotsAgent);
+        }
+        // A missing robots.txt (4xx) allows everything
+        if (response.status >= 400 && response.status < 500) return [];
+        throw new Error(`HTTP ${response.status}`);
+      } catch (error) {
+        // A cancelled lookup says nothing about the site, so don't keep it
+        if (signal?.aborted) this.robotsCache.delete(url.origin);
+        else entry.expiresAt = Date.now() + ROBOTS_ERROR_TTL_MS;
+        if (error.code === 'FETCH_BLOCKED') throw error;
+        return [{ allow: false, path: '/', pattern: /^\// }];
+      }
+    })();
+
+    this.robotsCache.delete(url.origin);
+    this.robotsCache.set(url.origin, entry);
+    for (const origin of this.robotsCache.keys()) {
+      if (this.robotsCache.size <= ROBOTS_CACHE_MAX_ENTRIES) break;
+      this.robotsCache.delete(origin);
+    }
+    return entry.rules;
+  }
+
+  /**
+   * Fetch a URL under the policy, following up to maxRedirects redirects
+   * @param {string|URL} url - Absolute URL
+   * @param {Object} options - { headers, signal, maxBytes }
+   * @returns {Promise<{status: number, headers: Headers, body: Buffer, truncated: boolean, url: string}>}
+   * The final response; the body stops at maxBytes
+   * @throws {Error} With code FETCH_BLOCKED when a rule refuses the fetch
+   */
+  async fetch(url, { headers = {}, signal = null, maxBytes = this.maxBytes } = {}) {
+    let current = new URL(url);
+
+    for (let redirects = 0; ; redirects++) {
+      await this.check(current, signal);
+      const response = await this.request(current, { headers, signal, maxBytes });
+      const location = response.headers.get('location');
+      if (!REDIRECT_STATUSES.has(response.status) || !location) {
+        return { ...response, url: current.href };
+      }
+      if (redirects >= this.maxRedirects) {
+        throw blockedError(`${url} redirected more than ${this.maxRedirects} times`, 'redirects');
+      }
+      current = new URL(location, current);
+    }
+  }
+
+  /**
+   * One HTTP request without following redirects
+   * @param {URL} url - URL to request
+   * @param {Object} options - { headers, signal, maxBytes }
+   * @returns {Promise<{status: number, headers: Headers, body: Buffer, truncated: boolean}>} Response
+   */
+  request(url, { headers, signal, maxBytes }) {
+    const transport = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request(url, {
+        headers: { 'User-Agent': this.userAgent, 'Accept-Encoding': 'gzip, deflate, br', ...headers },
+        lookup: this.lookup,
+        signal
+      }, response => {
+        const responseHeaders = new Headers();
+        for (const [name, value] of Object.entries(response.headers)) {
+          responseHeaders.set(name, Array.isArray(value) ? value.join(', ') : value);
+        }
+        const result = { status: response.statusCode, headers: responseHeaders, body: Buffer.alloc(0), truncated: false };
+
+        if (REDIRECT_STATUSES.has(response.statusCode)) {
+          response.resume();
+          resolve(result);
+          return;
+        }
+
+        const decoders = { gzip: zlib.createGunzip, 'x-gzip': zlib.createGunzip, deflate: zlib.createInflate, br: zlib.createBrotliDecompress };
+        const decoder = decoders[(response.headers['content-encoding'] || '').trim().toLowerCase()];
+        const body = decoder ? response.pipe(decoder()) : response;
+        const chunks = [];
+        let size = 0;
+
+        body.on('data', chunk => {
+          if (result.truncated) return;
+          if (size + chunk.length > maxBytes) {
+            chunks.push(chunk.subarray(0, maxBytes - size));
+            result.truncated = true;
+            result.body = Buffer.concat(chunks);
+            resolve(result);
+            request.destroy();
+            return;
+          }
+          chunks.push(chunk);
+          size += chunk.length;
+        });
+        body.on('end', () => {
+          result.body = Buffer.concat(chunks);
+          resolve(result);
+        });
+        body.on('error', reject);
+      });
+
+      request.on('error', reject);
+      request.end();
+    });
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * Evolve-UI Keyword Index
+ *
+ * BM25 index over short texts such as memory items. Embeddings tend to blur
+ * exact names, ids, error codes and acronyms; matching their tokens directly
+ * finds them again. Rankings from this index and the vector index are
+ * combined with reciprocal rank fusion.
+ */
+
+// Standard BM25 parameters: term frequency saturation and length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'do', 'does', 'for',
+  'from', 'has', 'have', 'how', 'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of',
+  'on', 'or', 'our', 'so', 'that', 'the', 'their', 'there', 'this', 'to', 'was',
+  'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with',
+  'you', 'your'
+]);
+
+// Words, numbers and identifiers joined by . _ - / : (v2.1, ERR_TIMEOUT, user-42)
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[._\-/:][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Split text into lowercase terms. Compound identifiers are kept whole and
+ * also split into their parts, so "ERR_TIMEOUT" matches both "err_timeout"
+ * and "timeout".
+ * @param {string} text - Input text
+ * @returns {string[]} Terms, without stopwords
+ */
+export function tokenize(text) {
+  const terms = [];
+  for (const [token] of String(text).toLowerCase().matchAll(TOKEN_PATTERN)) {
+    const parts = token.split(/[._\-/:]/);
+    if (parts.length > 1) terms.push(token);
+    for (const part of parts) {
+      if (!STOPWORDS.has(part)) terms.push(part);
+    }
+  }
+  return terms;
+}
+
+export class KeywordIndex {
+  constructor() {
+    // id -> { text, length, terms: Map<term, count> }
+    this.documents = new Map();
+    // term -> number of documents containing it
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  has(id) {
+    return this.documents.has(id);
+  }
+
+  /**
+   * Index a document, replacing any previous text for the id
+   * @param {*} id - Document id
+   * @param {string} text - Document text
+   */
+  add(id, text) {
+    if (this.documents.get(id)?.text === text) return;
+    this.remove(id);
+
+    const terms = new Map();
+    const tokens = tokenize(text);
+    for (const term of tokens) terms.set(term, (terms.get(term) || 0) + 1);
+    for (const term of terms.keys()) {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    }
+    this.documents.set(id, { text, length: tokens.length, terms });
+    this.totalLength += tokens.length;
+  }
+
+  remove(id) {
+    const doc = this.documents.get(id);
+    if (!doc) return false;
+    for (const term of doc.terms.keys()) {
+      const count = this.documentFrequency.get(term) - 1;
+      if (count > 0) this.documentFrequency.set(term, count);
+      else this.documentFrequency.delete(term);
+    }
+    this.totalLength -= doc.length;
+    this.documents.delete(id);
+    return true;
+  }
+
+  /**
+   * Make the index hold exactly the given documents. Unchanged documents are
+   * not re-tokenized, so calling this before every search is cheap.
+   * @param {Array<[*, string]>} entries - [id, text] pairs
+   */
+  sync(entries) {
+    const ids = new Set();
+    for (const [id, text] of entries) {
+      ids.add(id);
+      this.add(id, text);
+    }
+    for (const id of this.documents.keys()) {
+      if (!ids.has(id)) this.remove(id);
+    }
+  }
+
+  /**
+   * Rank documents by BM25 score
+   * @param {string} query - Query text
+   * @param {number} k - Number of results
+   * @param {Object} options - { filter(id) } to restrict the candidates
+   * @returns {Array<{id: *, score: number}>} Best matches with a positive score
+   */
+  search(query, k = 10, { filter = null } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const total = this.documents.size;
+    if (queryTerms.length === 0 || total === 0) return [];
+
+    const averageLength = this.totalLength / total || 1;
+    const weights = queryTerms
+      .filter(term => this.documentFrequency.has(term))
+      .map(term => {
+        const df = this.documentFrequency.get(term);
+        return [term, Math.log(1 + (total - df + 0.5) / (df + 0.5))];
+      });
+    if (weights.length === 0) return [];
+
+    const results = [];
+    for (const [id, doc] of this.documents) {
+      if (filter && !filter(id)) continue;
+      let score = 0;
+      for (const [term, idf] of weights) {
+        const tf = doc.terms.get(term);
+        if (!tf) continue;
+        score += idf * (tf * (BM25_K1 + 1)) /
+          (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / averageLength));
+      }
+      if (score > 0) results.push({ id, score });
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, k);
+  }
+}
+
+/**
+ * Combine rankings with weighted reciprocal rank fusion: each list adds
+ * weight / (k + rank) for every id it contains.
+ * @param {Array<{ results: Array<{id: *}>, weight: number }>} rankings - Ranked lists, best first
+ * @param {number} k - Rank offset; larger values flatten the difference between top ranks
+ * @returns {Array<{id: *, score: number, ranks: number[]}>} Fused ranking with each list's rank (or null)
+ */
+export function fuseRankings(rankings, k = 60) {
+  const fused = new Map();
+  rankings.forEach(({ results, weight }, list) => {
+    results.forEach(({ id }, index) => {
+      if (!fused.has(id)) fused.set(id, { id, score: 0, ranks: rankings.map(() => null) });
+      const entry = fused.get(id);
+      entry.score += weight / (k + index + 1);
+      entry.ranks[list] = index + 1;
+    });
+  });
+  return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,137 @@
+/**
+ * Evolve-UI Readability
+ *
+ * Finds the main content of a web page the way reader modes do, instead of
+ * trusting a fixed list of selectors. Elements whose class or id names look
+ * like navigation, comments or ads are dropped. Every paragraph is scored by
+ * its length and commas, and the score flows up to the containers around it.
+ * Containers are weighted by tag, by class and id names, and by how much of
+ * their text is links. The best container, plus any siblings that score
+ * nearly as well, is the article.
+ */
+
+import * as cheerio from 'cheerio';
+import { htmlToText } from './extractors.js';
+
+// Class and id patterns, after Mozilla's Readability
+const UNLIKELY_CANDIDATE = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE_NAME = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE_NAME = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|footer|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|widget/i;
+const UNLIKELY_ROLES = new Set(['menu', 'menubar', 'complementary', 'navigation', 'alert', 'alertdialog', 'dialog']);
+
+const TAG_WEIGHTS = {
+  div: 5,
+  pre: 3, td: 3, blockquote: 3,
+  address: -3, ol: -3, ul: -3, dl: -3, dd: -3, dt: -3, li: -3, form: -3,
+  h1: -5, h2: -5, h3: -5, h4: -5, h5: -5, h6: -5, th: -5
+};
+// A div without these inside is scored as a paragraph
+const BLOCK_CHILDREN = 'address, article, aside, blockquote, div, dl, fieldset, figure, footer, form, ' +
+  'h1, h2, h3, h4, h5, h6, header, hr, main, nav, ol, p, pre, section, table, ul';
+const MIN_PARAGRAPH_CHARS = 25;
+// Ancestors a paragraph's score reaches
+const SCORE_DEPTH = 5;
+// Shorter articles mean detection failed, and the whole page is used instead
+const MIN_ARTICLE_CHARS = 250;
+
+function innerText($el) {
+  return $el.text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Share of an element's text that sits inside links
+ * @param {Cheerio} $el - Element
+ * @returns {number} 0 to 1
+ */
+function linkDensity($el) {
+  const length = innerText($el).length;
+  if (!length) return 0;
+  return Math.min(1, innerText($el.find('a')).length / length);
+}
+
+/**
+ * Weight from class and id names that suggest content or clutter
+ * @param {Cheerio} $el - Element
+ * @returns {number} -50 to 50
+ */
+function nameWeight($el) {
+  let weight = 0;
+  for (const name of [$el.attr('class'), $el.attr('id')]) {
+    if (!name) continue;
+    if (NEGATIVE_NAME.test(name)) weight -= 25;
+    if (POSITIVE_NAME.test(name)) weight += 25;
+  }
+  return weight;
+}
+
+/**
+ * Extract the title and main text of an HTML page
+ * @param {string} html - Page source
+ * @returns {{ title: string|null, text: string }} Title and article text, with
+ * blank lines between paragraphs
+ */
+export function extractReadableContent(html) {
+  const $ = cheerio.load(html);
+  const title = $('title').first().text().replace(/\s+/g, ' ').trim() || null;
+
+  $('script, style, noscript, template, svg, iframe, object, embed, form, button, nav, aside, footer').remove();
+  $('header').filter((_, el) => $(el).closest('article, main').length === 0).remove();
+  $('body *').each((_, el) => {
+    const $el = $(el);
+    const names = `${$el.attr('class') || ''} ${$el.attr('id') || ''}`;
+    const unlikely = UNLIKELY_ROLES.has($el.attr('role')) ||
+      (UNLIKELY_CANDIDATE.test(names) && !MAYBE_CANDIDATE.test(names) && !$el.is('a, article, main, table, code'));
+    if (unlikely) $el.remove();
+  });
+
+  const scores = new Map();
+  const scoreOf = el => {
+    if (!scores.has(el)) scores.set(el, (TAG_WEIGHTS[el.name] || 0) + nameWeight($(el)));
+    return scores.get(el);
+  };
+
+  $('p, pre, td, blockquote, div').each((_, el) => {
+    const $el = $(el);
+    if (el.name === 'div' && $el.find(BLOCK_CHILDREN).length) return;
+    const text = innerText($el);
+    if (text.length < MIN_PARAGRAPH_CHARS) return;
+
+    const score = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    $el.parents().slice(0, SCORE_DEPTH).each((level, ancestor) => {
+      if (ancestor.name === 'html') return;
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, scoreOf(ancestor) + score / divider);
+    });
+  });
+
+  let top = null;
+  let topScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity($(el)));
+    scores.set(el, adjusted);
+    if (adjusted > topScore) {
+      top = el;
+      topScore = adjusted;
+    }
+  }
+
+  let text = '';
+  if (top) {
+    // Articles split across sibling containers are joined back together
+    const threshold = Math.max(10, topScore * 0.2);
+    const parts = $(top).parent().children().toArray().filter(sibling => {
+      if (sibling === top) return true;
+      if ((scores.get(sibling) ?? -Infinity) >= threshold) return true;
+      if (sibling.name !== 'p') return false;
+      const $sibling = $(sibling);
+      const length = innerText($sibling).length;
+      const density = linkDensity($sibling);
+      return (length > 80 && density < 0.25) || (length > 0 && density === 0 && /\.( |$)/.test(innerText($sibling)));
+    });
+    text = htmlToText(`<div>${parts.map(part => $.html(part)).join('')}</div>`).text;
+  }
+
+  if (text.length < MIN_ARTICLE_CHARS) text = htmlToText($.html()).text;
+  return { title, text };
+}
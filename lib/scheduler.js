@@ -0,0 +1,92 @@
+/**
+ * Evolve-UI Host Scheduler
+ *
+ * Runs async tasks with a global concurrency limit and a per-host limit, so
+ * parallel searches and page fetches stay polite to any single server.
+ * Tasks start in the order they were scheduled, except that a task whose host
+ * is at its limit lets later tasks for other hosts go first.
+ */
+
+export class HostScheduler {
+  /**
+   * @param {Object} options - { concurrency: tasks running at once, perHost: tasks per host }
+   */
+  constructor({ concurrency = 4, perHost = 2 } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.perHost = Math.max(1, perHost);
+    this.running = 0;
+    this.runningByHost = new Map();
+    this.queue = [];
+  }
+
+  /**
+   * Run a task once a slot for its host is free
+   * @param {string} host - Host the task talks to; tasks sharing it share the per-host limit
+   * @param {Function} task - Async function to run
+   * @param {AbortSignal|null} signal - Aborting it drops the task if it has not started yet
+   * @returns {Promise<*>} The task's result; rejects with the signal's reason if dropped
+   */
+  schedule(host, task, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const job = { host, task, resolve, reject, signal, onAbort: null };
+      if (signal) {
+        job.onAbort = () => {
+          const index = this.queue.indexOf(job);
+          if (index === -1) return;
+          this.queue.splice(index, 1);
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', job.onAbort, { once: true });
+      }
+
+      this.queue.push(job);
+      this.drain();
+    });
+  }
+
+  drain() {
+    for (let i = 0; i < this.queue.length && this.running < this.concurrency;) {
+      const job = this.queue[i];
+      if ((this.runningByHost.get(job.host) || 0) >= this.perHost) {
+        i++;
+        continue;
+      }
+      this.queue.splice(i, 1);
+      this.start(job);
+    }
+  }
+
+  async start(job) {
+    job.signal?.removeEventListener('abort', job.onAbort);
+    this.running++;
+    this.runningByHost.set(job.host, (this.runningByHost.get(job.host) || 0) + 1);
+
+    try {
+      job.resolve(await job.task());
+    } catch (error) {
+      job.reject(error);
+    } finally {
+      this.running--;
+      const count = this.runningByHost.get(job.host) - 1;
+      if (count > 0) this.runningByHost.set(job.host, count);
+      else this.runningByHost.delete(job.host);
+      this.drain();
+    }
+  }
+
+  /**
+   * @returns {{ running: number, queued: number, hosts: Object }} Current load, with running tasks per host
+   */
+  stats() {
+    return {
+      running: this.running,
+      queued: this.queue.length,
+      hosts: Object.fromEntries(this.runningByHost)
+    };
+  }
+}
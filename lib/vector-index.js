@@ -0,0 +1,742 @@
+/**
+ * Evolve-UI Vector Index
+ *
+ * In-memory store for embedding vectors, kept as Float32Arrays and grouped by
+ * embedding model and dimension so vectors from different models are never
+ * compared. Small sets are searched exactly; once a set grows past
+ * IVF_MIN_VECTORS an inverted-file (IVF) index narrows each search to the
+ * clusters closest to the query. Vectors persist in a binary sidecar file,
+ * either a snapshot or an append-only log of changes, while item metadata
+ * stays in JSON.
+ */
+
+import fs from 'fs/promises';
+
+const MAGIC = 'EVMV';
+const FORMAT_VERSION = 1;
+const LOG_MAGIC = 'EVVL';
+const LOG_VERSION = 1;
+const LOG_HEADER_BYTES = 8;
+const LOG_SAVE_DELAY_MS = 2000;
+// Small logs are not worth rewriting
+const LOG_MIN_COMPACT_RECORDS = 1024;
+
+// Below this many vectors every search is an exact scan
+export const IVF_MIN_VECTORS = 4096;
+const KMEANS_ITERATIONS = 8;
+const KMEANS_SAMPLE_PER_LIST = 32;
+// Vectors processed between yields to the event loop while training
+const TRAIN_SLICE = 256;
+
+/**
+ * Copy a vector to a unit-length Float32Array, so a dot product is the cosine
+ * similarity
+ * @param {number[]|Float32Array} vector - Input vector
+ * @returns {Float32Array} Normalized copy
+ */
+export function normalizeVector(vector) {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < out.length; i++) out[i] /= norm;
+  }
+  return out;
+}
+
+function dot(a, aOffset, b, bOffset, dim) {
+  // Four accumulators let V8 keep the loop in registers
+  let s0 = 0, s1 = 0, s2 = 0, s3 = 0;
+  let i = 0;
+  for (; i + 3 < dim; i += 4) {
+    s0 += a[aOffset + i] * b[bOffset + i];
+    s1 += a[aOffset + i + 1] * b[bOffset + i + 1];
+    s2 += a[aOffset + i + 2] * b[bOffset + i + 2];
+    s3 += a[aOffset + i + 3] * b[bOffset + i + 3];
+  }
+  for (; i < dim; i++) s0 += a[aOffset + i] * b[bOffset + i];
+  return s0 + s1 + s2 + s3;
+}
+
+function nearestCentroid(centroids, nlist, source, offset, dim) {
+  let best = 0;
+  let bestScore = -Infinity;
+  for (let c = 0; c < nlist; c++) {
+    const score = dot(centroids, c * dim, source, offset, dim);
+    if (score > bestScore) {
+      bestScore = score;
+      best = c;
+    }
+  }
+  return best;
+}
+
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Keeps the k best { id, score } pairs in descending score order
+ */
+class TopK {
+  constructor(k) {
+    this.k = k;
+    this.items = [];
+  }
+
+  get threshold() {
+    return this.items.length < this.k ? -Infinity : this.items[this.items.length - 1].score;
+  }
+
+  push(id, score) {
+    if (score <= this.threshold) return;
+    let i = this.items.length;
+    while (i > 0 && this.items[i - 1].score < score) i--;
+    this.items.splice(i, 0, { id, score });
+    if (this.items.length > this.k) this.items.pop();
+  }
+}
+
+/**
+ * Vectors of a single dimension with exact and IVF approximate search
+ */
+export class VectorIndex {
+  /**
+   * @param {number} dim - Vector dimension
+   */
+  constructor(dim) {
+    this.dim = dim;
+    this.ids = [];
+    this.slots = new Map();
+    this.data = new Float32Array(dim * 64);
+    // IVF state: unit-length centroids, slots per list and the list of each slot
+    this.centroids = null;
+    this.nlist = 0;
+    this.lists = null;
+    this.slotList = [];
+    this.trainedSize = 0;
+    this.training = null;
+  }
+
+  get size() {
+    return this.ids.length;
+  }
+
+  has(id) {
+    return this.slots.has(id);
+  }
+
+  /**
+   * @param {number} id - Item id
+   * @returns {Float32Array|null} Copy of the stored unit-length vector
+   */
+  get(id) {
+    const slot = this.slots.get(id);
+    if (slot === undefined) return null;
+    return this.data.slice(slot * this.dim, (slot + 1) * this.dim);
+  }
+
+  /**
+   * Add or replace the vector for an id
+   * @param {number} id - Item id
+   * @param {number[]|Float32Array} vector - Vector of length dim
+   */
+  add(id, vector) {
+    if (vector.length !== this.dim) {
+      throw new Error(`Vector dimension ${vector.length} does not match index dimension ${this.dim}`);
+    }
+    this.addNormalized(id, normalizeVector(vector));
+  }
+
+  addNormalized(id, unit) {
+    if (this.slots.has(id)) this.remove(id);
+
+    const slot = this.ids.length;
+    if ((slot + 1) * this.dim > this.data.length) {
+      const grown = new Float32Array(this.data.length * 2);
+      grown.set(this.data);
+      this.data = grown;
+    }
+    this.data.set(unit, slot * this.dim);
+    this.ids.push(id);
+    this.slots.set(id, slot);
+
+    if (this.centroids) {
+      const list = nearestCentroid(this.centroids, this.nlist, this.data, slot * this.dim, this.dim);
+      this.lists[list].push(slot);
+      this.slotList[slot] = list;
+    }
+  }
+
+  /**
+   * Remove the vector for an id. The last slot moves into the freed one.
+   * @param {number} id - Item id
+   * @returns {boolean} True if the id was present
+   */
+  remove(id) {
+    const slot = this.slots.get(id);
+    if (slot === undefined) return false;
+    const last = this.ids.length - 1;
+
+    if (this.centroids) {
+      const list = this.lists[this.slotList[slot]];
+      list.splice(list.indexOf(slot), 1);
+      if (slot !== last) {
+        const lastList = this.lists[this.slotList[last]];
+        lastList[lastList.indexOf(last)] = slot;
+        this.slotList[slot] = this.slotList[last];
+      }
+      this.slotList.pop();
+    }
+
+    if (slot !== last) {
+      const movedId = this.ids[last];
+      this.data.copyWithin(slot * this.dim, last * this.dim, (last + 1) * this.dim);
+      this.ids[slot] = movedId;
+      this.slots.set(movedId, slot);
+    }
+    this.ids.pop();
+    this.slots.delete(id);
+    return true;
+  }
+
+  /**
+   * Whether the IVF lists are missing or stale for the current size
+   * @returns {boolean} True if train() would rebuild them
+   */
+  needsTraining() {
+    return this.size >= IVF_MIN_VECTORS && this.size >= this.trainedSize * 2;
+  }
+
+  /**
+   * Rebuild the IVF lists in the background. Work is split into slices that
+   * yield to the event loop, and searches keep using the previous lists (or
+   * an exact scan) until the new ones are swapped in.
+   * @returns {Promise<void>} Resolves when the lists are ready
+   */
+  train() {
+    if (!this.training) {
+      this.training = this.buildLists().finally(() => {
+        this.training = null;
+      });
+    }
+    return this.training;
+  }
+
+  async buildLists() {
+    const n = this.size;
+    if (n < IVF_MIN_VECTORS) {
+      this.centroids = null;
+      this.lists = null;
+      this.slotList = [];
+      this.nlist = 0;
+      this.trainedSize = 0;
+      return;
+    }
+
+    const dim = this.dim;
+    const nlist = Math.min(1024, Math.round(Math.sqrt(n) / 2));
+    const sampleSize = Math.min(n, nlist * KMEANS_SAMPLE_PER_LIST);
+
+    // Copy a random sample (partial Fisher-Yates) so later removals can't
+    // move vectors underneath the k-means loop
+    const order = new Uint32Array(n);
+    for (let i = 0; i < n; i++) order[i] = i;
+    const sample = new Float32Array(sampleSize * dim);
+    for (let i = 0; i < sampleSize; i++) {
+      const j = i + Math.floor(Math.random() * (n - i));
+      [order[i], order[j]] = [order[j], order[i]];
+      sample.set(this.data.subarray(order[i] * dim, (order[i] + 1) * dim), i * dim);
+    }
+
+    // Spherical k-means, seeded with the first sampled vectors
+    const centroids = sample.slice(0, nlist * dim);
+    const sums = new Float32Array(nlist * dim);
+    const counts = new Uint32Array(nlist);
+    for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+      sums.fill(0);
+      counts.fill(0);
+      for (let s = 0; s < sampleSize; s++) {
+        const c = nearestCentroid(centroids, nlist, sample, s * dim, dim);
+        counts[c]++;
+        for (let i = 0; i < dim; i++) sums[c * dim + i] += sample[s * dim + i];
+        if (s % TRAIN_SLICE === 0) await yieldToEventLoop();
+      }
+      for (let c = 0; c < nlist; c++) {
+        // Empty clusters keep their previous centroid
+        if (counts[c] === 0) continue;
+        centroids.set(normalizeVector(sums.subarray(c * dim, (c + 1) * dim)), c * dim);
+      }
+    }
+
+    // Assign by id, since slots shift when vectors are removed meanwhile
+    const ids = this.ids.slice();
+    const assigned = new Map();
+    for (let i = 0; i < ids.length; i++) {
+      const slot = this.slots.get(ids[i]);
+      if (slot !== undefined) {
+        assigned.set(ids[i], nearestCentroid(centroids, nlist, this.data, slot * dim, dim));
+      }
+      if (i % TRAIN_SLICE === 0) await yieldToEventLoop();
+    }
+
+    const lists = Array.from({ length: nlist }, () => []);
+    const slotList = new Array(this.size);
+    for (let slot = 0; slot < this.size; slot++) {
+      let list = assigned.get(this.ids[slot]);
+      if (list === undefined) list = nearestCentroid(centroids, nlist, this.data, slot * dim, dim);
+      lists[list].push(slot);
+      slotList[slot] = list;
+    }
+    this.centroids = centroids;
+    this.nlist = nlist;
+    this.lists = lists;
+    this.slotList = slotList;
+    this.trainedSize = n;
+  }
+
+  /**
+   * Find the vectors most similar to a query
+   * @param {number[]|Float32Array} vector - Query vector of length dim
+   * @param {number} k - Number of results
+   * @param {Object} options - Search options
+   * @param {Function} options.filter - Optional predicate on ids
+   * @param {number} options.nprobe - IVF lists to scan (default nlist/8, at least 8)
+   * @param {boolean} options.exact - Scan every vector even when an IVF index exists
+   * @returns {Array<{id: number, score: number}>} Best matches, highest cosine similarity first
+   */
+  search(vector, k = 5, { filter = null, nprobe = null, exact = false } = {}) {
+    if (vector.length !== this.dim) {
+      throw new Error(`Query dimension ${vector.length} does not match index dimension ${this.dim}`);
+    }
+    if (this.size === 0 || k <= 0) return [];
+    // Starts a background rebuild; this search uses the current lists
+    if (this.needsTraining()) this.train();
+
+    const query = normalizeVector(vector);
+    const top = new TopK(k);
+    const scan = (slot) => {
+      const id = this.ids[slot];
+      if (filter && !filter(id)) return;
+      top.push(id, dot(this.data, slot * this.dim, query, 0, this.dim));
+    };
+
+    if (!this.centroids || exact) {
+      for (let slot = 0; slot < this.size; slot++) scan(slot);
+      return top.items;
+    }
+
+    const probes = Math.min(this.nlist, nprobe || Math.max(8, Math.ceil(this.nlist / 8)));
+    const nearest = new TopK(probes);
+    for (let c = 0; c < this.nlist; c++) {
+      nearest.push(c, dot(this.centroids, c * this.dim, query, 0, this.dim));
+    }
+    for (const { id: list } of nearest.items) {
+      for (const slot of this.lists[list]) scan(slot);
+    }
+
+    // A selective filter can starve the probed lists; fall back to a full scan
+    if (filter && top.items.length < k) {
+      return this.search(vector, k, { filter, exact: true });
+    }
+    return top.items;
+  }
+}
+
+/**
+ * Vectors for many items across embedding models, with binary persistence
+ */
+export class VectorStore {
+  constructor() {
+    // Space key is "<model>\0<dim>"
+    this.spaces = new Map();
+    this.locations = new Map();
+  }
+
+  static spaceKey(model, dim) {
+    return `${model}\0${dim}`;
+  }
+
+  get size() {
+    return this.locations.size;
+  }
+
+  has(id) {
+    return this.locations.has(id);
+  }
+
+  /**
+   * @param {number} id - Item id
+   * @returns {{model: string, dimension: number, vector: Float32Array}|null} Stored unit-length vector
+   */
+  get(id) {
+    const key = this.locations.get(id);
+    if (!key) return null;
+    const space = this.spaces.get(key);
+    return { model: space.model, dimension: space.index.dim, vector: space.index.get(id) };
+  }
+
+  getSpace(model, dim, create = false) {
+    const key = VectorStore.spaceKey(model, dim);
+    if (!this.spaces.has(key) && create) {
+      this.spaces.set(key, { model, index: new VectorIndex(dim) });
+    }
+    return this.spaces.get(key) || null;
+  }
+
+  /**
+   * Store the vector for an id, replacing any vector it had in another space
+   * @param {number} id - Item id
+   * @param {string} model - Embedding model that produced the vector
+   * @param {number[]|Float32Array} vector - Embedding vector
+   */
+  set(id, model, vector) {
+    this.delete(id);
+    this.getSpace(model, vector.length, true).index.add(id, vector);
+    this.locations.set(id, VectorStore.spaceKey(model, vector.length));
+  }
+
+  delete(id) {
+    const key = this.locations.get(id);
+    if (!key) return false;
+    const space = this.spaces.get(key);
+    space.index.remove(id);
+    if (space.index.size === 0) this.spaces.delete(key);
+    this.locations.delete(id);
+    return true;
+  }
+
+  clear() {
+    this.spaces.clear();
+    this.locations.clear();
+  }
+
+  /**
+   * Search the vectors that share the query's model and dimension
+   * @param {string} model - Embedding model of the query
+   * @param {number[]|Float32Array} vector - Query vector
+   * @param {number} k - Number of results
+   * @param {Object} options - Passed to VectorIndex.search
+   * @returns {Array<{id: number, score: number}>} Best matches
+   */
+  search(model, vector, k = 5, options = {}) {
+    const space = this.getSpace(model, vector.length);
+    return space ? space.index.search(vector, k, options) : [];
+  }
+
+  /**
+   * Build any IVF indexes that are missing or stale
+   * @returns {Promise<void>} Resolves when every index is ready
+   */
+  async prepare() {
+    const pending = [];
+    for (const { index } of this.spaces.values()) {
+      if (index.needsTraining() || index.training) pending.push(index.train());
+    }
+    await Promise.all(pending);
+  }
+
+  stats() {
+    return Array.from(this.spaces.values(), ({ model, index }) => ({
+      model,
+      dimension: index.dim,
+      count: index.size,
+      ivfLists: index.nlist
+    }));
+  }
+
+  /**
+   * Write all vectors to a binary file.
+   * Layout (little-endian): "EVMV", u32 version, u32 space count, then per
+   * space: u32 model byte length, model (UTF-8), u32 dim, u32 count,
+   * u32 ids[count], f32 vectors[count * dim].
+   * @param {string} file - Destination path, replaced atomically
+   */
+  async save(file) {
+    const spaces = Array.from(this.spaces.values(), ({ model, index }) => ({
+      model: Buffer.from(model, 'utf-8'),
+      index
+    }));
+    let length = 12;
+    for (const { model, index } of spaces) {
+      length += 12 + model.length + index.size * 4 * (1 + index.dim);
+    }
+
+    const buffer = Buffer.alloc(length);
+    buffer.write(MAGIC, 0, 'ascii');
+    buffer.writeUInt32LE(FORMAT_VERSION, 4);
+    buffer.writeUInt32LE(spaces.length, 8);
+    let offset = 12;
+    for (const { model, index } of spaces) {
+      buffer.writeUInt32LE(model.length, offset);
+      model.copy(buffer, offset + 4);
+      offset += 4 + model.length;
+      buffer.writeUInt32LE(index.dim, offset);
+      buffer.writeUInt32LE(index.size, offset + 4);
+      offset += 8;
+      for (const id of index.ids) {
+        buffer.writeUInt32LE(id, offset);
+        offset += 4;
+      }
+      const vectors = Buffer.from(index.data.buffer, index.data.byteOffset, index.size * index.dim * 4);
+      vectors.copy(buffer, offset);
+      offset += vectors.length;
+    }
+
+    const tmp = `${file}.tmp`;
+    await fs.writeFile(tmp, buffer);
+    await fs.rename(tmp, file);
+  }
+
+  /**
+   * Read a store written by save(). A missing file gives an empty store.
+   * @param {string} file - Source path
+   * @returns {Promise<VectorStore>} Loaded store
+   */
+  static async load(file) {
+    const store = new VectorStore();
+    let buffer;
+    try {
+      buffer = await fs.readFile(file);
+    } catch (error) {
+      if (error.code === 'ENOENT') return store;
+      throw error;
+    }
+
+    if (buffer.toString('ascii', 0, 4) !== MAGIC) {
+      throw new Error(`${file} is not a vector store file`);
+    }
+    store.readSnapshot(buffer);
+    return store;
+  }
+
+  /**
+   * Add the vectors of a file written by save()
+   * @param {Buffer} buffer - File contents, starting with the "EVMV" header
+   */
+  readSnapshot(buffer) {
+    const version = buffer.readUInt32LE(4);
+    if (version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported vector store version ${version}`);
+    }
+
+    const spaceCount = buffer.readUInt32LE(8);
+    let offset = 12;
+    for (let s = 0; s < spaceCount; s++) {
+      const modelLength = buffer.readUInt32LE(offset);
+      const model = buffer.toString('utf-8', offset + 4, offset + 4 + modelLength);
+      offset += 4 + modelLength;
+      const dim = buffer.readUInt32LE(offset);
+      const count = buffer.readUInt32LE(offset + 4);
+      offset += 8;
+
+      const ids = new Array(count);
+      for (let i = 0; i < count; i++) ids[i] = buffer.readUInt32LE(offset + i * 4);
+      offset += count * 4;
+
+      // Copy out of the file buffer: its offset may not be 4-byte aligned
+      const vectors = new Float32Array(count * dim);
+      Buffer.from(vectors.buffer).set(buffer.subarray(offset, offset + count * dim * 4));
+      offset += count * dim * 4;
+
+      const space = this.getSpace(model, dim, true);
+      for (let i = 0; i < count; i++) {
+        space.index.addNormalized(ids[i], vectors.subarray(i * dim, (i + 1) * dim));
+        this.locations.set(ids[i], VectorStore.spaceKey(model, dim));
+      }
+    }
+  }
+}
+
+/**
+ * A VectorStore that persists itself as a binary log. Changed ids are
+ * appended shortly after they change, so a save costs only what changed, and
+ * the log is rewritten once it holds twice as many records as the store has
+ * vectors. Files written by VectorStore.save() are read and converted on the
+ * first save.
+ * Log layout (little-endian): "EVVL", u32 version, then records of u8 op
+ * (1 = set, 0 = delete), u32 id and, for a set, u32 model byte length,
+ * model (UTF-8), u32 dim, f32 vector[dim].
+ */
+export class VectorLog extends VectorStore {
+  /**
+   * @param {Object} options - { file: log path, onError(error) for failed saves }
+   */
+  constructor({ file, onError = () => {} }) {
+    super();
+    this.file = file;
+    this.onError = onError;
+    // Ids changed since the last save; each is written as its current state
+    this.pending = new Set();
+    // Records in the log file, including superseded ones
+    this.records = 0;
+    this.needsCompaction = false;
+    this.saveTimer = null;
+    // Saves run one after another, so appends never interleave with a rewrite
+    this.saving = Promise.resolve();
+  }
+
+  set(id, model, vector) {
+    super.set(id, model, vector);
+    this.pending.add(id);
+    this.scheduleSave();
+  }
+
+  delete(id) {
+    const removed = super.delete(id);
+    if (removed) {
+      this.pending.add(id);
+      this.scheduleSave();
+    }
+    return removed;
+  }
+
+  clear() {
+    super.clear();
+    this.pending.clear();
+    this.needsCompaction = true;
+    this.scheduleSave();
+  }
+
+  /**
+   * Read the log, or a snapshot written by VectorStore.save(). A missing file
+   * leaves the store empty.
+   */
+  async load() {
+    let buffer;
+    try {
+      buffer = await fs.readFile(this.file);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const magic = buffer.toString('ascii', 0, 4);
+    if (magic === MAGIC) {
+      this.readSnapshot(buffer);
+      this.needsCompaction = true;
+      return;
+    }
+    if (magic !== LOG_MAGIC) throw new Error(`${this.file} is not a vector log file`);
+    const version = buffer.readUInt32LE(4);
+    if (version !== LOG_VERSION) throw new Error(`Unsupported vector log version ${version}`);
+
+    let offset = LOG_HEADER_BYTES;
+    while (offset < buffer.length) {
+      // A record cut short by a crash ends the log; the next save rewrites it
+      if (offset + 5 > buffer.length) break;
+      const op = buffer[offset];
+      const id = buffer.readUInt32LE(offset + 1);
+      if (op === 0) {
+        super.delete(id);
+        offset += 5;
+        this.records++;
+        continue;
+      }
+
+      if (offset + 9 > buffer.length) break;
+      const modelLength = buffer.readUInt32LE(offset + 5);
+      const dimOffset = offset + 9 + modelLength;
+      if (dimOffset + 4 > buffer.length) break;
+      const dim = buffer.readUInt32LE(dimOffset);
+      const end = dimOffset + 4 + dim * 4;
+      if (end > buffer.length) break;
+
+      const model = buffer.toString('utf-8', offset + 9, dimOffset);
+      // Copy out of the file buffer: its offset may not be 4-byte aligned
+      const vector = new Float32Array(dim);
+      Buffer.from(vector.buffer).set(buffer.subarray(dimOffset + 4, end));
+      super.delete(id);
+      this.getSpace(model, dim, true).index.addNormalized(id, vector);
+      this.locations.set(id, VectorStore.spaceKey(model, dim));
+      this.records++;
+      offset = end;
+    }
+    if (offset < buffer.length) this.needsCompaction = true;
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    // Failures reach onError through flush()
+    this.saveTimer = setTimeout(() => this.flush().catch(() => {}), LOG_SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write pending changes now instead of after the save delay
+   * @returns {Promise<void>} Resolves once they are on disk
+   */
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    const run = this.saving.then(() => this.writePending());
+    this.saving = run.catch(this.onError);
+    return run;
+  }
+
+  /**
+   * Append pending changes, or rewrite the log when it has grown too large
+   */
+  async writePending() {
+    const pending = [...this.pending];
+    this.pending.clear();
+    try {
+      await this.write(pending);
+    } catch (error) {
+      // The log may now end in a partial record
+      this.needsCompaction = true;
+      throw error;
+    }
+  }
+
+  async write(pending) {
+    if (this.needsCompaction || this.records === 0 ||
+      this.records + pending.length > Math.max(this.size * 2, LOG_MIN_COMPACT_RECORDS)) {
+      const ids = [...this.locations.keys()];
+      const tmp = `${this.file}.tmp`;
+      await fs.writeFile(tmp, Buffer.concat([logHeader(), this.encodeRecords(ids)]));
+      await fs.rename(tmp, this.file);
+      this.records = ids.length;
+      this.needsCompaction = false;
+      return;
+    }
+
+    if (pending.length === 0) return;
+    await fs.appendFile(this.file, this.encodeRecords(pending));
+    this.records += pending.length;
+  }
+
+  /**
+   * Encode the current state of ids: a set record, or a delete record for
+   * ids no longer stored
+   * @param {number[]} ids - Item ids
+   * @returns {Buffer} Records
+   */
+  encodeRecords(ids) {
+    return Buffer.concat(ids.map(id => {
+      const stored = this.get(id);
+      if (!stored) {
+        const record = Buffer.alloc(5);
+        record.writeUInt32LE(id, 1);
+        return record;
+      }
+      const model = Buffer.from(stored.model, 'utf-8');
+      const record = Buffer.alloc(13 + model.length + stored.dimension * 4);
+      record[0] = 1;
+      record.writeUInt32LE(id, 1);
+      record.writeUInt32LE(model.length, 5);
+      model.copy(record, 9);
+      record.writeUInt32LE(stored.dimension, 9 + model.length);
+      Buffer.from(stored.vector.buffer, stored.vector.byteOffset, stored.dimension * 4).copy(record, 13 + model.length);
+      return record;
+    }));
+  }
+}
+
+function logHeader() {
+  const header = Buffer.alloc(LOG_HEADER_BYTES);
+  header.write(LOG_MAGIC, 0, 'ascii');
+  header.writeUInt32LE(LOG_VERSION, 4);
+  return header;
+}
@@ -0,0 +1,276 @@
+/**
+ * Evolve-UI Web Cache
+ *
+ * Disk cache for web search results and cleaned page text. Each entry is a
+ * JSON file named by a hash of its kind and key, and index.json lists every
+ * entry's size, expiry and last access so stats and eviction never read the
+ * entries themselves. Expired entries stay on disk until evicted, so pages
+ * can be revalidated with their ETag or Last-Modified date instead of being
+ * downloaded again.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+
+const INDEX_FILE = 'index.json';
+const INDEX_SAVE_DELAY_MS = 2000;
+const COUNTERS = ['hits', 'misses', 'stale', 'revalidated', 'writes', 'evictions'];
+
+/**
+ * Normalize a search query so trivially different spellings share an entry
+ * @param {string} query - Search query
+ * @returns {string} Lowercase query with single spaces
+ */
+export function normalizeQuery(query) {
+  return String(query).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalize a URL for use as a cache key: the fragment is dropped, and the
+ * scheme and host are lowercased by the URL parser
+ * @param {string} url - Absolute URL
+ * @returns {string} Normalized URL
+ */
+export function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  return parsed.href;
+}
+
+/**
+ * How long a response may be served from cache, from its Cache-Control,
+ * Age and Expires headers
+ * @param {Headers} headers - Response headers
+ * @param {number} fallback - Lifetime in milliseconds when the headers give none
+ * @returns {number|null} Lifetime in milliseconds (0 means revalidate on every
+ * use), or null when the response must not be stored
+ */
+export function freshnessLifetime(headers, fallback) {
+  const cacheControl = (headers.get('cache-control') || '').toLowerCase();
+  if (/(^|[\s,])no-store\b/.test(cacheControl)) return null;
+  if (/(^|[\s,])no-cache\b/.test(cacheControl)) return 0;
+
+  const age = parseInt(headers.get('age'), 10) || 0;
+  const maxAge = cacheControl.match(/(?:^|[\s,])max-age\s*=\s*"?(\d+)/);
+  if (maxAge) return Math.max(0, Number(maxAge[1]) - age) * 1000;
+
+  const expires = Date.parse(headers.get('expires') || '');
+  if (headers.has('expires')) {
+    // Invalid dates such as "0" mean already expired
+    if (Number.isNaN(expires)) return 0;
+    const date = Date.parse(headers.get('date') || '') || Date.now();
+    return Math.max(0, expires - date);
+  }
+
+  return fallback;
+}
+
+export class WebCache {
+  /**
+   * @param {Object} options - { dir, maxBytes }
+   */
+  constructor({ dir, maxBytes = 200 * 1024 * 1024 }) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    // id -> { kind, key, size, storedAt, expiresAt, accessedAt }
+    this.entries = new Map();
+    this.counters = new Map();
+    this.loading = null;
+    this.saveTimer = null;
+  }
+
+  static entryId(kind, key) {
+    return createHash('sha256').update(kind).update('\0').update(key).digest('hex');
+  }
+
+  entryPath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  load() {
+    this.loading ||= (async () => {
+      await fs.mkdir(this.dir, { recursive: true });
+      try {
+        const data = JSON.parse(await fs.readFile(path.join(this.dir, INDEX_FILE), 'utf-8'));
+        for (const [id, meta] of Object.entries(data.entries || {})) this.entries.set(id, meta);
+      } catch {
+        // Also covers entries written before the index was first saved
+        await this.rebuildIndex();
+      }
+    })();
+    return this.loading;
+  }
+
+  // Recover the index from the entry files after it was lost or corrupted
+  async rebuildIndex() {
+    for (const file of await fs.readdir(this.dir)) {
+      if (!file.endsWith('.json') || file === INDEX_FILE) continue;
+      try {
+        const raw = await fs.readFile(path.join(this.dir, file), 'utf-8');
+        const { kind, key, storedAt, expiresAt } = JSON.parse(raw);
+        this.entries.set(file.slice(0, -5), { kind, key, size: raw.length, storedAt, expiresAt, accessedAt: storedAt });
+      } catch {
+        await fs.rm(path.join(this.dir, file), { force: true });
+      }
+    }
+    this.scheduleSave();
+  }
+
+  count(kind, counter) {
+    if (!this.counters.has(kind)) {
+      this.counters.set(kind, Object.fromEntries(COUNTERS.map(name => [name, 0])));
+    }
+    this.counters.get(kind)[counter]++;
+  }
+
+  /**
+   * Look up an entry, fresh or expired
+   * @param {string} kind - Entry kind, such as "search" or "page"
+   * @param {string} key - Normalized key
+   * @returns {Promise<Object|null>} { value, etag, lastModified, storedAt, expiresAt, fresh }
+   */
+  async get(kind, key) {
+    await this.load();
+    const id = WebCache.entryId(kind, key);
+    const meta = this.entries.get(id);
+    if (!meta) {
+      this.count(kind, 'misses');
+      return null;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this.entryPath(id), 'utf-8'));
+    } catch {
+      this.entries.delete(id);
+      this.scheduleSave();
+      this.count(kind, 'misses');
+      return null;
+    }
+
+    meta.accessedAt = Date.now();
+    this.scheduleSave();
+    const fresh = Date.now() < meta.expiresAt;
+    this.count(kind, fresh ? 'hits' : 'stale');
+    return { ...entry, expiresAt: meta.expiresAt, fresh };
+  }
+
+  /**
+   * Store an entry, evicting the least recently used beyond maxBytes
+   * @param {string} kind - Entry kind
+   * @param {string} key - Normalized key
+   * @param {*} value - JSON-serializable value
+   * @param {Object} options - { ttl in milliseconds, etag, lastModified }
+   */
+  async set(kind, key, value, { ttl, etag = null, lastModified = null }) {
+    await this.load();
+    const id = WebCache.entryId(kind, key);
+    const storedAt = Date.now();
+    const expiresAt = storedAt + ttl;
+    const raw = JSON.stringify({ kind, key, value, etag, lastModified, storedAt, expiresAt });
+
+    await fs.writeFile(this.entryPath(id), raw);
+    this.entries.set(id, { kind, key, size: raw.length, storedAt, expiresAt, accessedAt: storedAt });
+    this.count(kind, 'writes');
+    await this.evict();
+    this.scheduleSave();
+  }
+
+  /**
+   * Extend an entry after the origin confirmed it is unchanged (HTTP 304)
+   * @param {string} kind - Entry kind
+   * @param {string} key - Normalized key
+   * @param {number} ttl - New lifetime in milliseconds
+   */
+  renew(kind, key, ttl) {
+    const meta = this.entries.get(WebCache.entryId(kind, key));
+    if (!meta) return;
+    meta.expiresAt = Date.now() + ttl;
+    this.count(kind, 'revalidated');
+    this.scheduleSave();
+  }
+
+  async evict() {
+    let total = this.totalBytes();
+    if (total <= this.maxBytes) return;
+
+    const byAccess = [...this.entries].sort((a, b) => a[1].accessedAt - b[1].accessedAt);
+    for (const [id, meta] of byAccess) {
+      if (total <= this.maxBytes) break;
+      await this.remove(id);
+      total -= meta.size;
+      this.count(meta.kind, 'evictions');
+    }
+  }
+
+  async remove(id) {
+    this.entries.delete(id);
+    await fs.rm(this.entryPath(id), { force: true });
+  }
+
+  /**
+   * Delete entries
+   * @param {Object} filter - { kind, key, expired: only entries past their expiry }
+   * @returns {Promise<number>} Entries removed
+   */
+  async purge({ kind = null, key = null, expired = false } = {}) {
+    await this.load();
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [id, meta] of [...this.entries]) {
+      if (kind && meta.kind !== kind) continue;
+      if (key !== null && meta.key !== key) continue;
+      if (expired && meta.expiresAt > now) continue;
+      await this.remove(id);
+      removed++;
+    }
+
+    if (removed) this.scheduleSave();
+    return removed;
+  }
+
+  totalBytes() {
+    let total = 0;
+    for (const meta of this.entries.values()) total += meta.size;
+    return total;
+  }
+
+  /**
+   * Entry counts, sizes and hit counters since startup, per kind
+   * @returns {Promise<Object>} { entries, bytes, maxBytes, kinds }
+   */
+  async stats() {
+    await this.load();
+    const now = Date.now();
+    const kinds = {};
+
+    for (const meta of this.entries.values()) {
+      kinds[meta.kind] ||= { entries: 0, expired: 0, bytes: 0 };
+      kinds[meta.kind].entries++;
+      kinds[meta.kind].bytes += meta.size;
+      if (meta.expiresAt <= now) kinds[meta.kind].expired++;
+    }
+    for (const [kind, counters] of this.counters) {
+      kinds[kind] = { entries: 0, expired: 0, bytes: 0, ...kinds[kind], ...counters };
+      const lookups = counters.hits + counters.misses + counters.stale;
+      kinds[kind].hitRate = lookups ? (counters.hits + counters.revalidated) / lookups : null;
+    }
+
+    return { entries: this.entries.size, bytes: this.totalBytes(), maxBytes: this.maxBytes, kinds };
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(async () => {
+      this.saveTimer = null;
+      try {
+        await fs.writeFile(path.join(this.dir, INDEX_FILE), JSON.stringify({ entries: Object.fromEntries(this.entries) }));
+      } catch {
+        // The index is rebuilt from the entry files if it is ever unreadable
+      }
+    }, INDEX_SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+}
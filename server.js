@@ -3,6 +3,8 @@
  * 
  * Features:
  * - AI Thinking Engine with real-time visualization
+ * - Pluggable LLM providers (Ollama and OpenAI-compatible servers)
+ * - Native tool calling (web search, page fetch, memory, calculator, date/time)
  * - Smart Web Search with multi-query generation
  * - Enhanced RAG with vector similarity matching
  * - Persistent Memory System with automatic extraction
@@ -22,12 +24,21 @@ import express from 'express';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import * as cheerio from 'cheerio';
 import multer from 'multer';
 import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
 import cors from 'cors';
 import compression from 'compression';
+import { setMaxListeners } from 'events';
+import { createHash } from 'crypto';
+import { VectorLog, VectorStore, normalizeVector } from './lib/vector-index.js';
+import { KeywordIndex, fuseRankings, tokenize } from './lib/keyword-index.js';
+import { extractDocument, detectImageType } from './lib/extractors.js';
+import { WebCache, normalizeQuery, normalizeUrl, freshnessLifetime } from './lib/web-cache.js';
+import { HostScheduler } from './lib/scheduler.js';
+import { EmbeddingCache } from './lib/embedding-cache.js';
+import { FetchPolicy } from './lib/fetch-policy.js';
+import { extractReadableContent } from './lib/readability.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -35,7 +46,7 @@ const PORT = process.env.PORT || 8787;
 const OLLAMA = process.env.OLLAMA_URL || 'http://localhost:11434';
 const CHAT_MODEL = process.env.CHAT_MODEL || 'llama3.2:3b';
 const EMBED_MODEL = process.env.EMBED_MODEL || 'nomic-embed-text';
-const SEARXNG = (process.env.SEARXNG_URL || 'http://172.26.48.172:8080').replace(/\/+$/, '');
+const SEARXNG = (process.env.SEARXNG_URL || 'http://localhost:8080').replace(/\/+$/, '');
 const DEBUG = process.env.DEBUG === 'true';
 
 /**
@@ -51,9 +62,11 @@ const dataDir = path.join(__dirname, 'data');
 const sessionsDir = path.join(dataDir, 'sessions');
 const memoryFile = path.join(dataDir, 'memory.json');
 const uploadsDir = path.join(dataDir, 'uploads');
+const attachmentsDir = path.join(dataDir, 'attachments');
 
 await fs.mkdir(sessionsDir, { recursive: true });
 await fs.mkdir(uploadsDir, { recursive: true });
+await fs.mkdir(attachmentsDir, { recursive: true });
 
 /**
  * Ensure a file exists with initial data
@@ -155,6 +168,93 @@ const upload = multer({
   }
 });
 
+// Uploaded files are kept in attachmentsDir under their SHA-256 and sent
+// with chat messages by that id
+const ATTACHMENT_ID_PATTERN = /^[a-f0-9]{64}$/;
+const MAX_ATTACHMENTS_PER_MESSAGE = 8;
+const MAX_IMAGES_PER_MESSAGE = 4;
+
+// Per-session generation settings, validated the same way for
+// PATCH /api/sessions/:id/settings and per-request overrides in /api/chat
+const GENERATION_SETTINGS = {
+  temperature: { type: 'number', min: 0, max: 2 },
+  top_p: { type: 'number', min: 0, max: 1 },
+  top_k: { type: 'integer', min: 1, max: 1000 },
+  num_ctx: { type: 'integer', min: 256, max: 1048576 },
+  seed: { type: 'integer', min: 0, max: 2147483647 },
+  repeat_penalty: { type: 'number', min: 0, max: 2 },
+  stop: { type: 'stop' },
+  keep_alive: { type: 'keep_alive' }
+};
+
+/**
+ * Validate generation settings against GENERATION_SETTINGS
+ * @param {Object} input - Candidate settings; null values clear a setting
+ * @returns {{ settings: Object, errors: string[] }} Accepted settings and validation errors
+ */
+function validateGenerationSettings(input) {
+  const settings = {};
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { settings, errors: ['Settings must be an object'] };
+  }
+
+  for (const [key, value] of Object.entries(input)) {
+    const rule = GENERATION_SETTINGS[key];
+    if (!rule) {
+      errors.push(`Unknown setting: ${key}`);
+      continue;
+    }
+
+    if (value === null) {
+      settings[key] = null;
+      continue;
+    }
+
+    if (rule.type === 'number' || rule.type === 'integer') {
+      const valid = typeof value === 'number' && Number.isFinite(value) &&
+        (rule.type === 'number' || Number.isInteger(value)) &&
+        value >= rule.min && value <= rule.max;
+      if (!valid) {
+        errors.push(`${key} must be ${rule.type === 'integer' ? 'an integer' : 'a number'} between ${rule.min} and ${rule.max}`);
+        continue;
+      }
+    } else if (rule.type === 'stop') {
+      const valid = Array.isArray(value) && value.length <= 8 &&
+        value.every(s => typeof s === 'string' && s.length > 0 && s.length <= 100);
+      if (!valid) {
+        errors.push('stop must be an array of up to 8 non-empty strings');
+        continue;
+      }
+    } else if (rule.type === 'keep_alive') {
+      const valid = (Number.isInteger(value) && value >= -1) ||
+        (typeof value === 'string' && /^-?\d+(ms|s|m|h)?$/.test(value));
+      if (!valid) {
+        errors.push('keep_alive must be a duration such as "5m" or a number of seconds (-1 keeps the model loaded)');
+        continue;
+      }
+    }
+
+    settings[key] = value;
+  }
+
+  return { settings, errors };
+}
+
+/**
+ * Pick the model options out of a session's settings
+ * @param {Object} settings - Session settings
+ * @returns {Object} Options to pass to the provider
+ */
+function generationOptions(settings = {}) {
+  const options = {};
+  for (const key of Object.keys(GENERATION_SETTINGS)) {
+    if (settings[key] !== undefined && settings[key] !== null) options[key] = settings[key];
+  }
+  return options;
+}
+
 // Input validation
 const validateChatInput = (req, res, next) => {
   const { sessionId, message, model } = req.body;
@@ -171,1466 +271,6092 @@ const validateChatInput = (req, res, next) => {
     return res.status(400).json({ error: 'Invalid model parameter' });
   }
 
+  if (req.body.requestId !== undefined &&
+      (typeof req.body.requestId !== 'string' || !/^[\w-]{1,100}$/.test(req.body.requestId))) {
+    return res.status(400).json({ error: 'Invalid requestId' });
+  }
+
+  const { models } = req.body;
+  if (models !== undefined && (
+    !Array.isArray(models) || models.length < 2 || models.length > 4 ||
+    models.some(m => typeof m !== 'string' || !m || m.length > 200) ||
+    new Set(models).size !== models.length
+  )) {
+    return res.status(400).json({ error: 'Invalid models: expected 2-4 distinct model names' });
+  }
+
+  if (req.body.useTools !== undefined && typeof req.body.useTools !== 'boolean') {
+    return res.status(400).json({ error: 'Invalid useTools' });
+  }
+
+  const { attachments } = req.body;
+  if (attachments !== undefined && (
+    !Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS_PER_MESSAGE ||
+    attachments.some(id => typeof id !== 'string' || !ATTACHMENT_ID_PATTERN.test(id))
+  )) {
+    return res.status(400).json({ error: `Invalid attachments: expected up to ${MAX_ATTACHMENTS_PER_MESSAGE} attachment ids` });
+  }
+
+  if (req.body.options !== undefined) {
+    const { settings, errors } = validateGenerationSettings(req.body.options);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid options', details: errors });
+    }
+    req.body.options = generationOptions(settings);
+  }
+
   req.body.message = message.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
   next();
 };
 
-// Enhanced Ollama helpers
-async function ollamaChat({ model, messages, stream = true, timeout = 300000 }) {
-  debugLog('Ollama chat request:', model, 'messages:', messages.length);
+// LLM provider layer
+// Every model call goes through a provider so Ollama and OpenAI-compatible
+// servers (llama.cpp, vLLM, LM Studio) can serve models side by side.
+const DEFAULT_PROVIDER = 'ollama';
+
+/**
+ * Signal that aborts with a per-request controller or with an outer signal
+ * (cancel or client disconnect). AbortSignal.any links the two without adding
+ * a listener to the outer signal, which lives for the whole generation; Node
+ * versions without it fall back to a listener.
+ * @param {AbortController} controller - Per-request controller
+ * @param {AbortSignal|null} signal - Outer generation signal
+ * @returns {AbortSignal} Signal to pass on
+ */
+function linkSignal(controller, signal) {
+  if (!signal) return controller.signal;
+  if (AbortSignal.any) return AbortSignal.any([controller.signal, signal]);
+  if (signal.aborted) {
+    controller.abort(signal.reason);
+  } else {
+    signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+  }
+  return controller.signal;
+}
+
+/**
+ * Open a fetch with a timeout, returning the response once headers arrive
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options
+ * @param {number} timeout - Timeout in milliseconds
+ * @param {AbortSignal|null} signal - Outer signal that also aborts the request and its body
+ * @returns {Promise<Response>} Fetch response
+ */
+async function fetchWithTimeout(url, init, timeout, signal = null) {
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const requestSignal = linkSignal(controller, signal);
 
   try {
-    const response = await fetch(`${OLLAMA}/api/chat`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ model, messages, stream }),
-      signal: controller.signal
-    });
-
+    const response = await fetch(url, { ...init, signal: requestSignal });
     clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => 'Unknown error');
-      throw new Error(`Ollama error ${response.status}: ${errorText}`);
-    }
-
     return response;
   } catch (error) {
     clearTimeout(timeoutId);
     if (error.name === 'AbortError') {
-      throw new Error('Request timeout');
+      throw new Error(signal?.aborted ? 'Request cancelled' : 'Request timeout');
     }
     throw error;
   }
 }
 
-async function ollamaGenerate({ model, prompt, stream = false, timeout = 300000 }) {
-  debugLog('Ollama generate request:', model);
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-  try {
-    const response = await fetch(`${OLLAMA}/api/generate`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ model, prompt, stream }),
-      signal: controller.signal
-    });
+/**
+ * Split a streamed response body into lines
+ * @param {Response} response - Fetch response with a readable body
+ */
+async function* readLines(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
 
-    clearTimeout(timeoutId);
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
 
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => 'Unknown error');
-      throw new Error(`Ollama error ${response.status}: ${errorText}`);
-    }
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
 
-    const result = await response.json();
-    return result;
-  } catch (error) {
-    clearTimeout(timeoutId);
-    if (error.name === 'AbortError') {
-      throw new Error('Request timeout');
+    for (const line of lines) {
+      if (line.trim()) yield line;
     }
-    throw error;
   }
+
+  if (buffer.trim()) yield buffer;
 }
 
-async function ollamaEmbed(texts, timeout = 300000) {
-  const inputs = Array.isArray(texts) ? texts : [texts];
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
+class OllamaProvider {
+  constructor({ name = DEFAULT_PROVIDER, baseUrl = OLLAMA } = {}) {
+    this.name = name;
+    this.type = 'ollama';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
 
-  try {
-    const response = await fetch(`${OLLAMA}/api/embeddings`, {
+  buildBody(base, options = {}) {
+    const { keep_alive, ...modelOptions } = options;
+    const body = { ...base };
+    if (Object.keys(modelOptions).length) body.options = modelOptions;
+    if (keep_alive !== undefined) body.keep_alive = keep_alive;
+    return body;
+  }
+
+  async request(endpoint, body, timeout, signal = null) {
+    const response = await fetchWithTimeout(`${this.baseUrl}${endpoint}`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ model: EMBED_MODEL, input: inputs }),
-      signal: controller.signal
-    });
+      body: JSON.stringify(body)
+    }, timeout, signal);
 
-    clearTimeout(timeoutId);
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => 'Unknown error');
+      const error = new Error(`Ollama error ${response.status}: ${errorText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  }
 
+  async listModels() {
+    const response = await fetch(`${this.baseUrl}/api/tags`);
     if (!response.ok) {
-      throw new Error(`Embedding error: ${response.status}`);
+      throw new Error(`Ollama not available: ${response.status}`);
     }
 
-    const result = await response.json();
-    return result.embeddings || (result.embedding ? [result.embedding] : []);
-  } catch (error) {
-    clearTimeout(timeoutId);
-    throw error;
+    const data = await response.json();
+    if (!data || !Array.isArray(data.models)) return [];
+    return data.models.map(m => typeof m === 'string' ? { name: m } : m);
   }
-}
 
-// Enhanced thinking and planning system
-class AIThinkingEngine {
-  constructor(model) {
-    this.model = model;
+  async chat({ model, messages, options, tools, timeout, signal }) {
+    const body = this.buildBody({ model, messages, stream: false, ...(tools?.length && { tools }) }, options);
+    const response = await this.request('/api/chat', body, timeout, signal);
+    const result = await response.json();
+    if (result.message?.tool_calls) {
+      result.message.tool_calls = result.message.tool_calls.map(normalizeToolCall);
+    }
+    return result;
   }
 
-  async analyzeQuery(query, context = '') {
-    const analysisPrompt = `<thinking>
-Analyze this user query to determine:
-1. What type of information is needed (factual, creative, analytical, etc.)
-2. Whether current/real-time information is required
-3. What search strategies would be most effective
-4. How complex the response should be
-5. What expertise domains are relevant
+  /**
+   * Stream a chat completion, yielding content strings, { toolCalls } objects
+   * when tools are offered and the model calls them, and a final { usage }
+   */
+  async *streamChat({ model, messages, options, tools, timeout, signal }) {
+    const body = this.buildBody({ model, messages, stream: true, ...(tools?.length && { tools }) }, options);
+    const response = await this.request('/api/chat', body, timeout, signal);
 
-Query: "${query}"
-Context: ${context}
+    for await (const line of readLines(response)) {
+      let data;
+      try {
+        data = JSON.parse(line);
+      } catch (e) {
+        yield line;
+        continue;
+      }
 
-Provide detailed analysis of the query requirements.
-</thinking>
+      const content = data.message?.content || data.content || '';
+      if (content) yield content;
+      if (data.message?.tool_calls?.length) {
+        yield { toolCalls: data.message.tool_calls.map(normalizeToolCall) };
+      }
+      if (data.done) {
+        yield { usage: { promptTokens: data.prompt_eval_count ?? null, completionTokens: data.eval_count ?? null } };
+      }
+    }
+  }
 
-Based on the query analysis, I need to:`;
+  async generate({ model, prompt, options, format, timeout, signal }) {
+    const body = this.buildBody({ model, prompt, stream: false, ...(format && { format }) }, options);
+    const response = await this.request('/api/generate', body, timeout, signal);
+    return response.json();
+  }
 
-    try {
-      const result = await ollamaGenerate({
-        model: this.model,
-        prompt: analysisPrompt,
-        timeout: 60000
-      });
-      return this.parseThinkingResponse(result.response || '');
-    } catch (error) {
-      debugLog('Query analysis error:', error.message);
-      return {
-        thoughts: [{ content: `Failed to analyze query: ${error.message}`, type: 'error' }],
-        analysis: { needsSearch: false, complexity: 'medium', domains: [] }
-      };
+  async show(model) {
+    const response = await this.request('/api/show', { model }, 30000);
+    return normalizeModelInfo(await response.json());
+  }
+
+  async deleteModel(model) {
+    const response = await fetchWithTimeout(`${this.baseUrl}/api/delete`, {
+      method: 'DELETE',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model })
+    }, 30000);
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => 'Unknown error');
+      const error = new Error(`Ollama error ${response.status}: ${errorText}`);
+      error.status = response.status;
+      throw error;
     }
   }
 
-  async planResponse(query, analysis, searchResults = [], memoryContext = '') {
-    const planningPrompt = `<thinking>
-Plan a comprehensive response strategy:
+  /**
+   * Pull a model, yielding Ollama's progress objects ({ status, digest, total, completed })
+   */
+  async *pull(model, signal = null) {
+    const response = await this.request('/api/pull', { model, stream: true }, 60000, signal);
 
-Query: "${query}"
-Analysis: ${JSON.stringify(analysis)}
-Available search results: ${searchResults.length} items
-Memory context available: ${memoryContext ? 'Yes' : 'No'}
+    for await (const line of readLines(response)) {
+      let progress;
+      try {
+        progress = JSON.parse(line);
+      } catch (e) {
+        debugLog('Unparseable pull progress:', line.slice(0, 100));
+        continue;
+      }
+      if (progress.error) throw new Error(progress.error);
+      yield progress;
+    }
+  }
 
-I need to:
-1. Determine if current search results are sufficient
-2. Plan additional searches if needed
-3. Structure the response for maximum clarity and helpfulness
-4. Identify any knowledge gaps that need addressing
-5. Decide on the optimal response format
+  async embed(inputs, { model, timeout, signal = null }) {
+    const response = await fetchWithTimeout(`${this.baseUrl}/api/embed`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model, input: inputs })
+    }, timeout, signal);
 
-Planning the response structure and approach...
-</thinking>
+    if (!response.ok) {
+      const errorText = await response.text();
+      // Servers older than /api/embed answer with a plain 404 page; a missing
+      // model is also a 404 but carries an error naming the model
+      if (response.status === 404 && !errorText.includes('model')) {
+        return this.embedLegacy(inputs, { model, timeout, signal });
+      }
+      throw new Error(`Embedding error: ${response.status} ${errorText}`);
+    }
 
-Response plan:`;
+    const result = await response.json();
+    return result.embeddings || [];
+  }
 
-    try {
-      const result = await ollamaGenerate({
-        model: this.model,
-        prompt: planningPrompt,
-        timeout: 60000
-      });
-      return this.parseThinkingResponse(result.response || '');
-    } catch (error) {
-      debugLog('Response planning error:', error.message);
-      return {
-        thoughts: [{ content: `Failed to plan response: ${error.message}`, type: 'error' }],
-        plan: { needsMoreSearch: false, searchQueries: [], responseStructure: 'standard' }
-      };
+  async embedLegacy(inputs, { model, timeout, signal = null }) {
+    debugLog('Falling back to legacy /api/embeddings for', inputs.length, 'inputs');
+    const embeddings = [];
+    for (const prompt of inputs) {
+      const response = await fetchWithTimeout(`${this.baseUrl}/api/embeddings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model, prompt })
+      }, timeout, signal);
+
+      if (!response.ok) {
+        throw new Error(`Embedding error: ${response.status}`);
+      }
+
+      const result = await response.json();
+      embeddings.push(result.embedding);
     }
+    return embeddings;
   }
+}
 
-  async evaluateResponse(query, response, sources = []) {
-    const evaluationPrompt = `<thinking>
-Evaluate this response for quality and completeness:
+class OpenAICompatibleProvider {
+  constructor({ name, baseUrl, apiKey = '', contextLength = null, capabilities = ['completion'] }) {
+    this.name = name;
+    this.type = 'openai';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.contextLength = contextLength;
+    this.capabilities = capabilities;
+  }
 
-Original Query: "${query}"
-Generated Response: "${response}"
-Sources Used: ${sources.length}
+  headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    return headers;
+  }
+
+  buildBody(base, options = {}) {
+    // num_ctx and keep_alive are Ollama-only; top_k and repeat_penalty are
+    // accepted as extensions by llama.cpp server and vLLM
+    const body = { ...base };
+    for (const key of ['temperature', 'top_p', 'top_k', 'seed', 'repeat_penalty', 'stop']) {
+      if (options[key] !== undefined) body[key] = options[key];
+    }
+    return body;
+  }
 
-Checking for:
-1. Accuracy and factual correctness
-2. Completeness relative to the query
-3. Clarity and structure
-4. Proper use of sources
-5. Areas for improvement
+  async request(endpoint, body, timeout, signal = null) {
+    const response = await fetchWithTimeout(`${this.baseUrl}${endpoint}`, {
+      method: 'POST',
+      headers: this.headers(),
+      body: JSON.stringify(body)
+    }, timeout, signal);
 
-Quality assessment and recommendations...
-</thinking>
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => 'Unknown error');
+      const error = new Error(`${this.name} error ${response.status}: ${errorText}`);
+      error.status = response.status;
+      throw error;
+    }
 
-Response evaluation:`;
+    return response;
+  }
 
-    try {
-      const result = await ollamaGenerate({
-        model: this.model,
-        prompt: evaluationPrompt,
-        timeout: 60000
-      });
-      return this.parseThinkingResponse(result.response || '');
-    } catch (error) {
-      debugLog('Response evaluation error:', error.message);
-      return {
-        thoughts: [{ content: `Failed to evaluate response: ${error.message}`, type: 'error' }],
-        evaluation: { quality: 'unknown', needsImprovement: false, suggestions: [] }
-      };
+  async listModels() {
+    const response = await fetch(`${this.baseUrl}/models`, { headers: this.headers() });
+    if (!response.ok) {
+      throw new Error(`${this.name} not available: ${response.status}`);
     }
+
+    const data = await response.json();
+    return (data.data || []).map(m => ({ name: m.id, owned_by: m.owned_by }));
   }
 
-  parseThinkingResponse(content) {
-    const thinkingRegex = /<thinking>([\s\S]*?)<\/thinking>/g;
-    const thoughts = [];
-    let match;
-
-    while ((match = thinkingRegex.exec(content)) !== null) {
-      const thoughtContent = match[1].trim();
-      if (thoughtContent) {
-        thoughts.push({
-          content: thoughtContent,
-          timestamp: nowISO(),
-          type: 'analysis'
-        });
+  /**
+   * Convert chat messages to the OpenAI shape, where tool call arguments are
+   * JSON strings and tool results reference their call by id
+   */
+  toOpenAIMessages(messages) {
+    return messages.map(message => {
+      if (message.role === 'tool') {
+        return { role: 'tool', tool_call_id: message.tool_call_id, content: message.content };
       }
-    }
+      if (message.tool_calls?.length) {
+        return {
+          role: 'assistant',
+          content: message.content || null,
+          tool_calls: message.tool_calls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.function.name, arguments: JSON.stringify(call.function.arguments || {}) }
+          }))
+        };
+      }
+      if (message.images?.length) {
+        // Ollama takes bare base64 images; OpenAI wants data URLs as content parts
+        return {
+          role: message.role,
+          content: [
+            { type: 'text', text: message.content },
+            ...message.images.map(data => {
+              const type = detectImageType(Buffer.from(data.slice(0, 24), 'base64'));
+              return { type: 'image_url', image_url: { url: `data:${type?.mimeType || 'image/png'};base64,${data}` } };
+            })
+          ]
+        };
+      }
+      return message;
+    });
+  }
 
-    const response = content.replace(thinkingRegex, '').trim();
-    return { thoughts, response };
+  async chat({ model, messages, options, tools, format, timeout, signal }) {
+    const body = this.buildBody({
+      model,
+      messages: this.toOpenAIMessages(messages),
+      stream: false,
+      ...(tools?.length && { tools }),
+      ...(format && { response_format: { type: 'json_schema', json_schema: { name: 'response', schema: format } } })
+    }, options);
+    const response = await this.request('/chat/completions', body, timeout, signal);
+    const result = await response.json();
+    const message = result.choices?.[0]?.message || {};
+    return {
+      model,
+      message: {
+        role: 'assistant',
+        content: message.content || '',
+        ...(message.tool_calls?.length && { tool_calls: message.tool_calls.map(normalizeToolCall) })
+      }
+    };
   }
 
-  async determineSearchNeed(query, context = '') {
-    const searchKeywords = [
-      'current', 'recent', 'latest', 'news', 'today', 'now', 'this year',
-      'weather', 'price', 'stock', 'when did', 'what happened', 'status',
-      'who is currently', 'what is the current', 'update on', '2024', '2025'
-    ];
+  async *streamChat({ model, messages, options, tools, timeout, signal }) {
+    const body = this.buildBody({
+      model,
+      messages: this.toOpenAIMessages(messages),
+      stream: true,
+      stream_options: { include_usage: true },
+      ...(tools?.length && { tools })
+    }, options);
+    const response = await this.request('/chat/completions', body, timeout, signal);
 
-    // Quick keyword check
-    if (searchKeywords.some(keyword => query.toLowerCase().includes(keyword))) {
-      return { needsSearch: true, confidence: 0.8, reason: 'Contains time-sensitive keywords' };
-    }
+    // Tool calls arrive as fragments keyed by index and are complete only at the end
+    const partialCalls = [];
 
-    // AI-based determination for complex cases
-    const prompt = `<thinking>
-Should I search the web for current information to answer: "${query}"?
+    for await (const line of readLines(response)) {
+      if (!line.startsWith('data:')) continue;
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') break;
 
-Context: ${context}
+      try {
+        const data = JSON.parse(payload);
+        const delta = data.choices?.[0]?.delta || {};
+        if (delta.content) yield delta.content;
+        if (data.usage) {
+          yield { usage: { promptTokens: data.usage.prompt_tokens ?? null, completionTokens: data.usage.completion_tokens ?? null } };
+        }
 
-Consider:
-- Does this require current/recent information?
-- Is this general knowledge I likely already know?
-- Would web search significantly improve the answer quality?
-- Are there specific facts, dates, or data points needed?
+        for (const fragment of delta.tool_calls || []) {
+          const index = fragment.index ?? partialCalls.length;
+          partialCalls[index] ||= { id: '', function: { name: '', arguments: '' } };
+          const call = partialCalls[index];
+          if (fragment.id) call.id = fragment.id;
+          if (fragment.function?.name) call.function.name += fragment.function.name;
+          if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+        }
+      } catch (e) {
+        debugLog('Unparseable stream chunk from', this.name, ':', payload.slice(0, 100));
+      }
+    }
 
-Analyzing the need for web search...
-</thinking>
+    const toolCalls = partialCalls.filter(Boolean);
+    if (toolCalls.length) {
+      yield { toolCalls: toolCalls.map(normalizeToolCall) };
+    }
+  }
 
-Search decision: `;
+  async generate({ model, prompt, options, format, timeout, signal }) {
+    const result = await this.chat({ model, messages: [{ role: 'user', content: prompt }], options, format, timeout, signal });
+    return { model, response: result.message.content };
+  }
 
-    try {
-      const result = await ollamaGenerate({
-        model: this.model,
-        prompt,
-        timeout: 30000
-      });
+  // The OpenAI protocol has no model details endpoint; these come from the provider config
+  async show() {
+    return {
+      contextLength: this.contextLength,
+      numCtx: null,
+      capabilities: this.capabilities,
+      parameters: '',
+      template: ''
+    };
+  }
 
-      const thinking = this.parseThinkingResponse(result.response || '');
-      const response = thinking.response.toLowerCase();
-      
-      const needsSearch = response.includes('yes') || response.includes('search') || 
-                         response.includes('web') || response.includes('current');
-      
-      return {
-        needsSearch,
-        confidence: needsSearch ? 0.7 : 0.6,
-        reason: thinking.response,
-        thoughts: thinking.thoughts
-      };
-    } catch (error) {
-      debugLog('Search decision error:', error.message);
-      return { needsSearch: false, confidence: 0.5, reason: 'Analysis failed' };
-    }
+  async embed(inputs, { model, timeout, signal = null }) {
+    const response = await this.request('/embeddings', { model, input: inputs }, timeout, signal);
+    const result = await response.json();
+    return (result.data || [])
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
   }
 }
 
-// Enhanced web search with smart querying
-class SmartWebSearch {
-  constructor(model) {
-    this.model = model;
-    this.engine = new AIThinkingEngine(model);
+/**
+ * Normalize a tool call from either protocol to { id, name, arguments }
+ * @param {Object} call - Ollama or OpenAI tool call
+ * @returns {Object} Tool call with parsed arguments
+ */
+function normalizeToolCall(call) {
+  let args = call.function?.arguments ?? {};
+  if (typeof args === 'string') {
+    try {
+      args = args.trim() ? JSON.parse(args) : {};
+    } catch (e) {
+      args = { _raw: args };
+    }
   }
 
-  async generateSearchQueries(query, maxQueries = 3) {
-    const prompt = `<thinking>
-I need to create effective search queries for: "${query}"
+  return {
+    id: call.id || `call_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    name: call.function?.name || '',
+    arguments: args
+  };
+}
 
-I should generate ${maxQueries} different search queries that:
-1. Cover different aspects of the question
-2. Use varied keywords and phrases
-3. Include specific and general approaches
-4. Target different types of sources
+/**
+ * Normalize an Ollama /api/show response
+ * @param {Object} show - Raw /api/show response
+ * @returns {Object} Model details with context length and capabilities
+ */
+function normalizeModelInfo(show) {
+  const modelInfo = show.model_info || {};
+  const contextKey = Object.keys(modelInfo).find(key => key.endsWith('.context_length'));
+  const numCtx = /^num_ctx\s+(\d+)/m.exec(show.parameters || '');
+
+  // Ollama before 0.6 does not report capabilities, so infer them
+  let capabilities = show.capabilities;
+  if (!Array.isArray(capabilities)) {
+    const families = show.details?.families || [];
+    const isEmbedding = Object.keys(modelInfo).some(key => key.endsWith('.pooling_type'));
+    capabilities = [isEmbedding ? 'embedding' : 'completion'];
+    if (show.projector_info || families.includes('clip') || families.includes('mllama')) {
+      capabilities.push('vision');
+    }
+    if ((show.template || '').includes('.Tools')) capabilities.push('tools');
+  }
 
-Generating optimal search queries...
-</thinking>
+  return {
+    family: show.details?.family || null,
+    parameterSize: show.details?.parameter_size || null,
+    quantization: show.details?.quantization_level || null,
+    format: show.details?.format || null,
+    contextLength: contextKey ? modelInfo[contextKey] : null,
+    numCtx: numCtx ? Number(numCtx[1]) : null,
+    capabilities,
+    parameters: show.parameters || '',
+    template: show.template || '',
+    modifiedAt: show.modified_at || null
+  };
+}
 
-Search queries:
-1.
-2.
-3.`;
+/**
+ * Build the provider registry from LLM_PROVIDERS (a JSON array of
+ * { name, type: 'ollama' | 'openai', baseUrl, apiKey, contextLength,
+ * capabilities }). The default
+ * Ollama provider at OLLAMA_URL is always present.
+ * @returns {Map<string, OllamaProvider|OpenAICompatibleProvider>} Providers by name
+ */
+function loadProviders() {
+  const providers = new Map([[DEFAULT_PROVIDER, new OllamaProvider()]]);
+  let configured = [];
 
-    try {
-      const result = await ollamaGenerate({
-        model: this.model,
-        prompt,
-        timeout: 30000
-      });
+  try {
+    configured = JSON.parse(process.env.LLM_PROVIDERS || '[]');
+  } catch (error) {
+    console.warn('Ignoring invalid LLM_PROVIDERS:', error.message);
+  }
 
-      const thinking = this.engine.parseThinkingResponse(result.response || '');
-      const queries = this.extractQueriesFromResponse(thinking.response);
-      
-      return {
-        queries: queries.slice(0, maxQueries),
-        thoughts: thinking.thoughts
-      };
-    } catch (error) {
-      debugLog('Query generation error:', error.message);
-      return {
-        queries: [query], // Fallback to original query
-        thoughts: [{ content: `Failed to generate search queries: ${error.message}`, type: 'error' }]
-      };
+  for (const config of Array.isArray(configured) ? configured : []) {
+    if (!config?.name || !config.baseUrl || config.name.includes('/')) {
+      console.warn('Ignoring invalid provider entry:', JSON.stringify(config));
+      continue;
     }
+
+    const provider = config.type === 'ollama'
+      ? new OllamaProvider(config)
+      : new OpenAICompatibleProvider(config);
+    providers.set(config.name, provider);
   }
 
-  extractQueriesFromResponse(response) {
-    const lines = response.split('\n').filter(line => line.trim());
-    const queries = [];
-    
-    for (const line of lines) {
-      const match = line.match(/^\d+\.\s*(.+)$/) || line.match(/^[-•*]\s*(.+)$/);
-      if (match && match[1]) {
-        queries.push(match[1].trim());
-      }
+  return providers;
+}
+
+const providers = loadProviders();
+
+/**
+ * Resolve a model id to its provider. Models served by a non-default
+ * provider are addressed as "<provider>/<model>".
+ * @param {string} model - Model id as listed by /api/models
+ * @returns {{ provider: Object, model: string }} Provider and provider-local model name
+ */
+function resolveModel(model) {
+  const slash = model.indexOf('/');
+  if (slash > 0) {
+    const name = model.slice(0, slash);
+    if (name !== DEFAULT_PROVIDER && providers.has(name)) {
+      return { provider: providers.get(name), model: model.slice(slash + 1) };
     }
-    
-    return queries.length ? queries : [response.split('\n')[0] || ''];
+  }
+  return { provider: providers.get(DEFAULT_PROVIDER), model };
+}
+
+// Model details rarely change; cache them by model id and digest
+const modelInfoCache = new Map();
+
+/**
+ * Get details (context length, capabilities, template...) for a model
+ * @param {string} model - Model id as listed by /api/models
+ * @param {Object} opts - { digest } to detect replaced models, { refresh } to bypass the cache
+ * @returns {Promise<Object>} Normalized model details
+ */
+async function getModelInfo(model, { digest = null, refresh = false } = {}) {
+  const cached = modelInfoCache.get(model);
+  if (cached && !refresh && (!digest || cached.digest === digest)) {
+    return cached;
   }
 
-  async executeSearches(queries, options = {}) {
-    const results = [];
-    const allSources = [];
-    
-    for (const query of queries) {
-      try {
-        const searchResults = await webSearch(query, options);
-        if (searchResults.length > 0) {
-          results.push({
-            query,
-            results: searchResults,
-            count: searchResults.length
-          });
-          allSources.push(...searchResults);
-        }
-      } catch (error) {
-        debugLog('Search execution error for query:', query, error.message);
+  const resolved = resolveModel(model);
+  const info = {
+    ...(await resolved.provider.show(resolved.model)),
+    name: model,
+    provider: resolved.provider.name,
+    digest
+  };
+  modelInfoCache.set(model, info);
+  return info;
+}
+
+/**
+ * List models from every provider, tagging each with its provider name
+ * @returns {Promise<Array>} Models; throws only if every provider fails
+ */
+async function listAllModels() {
+  const models = [];
+  const errors = [];
+
+  for (const provider of providers.values()) {
+    try {
+      const listed = await provider.listModels();
+      for (const m of listed) {
+        const name = provider.name === DEFAULT_PROVIDER ? m.name : `${provider.name}/${m.name}`;
+        models.push({ ...m, name, provider: provider.name });
       }
+    } catch (error) {
+      debugLog('Model listing failed for provider', provider.name, ':', error.message);
+      errors.push(error);
     }
-    
-    return {
-      searchResults: results,
-      allSources: this.deduplicateSources(allSources),
-      totalSources: allSources.length
-    };
   }
 
-  deduplicateSources(sources) {
-    const seen = new Set();
-    return sources.filter(source => {
-      const key = source.url.toLowerCase();
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    });
-  }
-
-  async shouldContinueSearching(query, currentResults, complexity = 'medium') {
-    // Simple heuristic-based decision making
-    try {
-      const resultCount = Array.isArray(currentResults) ? currentResults.length : 0;
-      
-      // Decision logic based on result count and complexity
-      let shouldContinue = false;
-      let reason = '';
-      let confidence = 0.5;
-      
-      if (resultCount === 0) {
-        shouldContinue = true;
-        reason = 'No results found, continue searching';
-        confidence = 0.9;
-      } else if (resultCount < 3) {
-        shouldContinue = complexity === 'high';
-        reason = `Found ${resultCount} results, ${shouldContinue ? 'continue for more comprehensive coverage' : 'sufficient for basic query'}`;
-        confidence = 0.7;
-      } else if (resultCount < 8) {
-        shouldContinue = complexity === 'high' && resultCount < 5;
-        reason = `Found ${resultCount} results, ${shouldContinue ? 'continue for high complexity query' : 'sufficient coverage achieved'}`;
-        confidence = 0.8;
-      } else {
-        shouldContinue = false;
-        reason = `Found ${resultCount} results, sufficient coverage achieved`;
-        confidence = 0.9;
-      }
-
-      const thoughts = [{
-        content: `Search continuation analysis: ${reason} (${resultCount} results, complexity: ${complexity})`,
-        type: 'search_decision',
-        timestamp: nowISO()
-      }];
-
-      debugLog('Search continuation decision:', shouldContinue, reason, `(${resultCount} results)`);
-      
-      return {
-        shouldContinue,
-        reason,
-        confidence,
-        thoughts,
-        resultCount
-      };
-    } catch (error) {
-      debugLog('Search continuation decision error:', error.message);
-      return {
-        shouldContinue: false,
-        reason: `Decision error: ${error.message}`,
-        confidence: 0.3,
-        thoughts: [{ content: `Error in search continuation: ${error.message}`, type: 'error' }],
-        resultCount: 0
-      };
-    }
-  }
+  if (errors.length === providers.size) {
+    throw errors[0];
+  }
+
+  // Attach capabilities and context length; listing still works without them
+  await Promise.all(models.map(async m => {
+    try {
+      const info = await getModelInfo(m.name, { digest: m.digest || null });
+      m.capabilities = info.capabilities;
+      m.contextLength = info.contextLength;
+    } catch (error) {
+      debugLog('Model details unavailable for', m.name, ':', error.message);
+    }
+  }));
+
+  return models;
 }
 
-// Cosine similarity calculation
-function cosSim(a, b) {
-  if (!a || !b || a.length !== b.length) return 0;
-  
-  let dotProduct = 0;
-  let normA = 0;
-  let normB = 0;
-  
-  for (let i = 0; i < a.length; i++) {
-    dotProduct += a[i] * b[i];
-    normA += a[i] * a[i];
-    normB += b[i] * b[i];
-  }
-  
-  const denominator = Math.sqrt(normA) * Math.sqrt(normB);
-  return denominator === 0 ? 0 : dotProduct / denominator;
+async function llmChat({ model, messages, options = {}, tools = null, timeout = 300000, signal = null }) {
+  debugLog('LLM chat request:', model, 'messages:', messages.length);
+  const resolved = resolveModel(model);
+  return resolved.provider.chat({ model: resolved.model, messages, options, tools, timeout, signal });
 }
 
-// Enhanced session management
-async function createSession(name = null, model = CHAT_MODEL) {
-  const id = `session_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
-  const sessionData = {
-    id,
-    name: name || `Chat ${new Date().toLocaleString()}`,
-    model: model || CHAT_MODEL,
-    created: nowISO(),
-    updated: nowISO(),
-    messages: [],
-    settings: {
-      autoSearch: true,
-      useMemory: true,
-      temperature: 0.7,
-      titleAutoGenerated: false
-    }
-  };
+function llmChatStream({ model, messages, options = {}, tools = null, timeout = 300000, signal = null }) {
+  debugLog('LLM chat stream request:', model, 'messages:', messages.length, 'tools:', tools?.length || 0);
+  const resolved = resolveModel(model);
+  return resolved.provider.streamChat({ model: resolved.model, messages, options, tools, timeout, signal });
+}
 
-  const file = path.join(sessionsDir, `${id}.json`);
-  await writeJSON(file, sessionData);
-  debugLog('Created session:', id);
-  return sessionData;
+async function llmGenerate({ model, prompt, options = {}, format = null, timeout = 300000, signal = null }) {
+  debugLog('LLM generate request:', model, format ? '(structured)' : '');
+  const resolved = resolveModel(model);
+  const result = await resolved.provider.generate({ model: resolved.model, prompt, options, format, timeout, signal });
+  observeTokenCount(model, prompt.length, result.prompt_eval_count);
+  return result;
 }
 
-async function loadSession(id) {
-  const file = path.join(sessionsDir, `${id}.json`);
-  
-  try {
-    const data = await readJSON(file);
-    
-    if (!data.model) data.model = CHAT_MODEL;
-    if (!data.settings) {
-      data.settings = { 
-        autoSearch: true, 
-        useMemory: true, 
-        temperature: 0.7, 
-        titleAutoGenerated: false 
-      };
+/**
+ * Embed texts with EMBED_MODEL. Cached vectors are reused and the rest are
+ * sent in batches of EMBED_BATCH_SIZE.
+ * @param {string|string[]} texts - Text or texts to embed
+ * @param {number} timeout - Timeout per batch in milliseconds
+ * @param {string} model - Embedding model, EMBED_MODEL by default
+ * @param {Object} options - { cache: false to not store the new vectors, for
+ * one-off texts such as web passages; signal }
+ * @returns {Promise<number[][]>} One vector per input, in input order
+ */
+async function llmEmbed(texts, timeout = 300000, model = EMBED_MODEL, { cache: store = true, signal = null } = {}) {
+  const inputs = Array.isArray(texts) ? texts : [texts];
+  const cache = await loadEmbeddingCache();
+  const vectors = new Array(inputs.length);
+  const missing = [];
+
+  inputs.forEach((text, index) => {
+    const key = embeddingCacheKey(model, text);
+    const hit = cache.get(key);
+    if (hit) {
+      vectors[index] = hit.vector;
+    } else {
+      missing.push(index);
     }
-    if (!data.messages) data.messages = [];
-    
-    return { file, data };
-  } catch (error) {
-    const defaultData = {
-      id,
-      name: `Chat ${new Date().toLocaleString()}`,
-      model: CHAT_MODEL,
-      created: nowISO(),
-      updated: nowISO(),
-      messages: [],
-      settings: { 
-        autoSearch: true, 
-        useMemory: true, 
-        temperature: 0.7, 
-        titleAutoGenerated: false 
+  });
+
+  if (missing.length > 0) {
+    const resolved = resolveModel(model);
+    for (let start = 0; start < missing.length; start += EMBED_BATCH_SIZE) {
+      const batch = missing.slice(start, start + EMBED_BATCH_SIZE);
+      const embeddings = await resolved.provider.embed(batch.map(index => inputs[index]), { model: resolved.model, timeout, signal });
+      if (embeddings.length !== batch.length) {
+        throw new Error(`Embedding error: expected ${batch.length} vectors, got ${embeddings.length}`);
       }
-    };
-    await writeJSON(file, defaultData);
-    return { file, data: defaultData };
+      batch.forEach((inputIndex, i) => {
+        vectors[inputIndex] = embeddings[i];
+        if (!store) return;
+        cache.set(embeddingCacheKey(model, inputs[inputIndex]), {
+          model,
+          dimension: embeddings[i].length,
+          vector: embeddings[i]
+        });
+      });
+    }
   }
-}
 
-async function saveSession(file, data) {
-  data.updated = nowISO();
-  await writeJSON(file, data);
+  debugLog('Embedded', inputs.length, 'texts,', inputs.length - missing.length, 'from cache');
+  return vectors;
 }
 
-async function listSessions(limit = 50) {
-  try {
-    const files = await fs.readdir(sessionsDir);
-    const jsonFiles = files.filter(f => f.endsWith('.json')).slice(0, limit);
-    const sessions = [];
+// Embedding cache
+// Vectors are keyed by a hash of the model name and the exact text, so a
+// changed EMBED_MODEL never reuses vectors from the old one. The cache is
+// least-recently-used and appends new vectors to a binary log shortly after
+// they are added.
+const EMBED_BATCH_SIZE = parseInt(process.env.EMBED_BATCH_SIZE, 10) || 32;
+const EMBED_CACHE_MAX_ENTRIES = parseInt(process.env.EMBED_CACHE_MAX_ENTRIES, 10) || 2000;
+const embeddingCache = new EmbeddingCache({
+  file: path.join(dataDir, 'embedding-cache.bin'),
+  maxEntries: EMBED_CACHE_MAX_ENTRIES,
+  onError: error => debugLog('Failed to save embedding cache:', error.message)
+});
+// Replaced by embedding-cache.bin
+await fs.rm(path.join(dataDir, 'embedding-cache.json'), { force: true });
 
-    for (const file of jsonFiles) {
-      try {
-        const data = await readJSON(path.join(sessionsDir, file));
-        sessions.push({
-          id: data.id,
-          name: data.name,
-          model: data.model,
-          created: data.created,
-          updated: data.updated,
-          messageCount: data.messages?.length || 0,
-          lastMessage: data.messages?.length > 0 
-            ? data.messages[data.messages.length - 1]?.content?.slice(0, 100) 
-            : null
-        });
-      } catch (error) {
-        debugLog('Error reading session file:', file, error.message);
-      }
-    }
+function embeddingCacheKey(model, text) {
+  return createHash('sha256').update(model).update('\0').update(text).digest('hex');
+}
 
-    return sessions.sort((a, b) => new Date(b.updated) - new Date(a.updated));
+async function loadEmbeddingCache() {
+  try {
+    await embeddingCache.load();
   } catch (error) {
-    debugLog('Error listing sessions:', error.message);
-    return [];
+    debugLog('Ignoring unreadable embedding cache:', error.message);
   }
+  return embeddingCache;
 }
 
-// Enhanced memory management with improved RAG
-async function loadMemory() {
+// Context budgeting
+// Prompts are fitted to the model's context window. There is no tokenizer
+// endpoint, so tokens are estimated from characters using a per-model ratio
+// that is calibrated from the prompt_eval_count Ollama reports.
+const DEFAULT_NUM_CTX = parseInt(process.env.DEFAULT_NUM_CTX, 10) || 4096;
+const DEFAULT_CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// Rough prompt cost of one image; vision encoders use roughly 576-1600 tokens
+const IMAGE_TOKENS = 1024;
+const MIN_SOURCE_CHARS = 500;
+const charsPerTokenByModel = new Map();
+
+/**
+ * Refine a model's chars-per-token ratio from an observed prompt
+ * @param {string} model - Model id
+ * @param {number} chars - Prompt length in characters
+ * @param {number} tokens - Tokens the server reported for it
+ */
+function observeTokenCount(model, chars, tokens) {
+  if (!tokens || tokens < 100) return;
+  const observed = Math.min(Math.max(chars / tokens, 2), 6);
+  const current = charsPerTokenByModel.get(model) || DEFAULT_CHARS_PER_TOKEN;
+  charsPerTokenByModel.set(model, current * 0.8 + observed * 0.2);
+}
+
+/**
+ * Estimate how many tokens a text takes for a model
+ * @param {string} text - Text to measure
+ * @param {string} model - Model id
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text, model) {
+  if (!text) return 0;
+  return Math.ceil(text.length / (charsPerTokenByModel.get(model) || DEFAULT_CHARS_PER_TOKEN));
+}
+
+/**
+ * Effective context window: the request's num_ctx, else the model's configured
+ * num_ctx, else DEFAULT_NUM_CTX, never above the model's trained context length
+ * @param {string} model - Model id
+ * @param {Object} options - Generation options
+ * @returns {Promise<number>} Context window in tokens
+ */
+async function getContextWindow(model, options = {}) {
+  if (options.num_ctx) return options.num_ctx;
+
   try {
-    return await readJSON(memoryFile);
+    const info = await getModelInfo(model);
+    const window = info.numCtx || DEFAULT_NUM_CTX;
+    return info.contextLength ? Math.min(window, info.contextLength) : window;
   } catch (error) {
-    const init = { longTerm: [], nextId: 1 };
-    await writeJSON(memoryFile, init);
-    return init;
+    debugLog('Context window lookup failed:', model, error.message);
+    return DEFAULT_NUM_CTX;
   }
 }
 
-async function saveMemory(memory) {
-  await writeJSON(memoryFile, memory);
+function formatMemoryContext(items) {
+  if (!items.length) return '';
+  return 'Relevant context from memory:\n' +
+    items
+      .map((m, i) => `${i + 1}. ${m.content} (${m.similarity !== null ? `relevance: ${m.similarity.toFixed(2)}` : 'keyword match'})`)
+      .join('\n');
 }
 
-async function retrieveLongTermMemory(query, k = 5, minSim = 0.3) {
-  try {
-    const memory = await loadMemory();
-    if (!memory.longTerm.length) return [];
-
-    const [queryEmbedding] = await ollamaEmbed(query);
-    if (!queryEmbedding) return [];
-
-    const results = memory.longTerm
-      .filter(item => item.embedding && Array.isArray(item.embedding))
-      .map(item => ({
-        ...item,
-        similarity: cosSim(queryEmbedding, item.embedding)
-      }))
-      .filter(item => item.similarity >= minSim)
-      .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, k);
-
-    debugLog('Memory retrieval:', query.slice(0, 50), 'found', results.length, 'items');
-    return results;
-  } catch (error) {
-    debugLog('Memory retrieval error:', error.message);
-    return [];
-  }
-}
-
-async function upsertLongTermMemory(memoryItems) {
-  try {
-    if (!Array.isArray(memoryItems) || memoryItems.length === 0) {
-      debugLog('No valid memory items to upsert');
-      return [];
-    }
-
-    const memory = await loadMemory();
-    const added = [];
-    
-    for (const item of memoryItems) {
-      if (!item || typeof item !== 'object' || !item.content) {
-        debugLog('Skipping invalid memory item:', item);
-        continue;
-      }
-
-      // Generate embedding for the memory item
-      let embedding = null;
-      try {
-        const [itemEmbedding] = await ollamaEmbed(item.content);
-        embedding = itemEmbedding;
-      } catch (embedError) {
-        debugLog('Failed to generate embedding for memory item:', embedError.message);
-        // Continue without embedding - the item can still be stored
-      }
-
-      // Check for duplicates based on content similarity
-      let isDuplicate = false;
-      if (embedding && memory.longTerm.length > 0) {
-        for (const existing of memory.longTerm) {
-          if (existing.embedding && Array.isArray(existing.embedding)) {
-            const similarity = cosSim(embedding, existing.embedding);
-            if (similarity > 0.95) { // Very high similarity threshold for duplicates
-              isDuplicate = true;
-              debugLog('Skipping duplicate memory item (similarity:', similarity.toFixed(3), ')');
-              break;
-            }
-          }
-        }
-      }
-
-      if (!isDuplicate) {
-        const memoryItem = {
-          id: memory.nextId++,
-          content: item.content,
-          type: item.type || 'general',
-          importance: item.importance || 'medium',
-          tags: item.tags || [],
-          timestamp: nowISO(),
-          embedding: embedding,
-          source: item.source || 'system'
-        };
-
-        memory.longTerm.push(memoryItem);
-        added.push(memoryItem);
-        debugLog('Added memory item:', memoryItem.id, 'content:', memoryItem.content.slice(0, 50));
-      }
-    }
-
-    // Save updated memory
-    if (added.length > 0) {
-      await saveMemory(memory);
-      debugLog('Successfully upserted', added.length, 'memory items');
-    }
-
-    return added;
-  } catch (error) {
-    debugLog('Memory upsert error:', error.message);
-    return [];
-  }
+function formatSourceContext(results) {
+  return results
+    .map(r => `[Source ${r.index}${r.passage ? `, passage ${r.passage}` : ''}] ${r.title}\nURL: ${r.url}\nContent: ${r.content}`)
+    .join('\n\n---\n\n');
 }
 
-// Enhanced web search functions
-async function webSearch(query, { count = 10, timeout = 30000 } = {}) {
-  debugLog('Web search:', query);
-  
-  const searchUrls = [
-    `${SEARXNG}/search?q=${encodeURIComponent(query)}&format=json&language=en&safesearch=1`,
-    `${SEARXNG}/search?q=${encodeURIComponent(query)}&format=json&engines=google,bing,duckduckgo`,
-    `${SEARXNG}/?q=${encodeURIComponent(query)}&format=json`
-  ];
+function formatFileMessage(fileContent, question) {
+  if (!fileContent) return question;
+  return `File content:\n\`\`\`\n${fileContent}\n\`\`\`\n\nUser question: ${question}`;
+}
 
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
+// Attachments
+// Uploaded files are stored once per content hash: the bytes as <sha256>, a
+// <sha256>.json record and, for documents, the extracted text as
+// <sha256>.txt. Messages reference attachments by hash, so later turns of the
+// session can bring a file back into the prompt.
+const ATTACHMENT_CONTEXT_CHARS = parseInt(process.env.ATTACHMENT_CONTEXT_CHARS, 10) || 12000;
+// Unreferenced files younger than this may belong to a message not sent yet
+const ATTACHMENT_GRACE_MS = 24 * 60 * 60 * 1000;
+
+function attachmentPath(id, suffix = '') {
+  return path.join(attachmentsDir, `${id}${suffix}`);
+}
 
+async function readAttachment(id) {
   try {
-    for (const url of searchUrls) {
-      try {
-        const response = await fetch(url, {
-          signal: controller.signal,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (compatible; EvolveUI/2.0)',
-            'Accept': 'application/json'
-          }
-        });
-
-        if (!response.ok) continue;
+    return JSON.parse(await fs.readFile(attachmentPath(id, '.json'), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
 
-        const contentType = response.headers.get('content-type') || '';
-        if (!contentType.includes('application/json')) continue;
+/**
+ * Store an uploaded file. Images are kept as they are; text is extracted from
+ * everything else, and files without text are refused.
+ * @param {Buffer} buffer - File contents
+ * @param {Object} file - { filename, mimeType } as uploaded
+ * @returns {Promise<Object>} Attachment record { id, kind, format, filename, mimeType, size, ... }
+ */
+async function storeAttachment(buffer, { filename, mimeType }) {
+  const id = createHash('sha256').update(buffer).digest('hex');
+  const existing = await readAttachment(id);
+  if (existing) return existing;
+
+  let record;
+  const image = detectImageType(buffer);
+  if (image) {
+    record = { id, kind: 'image', format: 'image', filename, mimeType: image.mimeType, size: buffer.length, createdAt: nowISO() };
+  } else {
+    const extracted = await extractDocument({ buffer, filename, mimeType });
+    if (!extracted.text.trim()) throw new Error('File has no text');
+    await fs.writeFile(attachmentPath(id, '.txt'), extracted.text);
+    record = {
+      id,
+      kind: 'document',
+      format: extracted.format,
+      filename,
+      mimeType: mimeType || 'application/octet-stream',
+      size: buffer.length,
+      characters: extracted.text.length,
+      sections: extracted.sections,
+      truncated: extracted.truncated,
+      createdAt: nowISO()
+    };
+  }
 
-        const json = await response.json();
-        const results = (json.results || [])
-          .filter(r => r.url?.startsWith('http'))
-          .slice(0, count)
-          .map(r => ({
-            title: (r.title || r.url).trim(),
-            url: r.url.trim(),
-            snippet: (r.content || r.snippet || '').trim()
-          }));
+  await fs.writeFile(attachmentPath(id), buffer);
+  // The record goes last: its presence means the attachment is complete
+  await writeJSON(attachmentPath(id, '.json'), record);
+  return record;
+}
 
-        clearTimeout(timeoutId);
-        if (results.length > 0) {
-          debugLog('Search successful:', results.length, 'results');
-          return results;
-        }
-      } catch (urlError) {
-        debugLog('Search URL failed:', url, urlError.message);
-        continue;
-      }
+/**
+ * Load attachment records for a chat turn, with base64 data for images
+ * @param {string[]} ids - Attachment ids
+ * @returns {Promise<Array>} Records in request order
+ */
+async function loadAttachments(ids) {
+  return Promise.all([...new Set(ids)].map(async id => {
+    const record = await readAttachment(id);
+    if (!record) throw new Error(`Attachment not found: ${id}`);
+    if (record.kind === 'image') {
+      record.data = (await fs.readFile(attachmentPath(id))).toString('base64');
     }
+    return record;
+  }));
+}
 
-    clearTimeout(timeoutId);
-    return [];
-  } catch (error) {
-    clearTimeout(timeoutId);
-    debugLog('Search error:', error.message);
-    return [];
-  }
+// Message records keep what is needed to list and show an attachment
+function attachmentRefs(attachments) {
+  return attachments.map(({ id, kind, format, filename, mimeType, size }) => ({ id, kind, format, filename, mimeType, size }));
 }
 
-async function fetchAndClean(url, timeout = 30000) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
+/**
+ * Attach images to a chat message in the provider-neutral (Ollama) shape
+ * @param {Object} message - Chat message
+ * @param {Array} images - Image attachments from loadAttachments
+ * @returns {Object} The message, with base64 images when there are any
+ */
+function withImages(message, images) {
+  return images.length ? { ...message, images: images.map(image => image.data) } : message;
+}
 
-  try {
-    const response = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; EvolveUI/2.0)',
-        'Accept': 'text/html,application/xhtml+xml'
-      }
-    });
+/**
+ * Attachments referenced by a session's messages, oldest first
+ * @param {Array} messages - Session messages
+ * @returns {Array} Attachment refs with the id and time of the first message using each
+ */
+function sessionAttachments(messages) {
+  const seen = new Map();
+  for (const message of messages) {
+    for (const ref of message.attachments || []) {
+      if (!seen.has(ref.id)) seen.set(ref.id, { ...ref, messageId: message.id, time: message.time });
+    }
+  }
+  return Array.from(seen.values());
+}
 
-    clearTimeout(timeoutId);
-    if (!response.ok) return '';
-    
-    const contentType = response.headers.get('content-type') || '';
-    if (!contentType.includes('text/html')) return '';
+/**
+ * Text of documents attached this turn, plus documents from earlier turns.
+ * Earlier documents are included whole while they fit in
+ * ATTACHMENT_CONTEXT_CHARS; past that, only their chunks most relevant to the
+ * question are, ranked like knowledge base chunks.
+ * @param {string} query - The user's message
+ * @param {Array} current - Document attachments sent with this message
+ * @param {Array} earlier - Document attachments from earlier messages
+ * @returns {Promise<string>} Text for the file slot of the prompt
+ */
+async function attachmentContext(query, current, earlier) {
+  const read = async ref => ({ ref, text: await fs.readFile(attachmentPath(ref.id, '.txt'), 'utf-8').catch(() => '') });
+  const parts = (await Promise.all(current.map(read)))
+    .map(({ ref, text }) => `[File: ${ref.filename}]\n${text}`);
+
+  const previous = (await Promise.all(earlier.map(read))).filter(({ text }) => text);
+  const previousChars = previous.reduce((sum, { text }) => sum + text.length, 0);
+  if (previousChars <= ATTACHMENT_CONTEXT_CHARS) {
+    parts.push(...previous.map(({ ref, text }) => `[File from earlier in this conversation: ${ref.filename}]\n${text}`));
+    return parts.join('\n\n');
+  }
 
-    const html = await response.text();
-    const $ = cheerio.load(html);
+  const chunks = previous.flatMap(({ ref, text }, file) =>
+    chunkText(text).map((chunk, index) => ({ id: `${file}#${index}`, file, index, ref, text: chunk }))
+  );
+  const keywords = new KeywordIndex();
+  keywords.sync(chunks.map(chunk => [chunk.id, chunk.text]));
+  const rankings = [{ results: keywords.search(query, chunks.length), weight: MEMORY_KEYWORD_WEIGHT }];
 
-    $('script, style, noscript, nav, footer, aside, header').remove();
-    $('.advertisement, .ads, .popup, .sidebar, .menu').remove();
+  if (MEMORY_VECTOR_WEIGHT > 0) {
+    try {
+      // Chunk embeddings come from the embedding cache after the first turn
+      const [queryVector, ...vectors] = (await llmEmbed([query, ...chunks.map(chunk => chunk.text)])).map(normalizeVector);
+      const similarity = vectors.map((vector, i) => ({
+        id: chunks[i].id,
+        score: vector.reduce((sum, value, d) => sum + value * queryVector[d], 0)
+      }));
+      rankings.push({ results: similarity.sort((a, b) => b.score - a.score), weight: MEMORY_VECTOR_WEIGHT });
+    } catch (error) {
+      debugLog('Attachment vector ranking unavailable, using keywords only:', error.message);
+    }
+  }
 
-    const mainContent = $('main, article, .content, .post, .entry, [role="main"]').first();
-    const text = mainContent.length ? mainContent.text() : $('body').text();
+  // Best chunks that fit, then back in document order
+  const byId = new Map(chunks.map(chunk => [chunk.id, chunk]));
+  const picked = [];
+  let used = 0;
+  for (const { id } of fuseRankings(rankings, MEMORY_RRF_K)) {
+    const chunk = byId.get(id);
+    if (used + chunk.text.length > ATTACHMENT_CONTEXT_CHARS) continue;
+    picked.push(chunk);
+    used += chunk.text.length;
+  }
+  picked.sort((a, b) => a.file - b.file || a.index - b.index);
 
-    return text
-      .replace(/\s+/g, ' ')
-      .trim()
-      .slice(0, 20000);
-  } catch (error) {
-    clearTimeout(timeoutId);
-    debugLog('Fetch error for', url, ':', error.message);
-    return '';
+  for (const { ref } of previous) {
+    const excerpts = picked.filter(chunk => chunk.ref === ref).map(chunk => chunk.text);
+    if (excerpts.length) {
+      parts.push(`[Excerpts from a file earlier in this conversation: ${ref.filename}]\n${excerpts.join('\n[...]\n')}`);
+    }
   }
+  return parts.join('\n\n');
 }
 
-// === MAIN CHAT ENDPOINT ===
-app.post('/api/chat', chatLimiter, validateChatInput, async (req, res) => {
-  const startTime = Date.now();
-  debugLog('Enhanced chat request started');
+/**
+ * Delete stored attachments no session references any more, except recent
+ * uploads that may still be waiting to be sent
+ * @returns {Promise<number>} Number of attachments deleted
+ */
+async function pruneAttachments() {
+  const referenced = new Set();
+  for (const name of await fs.readdir(sessionsDir)) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      const data = await readJSON(path.join(sessionsDir, name));
+      for (const ref of sessionAttachments(data.messages || [])) referenced.add(ref.id);
+    } catch {
+      // An unreadable session might reference anything; keep everything
+      debugLog('Skipping attachment pruning, unreadable session:', name);
+      return 0;
+    }
+  }
 
-  try {
-    const {
-      sessionId,
-      message,
-      model = CHAT_MODEL,
-      autoSearch = true,
-      useMemory = true,
-      fileContent = null,
-      stream: clientWantsStream = true
-    } = req.body;
+  let deleted = 0;
+  for (const name of await fs.readdir(attachmentsDir)) {
+    if (!name.endsWith('.json')) continue;
+    const id = name.slice(0, -5);
+    const record = await readAttachment(id);
+    if (referenced.has(id) || !record || Date.now() - Date.parse(record.createdAt) < ATTACHMENT_GRACE_MS) continue;
+    await fs.unlink(attachmentPath(id, '.json')).catch(() => {});
+    await Promise.all(['', '.txt'].map(suffix => fs.unlink(attachmentPath(id, suffix)).catch(() => {})));
+    deleted++;
+  }
+  if (deleted) debugLog('Pruned', deleted, 'unreferenced attachments');
+  return deleted;
+}
 
-    const wantStreaming = clientWantsStream || req.headers.accept?.includes('text/event-stream');
-    const { file, data } = await loadSession(sessionId);
-    const history = data.messages || [];
+/**
+ * Fit the parts of a chat prompt into the model's context window.
+ * Parts are cut lowest priority first: oldest history, then least relevant
+ * memory, then least relevant document chunks, then source text (shrunk,
+ * then dropped from the end), then the file.
+ * @param {Object} params - Prompt parts
+ * @param {string} params.model - Model id
+ * @param {Object} params.options - Generation options
+ * @param {string} params.systemPrompt - System prompt without memory
+ * @param {string} params.question - The user's message
+ * @param {Array} [params.memory] - Retrieved memory items, most relevant first
+ * @param {Array} [params.documents] - Retrieved document chunks, most relevant first
+ * @param {Array} [params.sources] - Fetched sources with content, best first
+ * @param {string} [params.fileContent] - Attached file text
+ * @param {number} [params.images] - Number of attached images, which are never cut
+ * @param {Array} [params.history] - Earlier session messages, oldest first
+ * @returns {Promise<Object>} Fitted { memory, documents, sources, fileContent, history, contextWindow, info }
+ */
+async function budgetContext({ model, options = {}, systemPrompt, question, memory = [], documents = [], sources = [], fileContent = null, images = 0, history = [] }) {
+  const contextWindow = await getContextWindow(model, options);
+  // Leave room for the answer
+  const reserved = Math.min(Math.max(256, Math.floor(contextWindow * 0.2)), 4096);
+  const available = contextWindow - reserved;
+  const tokens = (text) => estimateTokens(text, model);
+
+  let fittedHistory = history
+    .filter(m => m.content && (m.role === 'user' || m.role === 'assistant'))
+    .map(m => ({ role: m.role, content: m.content }));
+  let fittedMemory = [...memory];
+  let fittedDocuments = [...documents];
+  let fittedSources = sources.map(s => ({ ...s }));
+  let fittedFile = fileContent;
+
+  const measure = () => {
+    const parts = {
+      system: tokens(systemPrompt) + MESSAGE_OVERHEAD_TOKENS,
+      question: tokens(question) + MESSAGE_OVERHEAD_TOKENS,
+      memory: tokens(formatMemoryContext(fittedMemory)),
+      documents: tokens(formatDocumentContext(fittedDocuments)),
+      sources: tokens(formatSourceContext(fittedSources)),
+      file: fittedFile ? tokens(formatFileMessage(fittedFile, '')) : 0,
+      images: images * IMAGE_TOKENS,
+      history: fittedHistory.reduce((sum, m) => sum + tokens(m.content) + MESSAGE_OVERHEAD_TOKENS, 0)
+    };
+    parts.total = Object.values(parts).reduce((a, b) => a + b, 0);
+    return parts;
+  };
 
-    // Initialize AI thinking engine and smart search
-    const thinkingEngine = new AIThinkingEngine(model);
-    const smartSearch = new SmartWebSearch(model);
+  const cut = [];
+  let usage = measure();
 
-    let userMessage = message;
-    if (fileContent) {
-      userMessage = `File content:\n\`\`\`\n${fileContent.slice(0, 50000)}\n\`\`\`\n\nUser question: ${message}`;
+  if (usage.total > available && fittedHistory.length) {
+    const before = fittedHistory.length;
+    while (usage.total > available && fittedHistory.length) {
+      fittedHistory.shift();
+      usage = measure();
     }
+    cut.push({ part: 'history', dropped: before - fittedHistory.length, kept: fittedHistory.length });
+  }
 
-    // Memory retrieval with enhanced RAG
-    let memoryContext = '';
-    let retrievedMemory = [];
-    if (useMemory) {
-      try {
-        retrievedMemory = await retrieveLongTermMemory(userMessage, 8, 0.25);
-        if (retrievedMemory.length) {
-          memoryContext = 'Relevant context from memory:\n' + 
-            retrievedMemory
-              .map((m, i) => `${i + 1}. ${m.content} (relevance: ${m.similarity.toFixed(2)})`)
-              .join('\n');
-          debugLog('Enhanced memory context loaded:', retrievedMemory.length, 'items');
-        }
-      } catch (memoryError) {
-        debugLog('Memory retrieval error:', memoryError.message);
+  if (usage.total > available && fittedMemory.length) {
+    const before = fittedMemory.length;
+    while (usage.total > available && fittedMemory.length) {
+      fittedMemory.pop();
+      usage = measure();
+    }
+    cut.push({ part: 'memory', dropped: before - fittedMemory.length, kept: fittedMemory.length });
+  }
+
+  if (usage.total > available && fittedDocuments.length) {
+    const before = fittedDocuments.length;
+    while (usage.total > available && fittedDocuments.length) {
+      fittedDocuments.pop();
+      usage = measure();
+    }
+    cut.push({ part: 'documents', dropped: before - fittedDocuments.length, kept: fittedDocuments.length });
+  }
+
+  if (usage.total > available && fittedSources.length) {
+    // Shrink every source evenly before dropping whole sources
+    const overflowChars = (usage.total - available) * (charsPerTokenByModel.get(model) || DEFAULT_CHARS_PER_TOKEN);
+    const totalChars = fittedSources.reduce((sum, s) => sum + s.content.length, 0);
+    const keepRatio = Math.max(0, 1 - overflowChars / totalChars);
+    let shrunk = 0;
+    for (const source of fittedSources) {
+      const target = Math.max(MIN_SOURCE_CHARS, Math.floor(source.content.length * keepRatio));
+      if (target < source.content.length) {
+        source.content = source.content.slice(0, target);
+        shrunk++;
       }
     }
+    usage = measure();
 
-    // Initialize response variables
-    let finalAnswer = '';
-    let sources = [];
-    let allThoughts = [];
-    let usedSearch = false;
-    let memoryAdded = [];
-    let searchQueries = [];
+    const before = fittedSources.length;
+    while (usage.total > available && fittedSources.length > 1) {
+      fittedSources.pop();
+      usage = measure();
+    }
+    cut.push({ part: 'sources', shrunk, dropped: before - fittedSources.length, kept: fittedSources.length });
+  }
 
-    // Set up streaming response
-    if (wantStreaming) {
-      res.writeHead(200, {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': '*'
-      });
+  if (usage.total > available && fittedFile) {
+    const originalChars = fittedFile.length;
+    const overflowChars = (usage.total - available) * (charsPerTokenByModel.get(model) || DEFAULT_CHARS_PER_TOKEN);
+    fittedFile = fittedFile.slice(0, Math.max(0, originalChars - overflowChars));
+    usage = measure();
+    cut.push({ part: 'file', truncatedFrom: originalChars, truncatedTo: fittedFile.length });
+  }
 
-      const sendSSE = (event, data) => {
-        try {
-          res.write(`event: ${event}\n`);
-          res.write(`data: ${JSON.stringify(data)}\n\n`);
-        } catch (error) {
-          debugLog('SSE write error:', error.message);
-        }
-      };
+  const info = {
+    model,
+    contextWindow,
+    reserved,
+    available,
+    used: usage.total,
+    budget: {
+      system: usage.system,
+      question: usage.question,
+      memory: usage.memory,
+      documents: usage.documents,
+      sources: usage.sources,
+      file: usage.file,
+      images: usage.images,
+      history: usage.history
+    },
+    cut,
+    overflow: usage.total > available
+  };
 
-      try {
-        // Phase 1: Query Analysis
-        sendSSE('thinking_start', { phase: 'analysis', message: 'Analyzing your query...' });
-        
-        const queryAnalysis = await thinkingEngine.analyzeQuery(userMessage, memoryContext);
-        allThoughts.push(...queryAnalysis.thoughts);
-        
-        sendSSE('thinking_update', { 
-          phase: 'analysis', 
-          thoughts: queryAnalysis.thoughts,
-          analysis: queryAnalysis.analysis 
-        });
+  if (cut.length) debugLog('Context trimmed:', JSON.stringify(cut));
 
-        // Phase 2: Search Decision and Execution
-        let searchDecision = { needsSearch: false };
-        if (autoSearch && !fileContent) {
-          sendSSE('thinking_start', { phase: 'search_decision', message: 'Determining if web search is needed...' });
-          
-          searchDecision = await thinkingEngine.determineSearchNeed(userMessage, memoryContext);
-          allThoughts.push(...(searchDecision.thoughts || []));
-          
-          sendSSE('thinking_update', { 
-            phase: 'search_decision', 
-            decision: searchDecision,
-            thoughts: searchDecision.thoughts || []
-          });
+  return {
+    memory: fittedMemory,
+    documents: fittedDocuments,
+    sources: fittedSources,
+    fileContent: fittedFile,
+    history: fittedHistory,
+    contextWindow,
+    info
+  };
+}
 
-          if (searchDecision.needsSearch) {
-            usedSearch = true;
-            
-            // Generate multiple search queries
-            sendSSE('thinking_start', { phase: 'search_planning', message: 'Planning search strategy...' });
-            
-            const queryGeneration = await smartSearch.generateSearchQueries(userMessage, 3);
-            searchQueries = queryGeneration.queries;
-            allThoughts.push(...queryGeneration.thoughts);
-            
-            sendSSE('thinking_update', { 
-              phase: 'search_planning', 
-              queries: searchQueries,
-              thoughts: queryGeneration.thoughts 
-            });
+// Structured output schemas for the thinking engine. They are sent as Ollama's
+// `format` (or OpenAI's `response_format`) and checked again on the way back.
+const QUERY_ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    informationType: { type: 'string', enum: ['factual', 'creative', 'analytical', 'procedural', 'conversational'] },
+    needsCurrentInfo: { type: 'boolean' },
+    needsSearch: { type: 'boolean' },
+    complexity: { type: 'string', enum: ['low', 'medium', 'high'] },
+    domains: { type: 'array', items: { type: 'string' } },
+    searchStrategy: { type: 'string' },
+    reasoning: { type: 'string' }
+  },
+  required: ['informationType', 'needsCurrentInfo', 'needsSearch', 'complexity', 'domains', 'reasoning']
+};
 
-            // Execute searches iteratively
-            let allSearchResults = [];
-            let searchRound = 1;
-            
-            for (const query of searchQueries) {
-              sendSSE('search_start', { 
-                query, 
-                round: searchRound, 
-                total: searchQueries.length 
-              });
-              
-              const results = await webSearch(query, { count: 8 });
-              if (results.length > 0) {
-                allSearchResults.push(...results);
-                sendSSE('search_results', { 
-                  query, 
-                  results: results.length,
-                  total: allSearchResults.length 
-                });
-              }
-              
-              // Check if we should continue searching
-              if (searchRound < searchQueries.length) {
-                const continueDecision = await smartSearch.shouldContinueSearching(
-                  userMessage, 
-                  allSearchResults, 
-                  'high'
-                );
-                
-                allThoughts.push(...(continueDecision.thoughts || []));
-                
-                if (!continueDecision.shouldContinue) {
-                  sendSSE('search_complete', { 
-                    reason: 'Sufficient results found',
-                    totalResults: allSearchResults.length 
-                  });
-                  break;
-                }
-              }
-              
-              searchRound++;
-            }
+const RESPONSE_PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    needsMoreSearch: { type: 'boolean' },
+    searchQueries: { type: 'array', items: { type: 'string' } },
+    responseStructure: { type: 'string' },
+    keyPoints: { type: 'array', items: { type: 'string' } },
+    knowledgeGaps: { type: 'array', items: { type: 'string' } },
+    reasoning: { type: 'string' }
+  },
+  required: ['needsMoreSearch', 'searchQueries', 'responseStructure', 'keyPoints', 'reasoning']
+};
 
-            // Fetch and process content from top sources
-            if (allSearchResults.length > 0) {
-              sendSSE('content_processing', { message: 'Processing search results...' });
-              
-              const topResults = allSearchResults.slice(0, 6);
-              const contentPromises = topResults.map(async (result, index) => {
-                const content = await fetchAndClean(result.url);
-                return { ...result, content, index: index + 1 };
-              });
+const EVALUATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    score: { type: 'number', minimum: 0, maximum: 10 },
+    quality: { type: 'string', enum: ['poor', 'fair', 'good', 'excellent'] },
+    needsImprovement: { type: 'boolean' },
+    strengths: { type: 'array', items: { type: 'string' } },
+    suggestions: { type: 'array', items: { type: 'string' } },
+    reasoning: { type: 'string' }
+  },
+  required: ['score', 'quality', 'needsImprovement', 'suggestions', 'reasoning']
+};
 
-              const contentResults = await Promise.allSettled(contentPromises);
-              const validResults = contentResults
-                .filter(result => result.status === 'fulfilled' && result.value.content.length > 300)
-                .map(result => result.value);
+const SEARCH_DECISION_SCHEMA = {
+  type: 'object',
+  properties: {
+    needsSearch: { type: 'boolean' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    reason: { type: 'string' }
+  },
+  required: ['needsSearch', 'confidence', 'reason']
+};
 
-              sources = validResults.map(r => ({ 
-                idx: r.index, 
-                title: r.title, 
-                url: r.url 
-              }));
+const SEARCH_QUERIES_SCHEMA = {
+  type: 'object',
+  properties: {
+    queries: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+    reasoning: { type: 'string' }
+  },
+  required: ['queries', 'reasoning']
+};
 
-              if (validResults.length > 0) {
-                // Generate comprehensive answer using search results
-                sendSSE('response_generation', { message: 'Synthesizing information...' });
-                
-                const context = validResults
-                  .map(r => `[Source ${r.index}] ${r.title}\nURL: ${r.url}\nContent: ${r.content}`)
-                  .join('\n\n---\n\n');
+/**
+ * Check a value against the subset of JSON schema used by the engine schemas
+ * @param {any} value - Value to check
+ * @param {Object} schema - Schema with type, properties, required, items, enum and bounds
+ * @param {string} path - Location used in error messages
+ * @returns {string[]} Validation errors, empty when valid
+ */
+function validateSchema(value, schema, path = 'response') {
+  const errors = [];
+  const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+  if (schema.type === 'integer') {
+    if (!Number.isInteger(value)) return [`${path} must be an integer`];
+  } else if (schema.type && schema.type !== type) {
+    return [`${path} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+  }
 
-                const systemMessage = {
-                  role: 'system',
-                  content: `You are Evolve, a helpful AI assistant. Use the provided sources to answer the user's question comprehensively. 
-                  
-Format your response with:
-- Clear, well-structured information
-- Proper citations using [1], [2], etc.
-- Markdown formatting for readability
-- Critical analysis where appropriate
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
 
-${memoryContext ? `\nRelevant context: ${memoryContext}` : ''}`
-                };
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} needs at least ${schema.minItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
 
-                const searchPrompt = `Based on the following sources, provide a comprehensive answer to: "${userMessage}"
+  if (type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+    }
+  }
 
-Sources:
-${context}
+  return errors;
+}
 
-Please provide a detailed, well-cited response:`;
+/**
+ * Parse a model's JSON reply, tolerating code fences and surrounding prose
+ * @param {string} text - Raw model output
+ * @returns {any} Parsed value
+ */
+function parseJSONResponse(text) {
+  const cleaned = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return JSON.parse(cleaned);
+  } catch (error) {
+    const match = cleaned.match(/\{[\s\S]*\}/);
+    if (!match) throw error;
+    return JSON.parse(match[0]);
+  }
+}
 
-                const response = await ollamaChat({
-                  model,
-                  messages: [
-                    systemMessage,
-                    { role: 'user', content: searchPrompt }
-                  ],
-                  stream: true
-                });
+// Enhanced thinking and planning system
+class AIThinkingEngine {
+  constructor(model, options = {}, signal = null) {
+    this.model = model;
+    this.options = options;
+    this.signal = signal;
+  }
 
-                sendSSE('response_start', {});
-                
-                const reader = response.body.getReader();
-                const decoder = new TextDecoder();
-                let buffer = '';
-
-                while (true) {
-                  const { value, done } = await reader.read();
-                  if (done) break;
-
-                  const chunk = decoder.decode(value);
-                  buffer += chunk;
-
-                  const lines = buffer.split('\n');
-                  buffer = lines.pop() || '';
-
-                  for (const line of lines) {
-                    if (!line.trim()) continue;
-
-                    try {
-                      const data = JSON.parse(line);
-                      const content = data.message?.content || data.content || '';
-                      
-                      if (content) {
-                        finalAnswer += content;
-                        sendSSE('response_chunk', { content });
-                      }
-                    } catch (e) {
-                      finalAnswer += line;
-                      sendSSE('response_chunk', { content: line });
-                    }
-                  }
-                }
-                
-                sendSSE('response_complete', {});
-              }
-            }
-          }
-        }
+  /**
+   * Generate a JSON object matching a schema, retrying once with the
+   * validation errors when the first reply doesn't parse or validate
+   * @param {string} prompt - Task prompt
+   * @param {Object} schema - JSON schema for the reply
+   * @param {number} timeout - Timeout per attempt in ms
+   * @returns {Promise<Object>} Validated object
+   */
+  async generateStructured(prompt, schema, timeout = 60000) {
+    let attemptPrompt = prompt;
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const result = await llmGenerate({
+        model: this.model,
+        options: this.options,
+        signal: this.signal,
+        prompt: attemptPrompt,
+        format: schema,
+        timeout
+      });
+      const text = result.response || '';
 
-        // Phase 3: Regular chat if no search or search failed
-        if (!usedSearch || !finalAnswer.trim()) {
-          sendSSE('thinking_start', { phase: 'response_planning', message: 'Planning response...' });
-          
-          const responsePlan = await thinkingEngine.planResponse(
-            userMessage, 
-            queryAnalysis.analysis, 
-            sources, 
-            memoryContext
-          );
-          allThoughts.push(...responsePlan.thoughts);
-          
-          sendSSE('thinking_update', { 
-            phase: 'response_planning', 
-            plan: responsePlan.plan,
-            thoughts: responsePlan.thoughts 
-          });
+      let errors;
+      try {
+        const value = parseJSONResponse(text);
+        errors = validateSchema(value, schema);
+        if (!errors.length) return value;
+      } catch (parseError) {
+        errors = [`Invalid JSON: ${parseError.message}`];
+      }
 
-          sendSSE('response_start', {});
-          
-          const systemMessage = {
-            role: 'system',
-            content: `You are Evolve, a helpful AI assistant. Provide accurate, well-structured responses using Markdown formatting.
-            
-${memoryContext ? `Relevant context: ${memoryContext}` : ''}
+      debugLog('Structured output rejected (attempt', attempt + '):', errors.join('; '));
+      attemptPrompt = `${prompt}
 
-Be conversational but informative. If you need to think through complex problems, use <thinking></thinking> tags.`
-          };
+Your previous reply did not match the required JSON schema.
+Previous reply: ${text.slice(0, 2000)}
+Problems: ${errors.join('; ')}
 
-          const contextMessages = [
-            systemMessage,
-            ...history.slice(-20),
-            { role: 'user', content: userMessage }
-          ];
+Reply again with only a JSON object matching this schema:
+${JSON.stringify(schema)}`;
+    }
 
-          const response = await ollamaChat({
-            model,
-            messages: contextMessages,
-            stream: true
-          });
+    throw new Error('Model did not return valid structured output');
+  }
 
-          const reader = response.body.getReader();
-          const decoder = new TextDecoder();
-          let buffer = '';
+  /**
+   * Turn a structured reply's reasoning into a thought for the thinking panel
+   */
+  reasoningThoughts(reasoning, type = 'analysis') {
+    return reasoning?.trim()
+      ? [{ content: reasoning.trim(), timestamp: nowISO(), type }]
+      : [];
+  }
 
-          while (true) {
-            const { value, done } = await reader.read();
-            if (done) break;
+  async analyzeQuery(query, context = '') {
+    const analysisPrompt = `Analyze this user query to determine:
+1. What type of information is needed (factual, creative, analytical, procedural, conversational)
+2. Whether current/real-time information is required
+3. Whether a web search would improve the answer, and which search strategy would be most effective
+4. How complex the response should be
+5. What expertise domains are relevant
 
-            const chunk = decoder.decode(value);
-            buffer += chunk;
+Query: "${query}"
+Context: ${context}
 
-            const lines = buffer.split('\n');
-            buffer = lines.pop() || '';
+Respond with JSON only. Put your reasoning in "reasoning".`;
 
-            for (const line of lines) {
-              if (!line.trim()) continue;
+    try {
+      const analysis = await this.generateStructured(analysisPrompt, QUERY_ANALYSIS_SCHEMA);
+      return { thoughts: this.reasoningThoughts(analysis.reasoning), analysis };
+    } catch (error) {
+      debugLog('Query analysis error:', error.message);
+      return {
+        thoughts: [{ content: `Failed to analyze query: ${error.message}`, type: 'error' }],
+        analysis: { needsSearch: false, complexity: 'medium', domains: [] }
+      };
+    }
+  }
 
-              try {
-                const data = JSON.parse(line);
-                const content = data.message?.content || data.content || '';
-                
-                if (content) {
-                  finalAnswer += content;
-                  
-                  // Handle thinking tags in real-time
-                  if (content.includes('<thinking>') || content.includes('</thinking>')) {
-                    const thinkingMatch = content.match(/<thinking>([\s\S]*?)<\/thinking>/g);
-                    if (thinkingMatch) {
-                      const thoughts = thinkingMatch.map(match => {
-                        const thoughtContent = match.replace(/<\/?thinking>/g, '').trim();
-                        return { content: thoughtContent, type: 'reasoning', timestamp: nowISO() };
-                      });
-                      allThoughts.push(...thoughts);
-                      sendSSE('thinking_stream', { thoughts });
-                    }
-                    
-                    const cleanContent = content.replace(/<thinking>[\s\S]*?<\/thinking>/g, '');
-                    if (cleanContent.trim()) {
-                      sendSSE('response_chunk', { content: cleanContent });
-                    }
-                  } else {
-                    sendSSE('response_chunk', { content });
-                  }
-                }
-              } catch (e) {
-                finalAnswer += line;
-                sendSSE('response_chunk', { content: line });
-              }
-            }
-          }
-          
-          sendSSE('response_complete', {});
-        }
+  async planResponse(query, analysis, searchResults = [], memoryContext = '') {
+    const planningPrompt = `Plan a comprehensive response strategy:
 
-        // Phase 4: Response Evaluation
-        if (finalAnswer.trim()) {
-          sendSSE('thinking_start', { phase: 'evaluation', message: 'Evaluating response quality...' });
-          
-          const evaluation = await thinkingEngine.evaluateResponse(userMessage, finalAnswer, sources);
-          allThoughts.push(...evaluation.thoughts);
-          
-          sendSSE('thinking_update', { 
-            phase: 'evaluation', 
-            evaluation: evaluation.evaluation,
-            thoughts: evaluation.thoughts 
-          });
-        }
+Query: "${query}"
+Analysis: ${JSON.stringify(analysis)}
+Available search results: ${searchResults.length} items
+Memory context available: ${memoryContext ? 'Yes' : 'No'}
 
-        // Clean up thinking tags from final answer
-        const thinkingRegex = /<thinking>[\s\S]*?<\/thinking>/g;
-        finalAnswer = finalAnswer.replace(thinkingRegex, '').trim();
+Decide:
+1. Whether the available information is sufficient or more searches are needed (and which)
+2. How to structure the response for maximum clarity and helpfulness
+3. The key points to cover
+4. Any knowledge gaps that need addressing
 
-        // Save conversation
-        const userMsg = {
-          role: 'user',
-          content: message,
-          time: nowISO(),
-          id: `msg_${Date.now()}_user`
-        };
+Respond with JSON only. Put your reasoning in "reasoning".`;
 
-        const assistantMsg = {
-          role: 'assistant',
-          content: finalAnswer,
+    try {
+      const plan = await this.generateStructured(planningPrompt, RESPONSE_PLAN_SCHEMA);
+      return { thoughts: this.reasoningThoughts(plan.reasoning, 'planning'), plan };
+    } catch (error) {
+      debugLog('Response planning error:', error.message);
+      return {
+        thoughts: [{ content: `Failed to plan response: ${error.message}`, type: 'error' }],
+        plan: { needsMoreSearch: false, searchQueries: [], responseStructure: 'standard' }
+      };
+    }
+  }
+
+  async evaluateResponse(query, response, sources = []) {
+    const evaluationPrompt = `Evaluate this response for quality and completeness:
+
+Original Query: "${query}"
+Generated Response: "${response}"
+Sources Used: ${sources.length}
+
+Check accuracy, completeness relative to the query, clarity and structure, and
+proper use of sources. Score it from 0 to 10 and list concrete suggestions.
+
+Respond with JSON only. Put your reasoning in "reasoning".`;
+
+    try {
+      const evaluation = await this.generateStructured(evaluationPrompt, EVALUATION_SCHEMA);
+      return { thoughts: this.reasoningThoughts(evaluation.reasoning, 'evaluation'), evaluation };
+    } catch (error) {
+      debugLog('Response evaluation error:', error.message);
+      return {
+        thoughts: [{ content: `Failed to evaluate response: ${error.message}`, type: 'error' }],
+        evaluation: { quality: 'unknown', needsImprovement: false, suggestions: [] }
+      };
+    }
+  }
+
+  async determineSearchNeed(query, context = '') {
+    const searchKeywords = [
+      'current', 'recent', 'latest', 'news', 'today', 'now', 'this year',
+      'weather', 'price', 'stock', 'when did', 'what happened', 'status',
+      'who is currently', 'what is the current', 'update on', '2024', '2025'
+    ];
+
+    // Quick keyword check
+    if (searchKeywords.some(keyword => query.toLowerCase().includes(keyword))) {
+      return { needsSearch: true, confidence: 0.8, reason: 'Contains time-sensitive keywords' };
+    }
+
+    // AI-based determination for complex cases
+    const prompt = `Should I search the web for current information to answer: "${query}"?
+
+Context: ${context}
+
+Consider:
+- Does this require current/recent information?
+- Is this general knowledge I likely already know?
+- Would web search significantly improve the answer quality?
+- Are there specific facts, dates, or data points needed?
+
+Respond with JSON only: whether to search, your confidence (0-1) and the reason.`;
+
+    try {
+      const decision = await this.generateStructured(prompt, SEARCH_DECISION_SCHEMA, 30000);
+      return {
+        needsSearch: decision.needsSearch,
+        confidence: decision.confidence,
+        reason: decision.reason,
+        thoughts: this.reasoningThoughts(decision.reason, 'search_decision')
+      };
+    } catch (error) {
+      debugLog('Search decision error:', error.message);
+      return { needsSearch: false, confidence: 0.5, reason: 'Analysis failed' };
+    }
+  }
+}
+
+// Enhanced web search with smart querying
+class SmartWebSearch {
+  constructor(model, options = {}, signal = null) {
+    this.model = model;
+    this.options = options;
+    this.signal = signal;
+    this.engine = new AIThinkingEngine(model, options, signal);
+  }
+
+  async generateSearchQueries(query, maxQueries = 3) {
+    const prompt = `Create effective web search queries for: "${query}"
+
+Generate up to ${maxQueries} different search queries that:
+1. Cover different aspects of the question
+2. Use varied keywords and phrases
+3. Include specific and general approaches
+4. Target different types of sources
+
+Respond with JSON only. Put your reasoning in "reasoning".`;
+
+    try {
+      const result = await this.engine.generateStructured(prompt, SEARCH_QUERIES_SCHEMA, 30000);
+      const queries = [...new Set(result.queries.map(q => q.trim()))];
+
+      return {
+        queries: queries.slice(0, maxQueries),
+        thoughts: this.engine.reasoningThoughts(result.reasoning, 'search_planning')
+      };
+    } catch (error) {
+      debugLog('Query generation error:', error.message);
+      return {
+        queries: [query], // Fallback to original query
+        thoughts: [{ content: `Failed to generate search queries: ${error.message}`, type: 'error' }]
+      };
+    }
+  }
+}
+
+// Enhanced session management
+async function createSession(name = null, model = CHAT_MODEL, project = null) {
+  const id = `session_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const sessionData = {
+    id,
+    name: name || `Chat ${new Date().toLocaleString()}`,
+    model: model || CHAT_MODEL,
+    project: project || null,
+    created: nowISO(),
+    updated: nowISO(),
+    messages: [],
+    settings: {
+      autoSearch: true,
+      useMemory: true,
+      temperature: 0.7,
+      titleAutoGenerated: false
+    }
+  };
+
+  const file = path.join(sessionsDir, `${id}.json`);
+  await writeJSON(file, sessionData);
+  debugLog('Created session:', id);
+  return sessionData;
+}
+
+async function loadSession(id) {
+  const file = path.join(sessionsDir, `${id}.json`);
+  
+  try {
+    const data = await readJSON(file);
+    
+    if (!data.model) data.model = CHAT_MODEL;
+    if (!data.settings) {
+      data.settings = { 
+        autoSearch: true, 
+        useMemory: true, 
+        temperature: 0.7, 
+        titleAutoGenerated: false 
+      };
+    }
+    if (!data.messages) data.messages = [];
+    
+    return { file, data };
+  } catch (error) {
+    const defaultData = {
+      id,
+      name: `Chat ${new Date().toLocaleString()}`,
+      model: CHAT_MODEL,
+      created: nowISO(),
+      updated: nowISO(),
+      messages: [],
+      settings: { 
+        autoSearch: true, 
+        useMemory: true, 
+        temperature: 0.7, 
+        titleAutoGenerated: false 
+      }
+    };
+    await writeJSON(file, defaultData);
+    return { file, data: defaultData };
+  }
+}
+
+/**
+ * Read a session file without creating it, for background work that must not
+ * bring back a session deleted in the meantime
+ * @param {string} id - Session id
+ * @returns {Promise<{file: string, data: Object}|null>} The session, or null if it does not exist
+ */
+async function readExistingSession(id) {
+  const file = path.join(sessionsDir, `${id}.json`);
+  try {
+    const data = await readJSON(file);
+    if (!data.messages) data.messages = [];
+    return { file, data };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function saveSession(file, data) {
+  data.updated = nowISO();
+
+  // Keep a summary the background summarizer wrote after this copy was loaded
+  try {
+    const current = await readJSON(file);
+    if (current.summary?.updatedAt > (data.summary?.updatedAt || '')) {
+      data.summary = current.summary;
+    }
+  } catch (error) {
+    // New session file
+  }
+
+  await writeJSON(file, data);
+}
+
+async function listSessions(limit = 50) {
+  try {
+    const files = await fs.readdir(sessionsDir);
+    const jsonFiles = files.filter(f => f.endsWith('.json')).slice(0, limit);
+    const sessions = [];
+
+    for (const file of jsonFiles) {
+      try {
+        const data = await readJSON(path.join(sessionsDir, file));
+        sessions.push({
+          id: data.id,
+          name: data.name,
+          model: data.model,
+          project: data.project || null,
+          collections: data.collections || [],
+          created: data.created,
+          updated: data.updated,
+          messageCount: data.messages?.length || 0,
+          lastMessage: data.messages?.length > 0 
+            ? data.messages[data.messages.length - 1]?.content?.slice(0, 100) 
+            : null
+        });
+      } catch (error) {
+        debugLog('Error reading session file:', file, error.message);
+      }
+    }
+
+    return sessions.sort((a, b) => new Date(b.updated) - new Date(a.updated));
+  } catch (error) {
+    debugLog('Error listing sessions:', error.message);
+    return [];
+  }
+}
+
+// Rolling session summaries
+// Messages older than the recent window are folded into session.summary by a
+// background call, so the model keeps early decisions without the full history.
+const SUMMARY_KEEP_RECENT = 20;
+const SUMMARY_MIN_BATCH = 10;
+const SUMMARY_MAX_BATCH = 40;
+const summarizingSessions = new Set();
+
+/**
+ * Fold one batch of messages into a summary
+ * @param {string} previous - Summary so far ('' for none)
+ * @param {Array} messages - Messages to fold in
+ * @param {string} model - Model id
+ * @param {Object} options - Generation options
+ * @returns {Promise<string>} Updated summary text
+ */
+async function foldIntoSummary(previous, messages, model, options) {
+  const transcript = messages
+    .filter(m => m.content)
+    .map(m => `${m.role}: ${m.content.slice(0, 2000)}`)
+    .join('\n\n');
+
+  const prompt = `You maintain a running summary of a conversation between a user and an AI assistant.
+Keep decisions made, facts about the user, conclusions, open questions and details
+the conversation may refer back to. Be concise (under 300 words).
+
+Current summary:
+${previous || '(none yet)'}
+
+New messages to fold in:
+${transcript}
+
+Return only the updated summary:`;
+
+  const result = await llmGenerate({ model, prompt, options, timeout: 120000 });
+  const text = (result.response || '').replace(/<thinking>[\s\S]*?<\/thinking>/g, '').trim();
+  if (!text) throw new Error('Summarization returned no text');
+  return text;
+}
+
+/**
+ * Fold messages older than the recent window into a session's summary
+ * @param {string} sessionId - Session id
+ * @param {Object} params - Options
+ * @param {string} [params.model] - Model to summarize with (default: the session's)
+ * @param {Object} [params.options] - Generation options
+ * @param {boolean} [params.regenerate] - Rebuild from the first message instead of extending
+ * @returns {Promise<Object|null>} The session summary, or null if there is nothing to
+ * summarize or the session no longer exists
+ */
+async function updateSessionSummary(sessionId, { model = null, options = {}, regenerate = false } = {}) {
+  const session = await readExistingSession(sessionId);
+  if (!session) return null;
+  const { data } = session;
+  const foldUntil = data.messages.length - SUMMARY_KEEP_RECENT;
+  let covered = regenerate ? 0 : Math.min(data.summary?.coveredMessages || 0, Math.max(foldUntil, 0));
+  let text = regenerate ? '' : data.summary?.text || '';
+
+  if (foldUntil - covered < (regenerate ? 1 : SUMMARY_MIN_BATCH)) {
+    return regenerate ? null : data.summary || null;
+  }
+
+  const summaryModel = model || data.model || CHAT_MODEL;
+  while (covered < foldUntil) {
+    const end = Math.min(covered + SUMMARY_MAX_BATCH, foldUntil);
+    text = await foldIntoSummary(text, data.messages.slice(covered, end), summaryModel, options);
+    covered = end;
+  }
+
+  const summary = {
+    text,
+    coveredMessages: covered,
+    model: summaryModel,
+    updatedAt: nowISO()
+  };
+
+  // Reload so messages saved while summarizing aren't lost
+  const latest = await readExistingSession(sessionId);
+  if (!latest) {
+    debugLog('Session deleted while summarizing:', sessionId);
+    return null;
+  }
+  latest.data.summary = summary;
+  await saveSession(latest.file, latest.data);
+  debugLog('Session summary updated:', sessionId, 'covers', covered, 'messages');
+  return summary;
+}
+
+/**
+ * Update a session's summary in the background, at most one run per session
+ */
+function scheduleSessionSummary(sessionId, model, options) {
+  if (summarizingSessions.has(sessionId)) return;
+  summarizingSessions.add(sessionId);
+
+  updateSessionSummary(sessionId, { model, options })
+    .catch(error => debugLog('Session summary error:', sessionId, error.message))
+    .finally(() => summarizingSessions.delete(sessionId));
+}
+
+// Enhanced memory management with improved RAG
+async function loadMemory() {
+  try {
+    return await readJSON(memoryFile);
+  } catch (error) {
+    const init = { longTerm: [], nextId: 1 };
+    await writeJSON(memoryFile, init);
+    return init;
+  }
+}
+
+async function saveMemory(memory) {
+  await writeJSON(memoryFile, memory);
+}
+
+// Writes to memory.json run one at a time. Each writer loads, changes and
+// saves memory inside the lock, so none saves over another's changes;
+// model and embedding calls happen before taking it.
+let memoryLock = Promise.resolve();
+
+/**
+ * Run a task with exclusive write access to memory.json
+ * @param {Function} task - Async task that loads, changes and saves memory
+ * @returns {Promise<*>} The task's result
+ */
+function withMemoryLock(task) {
+  const run = memoryLock.then(task);
+  memoryLock = run.catch(() => {});
+  return run;
+}
+
+// Memory vector index
+// Embeddings live in a binary sidecar next to memory.json and are searched
+// through an in-memory index. memory.json only records the model and
+// dimension that produced each item's vector. Changed vectors are appended to
+// the sidecar shortly after memory.json is saved.
+const memoryVectorsFile = path.join(dataDir, 'memory-vectors.bin');
+const memoryVectorsOptions = {
+  file: memoryVectorsFile,
+  onError: error => debugLog('Failed to save memory vectors:', error.message)
+};
+let memoryVectors = new VectorLog(memoryVectorsOptions);
+try {
+  await memoryVectors.load();
+} catch (error) {
+  console.warn('⚠️  Could not read memory vectors, starting with an empty index:', error.message);
+  memoryVectors = new VectorLog(memoryVectorsOptions);
+}
+
+/**
+ * Move embeddings stored inline in memory.json into the sidecar file
+ */
+function migrateInlineEmbeddings() {
+  return withMemoryLock(async () => {
+    const memory = await loadMemory();
+    const inline = memory.longTerm.filter(item => Array.isArray(item.embedding));
+    if (inline.length === 0) return;
+
+    for (const item of inline) {
+      // Items saved before models were recorded are assumed to use EMBED_MODEL
+      item.embeddingModel = item.embeddingModel || EMBED_MODEL;
+      item.embeddingDim = item.embedding.length;
+      memoryVectors.set(item.id, item.embeddingModel, item.embedding);
+      delete item.embedding;
+    }
+    // The vectors must be on disk before memory.json stops carrying them
+    await memoryVectors.flush();
+    await saveMemory(memory);
+    console.log(`🧠 Moved ${inline.length} memory embeddings to ${path.basename(memoryVectorsFile)}`);
+  });
+}
+
+await migrateInlineEmbeddings();
+memoryVectors.prepare().catch(error => debugLog('Memory index build failed:', error.message));
+
+// Memory scopes
+// Items are global, tied to a project, or tied to a single session. A
+// conversation sees global items, its project's items and its own items.
+const MEMORY_SCOPES = ['global', 'project', 'session'];
+
+/**
+ * Whether a memory item applies to a conversation
+ * @param {Object} item - Memory item
+ * @param {Object} context - { sessionId, project } of the conversation
+ * @returns {boolean} True if the item is in scope
+ */
+function memoryInScope(item, { sessionId = null, project = null } = {}) {
+  switch (item.scope || 'global') {
+  case 'project':
+    return Boolean(project) && item.project === project;
+  case 'session':
+    return Boolean(sessionId) && item.sessionId === sessionId;
+  default:
+    return true;
+  }
+}
+
+/**
+ * Scope fields for an extracted item, falling back to a narrower scope when
+ * the conversation has no project
+ * @param {string} requested - Scope chosen by the extractor
+ * @param {Object} context - { sessionId, project } of the conversation
+ * @returns {Object} { scope, project } or { scope, sessionId } or { scope }
+ */
+function extractedMemoryScope(requested, { sessionId = null, project = null } = {}) {
+  if (requested === 'project' && project) return { scope: 'project', project };
+  if ((requested === 'project' || requested === 'session') && sessionId) return { scope: 'session', sessionId };
+  return { scope: 'global' };
+}
+
+// Hybrid memory retrieval
+// Items are ranked by vector similarity and by BM25 over their content and
+// tags, and the two rankings are merged with reciprocal rank fusion. Exact
+// names, ids and error codes that embeddings blur are still found by
+// keyword, and without the embedding model retrieval uses keywords alone.
+const MEMORY_VECTOR_WEIGHT = process.env.MEMORY_VECTOR_WEIGHT !== undefined
+  ? parseFloat(process.env.MEMORY_VECTOR_WEIGHT)
+  : 1;
+const MEMORY_KEYWORD_WEIGHT = process.env.MEMORY_KEYWORD_WEIGHT !== undefined
+  ? parseFloat(process.env.MEMORY_KEYWORD_WEIGHT)
+  : 1;
+const MEMORY_RRF_K = parseInt(process.env.MEMORY_RRF_K, 10) || 60;
+const memoryKeywords = new KeywordIndex();
+
+/**
+ * Vector search over memory, including items not yet re-embedded with EMBED_MODEL
+ * @param {string} query - Query text
+ * @param {number} k - Number of results
+ * @param {Function} filter - Predicate on item ids
+ * @returns {Promise<Array<{id: number, score: number}>>} Matches, best first
+ */
+async function searchMemoryVectors(query, k, filter) {
+  const [queryEmbedding] = await llmEmbed(query);
+  if (!queryEmbedding) return [];
+  const matches = memoryVectors.search(EMBED_MODEL, queryEmbedding, k, { filter });
+
+  // The index only compares vectors from the same model and dimension.
+  // Items not yet re-embedded are searched with the model that produced
+  // them, as long as it is still available.
+  const staleModels = new Set(memoryVectors.stats()
+    .map(space => space.model)
+    .filter(model => model !== EMBED_MODEL));
+  for (const model of staleModels) {
+    try {
+      const [staleEmbedding] = await llmEmbed(query, 30000, model);
+      matches.push(...memoryVectors.search(model, staleEmbedding, k, { filter }));
+    } catch (error) {
+      debugLog('Memory retrieval skipped items embedded with', model, '-', error.message);
+    }
+  }
+
+  return matches.sort((a, b) => b.score - a.score).slice(0, k);
+}
+
+/**
+ * Rank memory items for a query by fusing vector and keyword rankings
+ * @param {string} query - Query text
+ * @param {Array} items - All memory items, used to keep the keyword index current
+ * @param {Map} candidates - Items that may be returned, by id
+ * @param {number} k - Number of results
+ * @param {Object} options - { minSim, vectorWeight, keywordWeight }; minSim applies to vector matches
+ * @returns {Promise<Array<{id: number, score: number, similarity: number|null, keywordScore: number|null}>>} Best matches
+ */
+async function rankMemoryItems(query, items, candidates, k, {
+  minSim = 0.25,
+  vectorWeight = MEMORY_VECTOR_WEIGHT,
+  keywordWeight = MEMORY_KEYWORD_WEIGHT
+} = {}) {
+  const filter = id => candidates.has(id);
+  // Each ranking offers more candidates than are returned, so items ranked
+  // moderately by both can come out on top
+  const depth = Math.max(k * 4, 20);
+
+  let vectorMatches = [];
+  if (vectorWeight > 0) {
+    try {
+      vectorMatches = (await searchMemoryVectors(query, depth, filter)).filter(match => match.score >= minSim);
+    } catch (error) {
+      debugLog('Memory vector search unavailable, using keywords only:', error.message);
+    }
+  }
+
+  let keywordMatches = [];
+  if (keywordWeight > 0) {
+    memoryKeywords.sync(items.map(item => [item.id, `${item.content} ${(item.tags || []).join(' ')}`]));
+    keywordMatches = memoryKeywords.search(query, depth, { filter });
+  }
+
+  const similarity = new Map(vectorMatches.map(match => [match.id, match.score]));
+  const keywordScore = new Map(keywordMatches.map(match => [match.id, match.score]));
+  return fuseRankings([
+    { results: vectorMatches, weight: vectorWeight },
+    { results: keywordMatches, weight: keywordWeight }
+  ], MEMORY_RRF_K)
+    .slice(0, k)
+    .map(({ id, score }) => ({
+      id,
+      score,
+      similarity: similarity.get(id) ?? null,
+      keywordScore: keywordScore.get(id) ?? null
+    }));
+}
+
+async function retrieveLongTermMemory(query, k = 5, minSim = 0.3, scope = {}) {
+  try {
+    const memory = await loadMemory();
+    if (!memory.longTerm.length) return [];
+
+    const itemsById = new Map(memory.longTerm
+      .filter(item => memoryInScope(item, scope))
+      .map(item => [item.id, item]));
+    const ranked = await rankMemoryItems(query, memory.longTerm, itemsById, k, { minSim });
+    const results = ranked.map(({ id, score, similarity, keywordScore }) => ({
+      ...itemsById.get(id),
+      similarity,
+      keywordScore,
+      score
+    }));
+
+    // Retrieval counts slow the importance decay of items that stay useful.
+    // They go to a fresh load, since other writers may have saved while the
+    // query was embedded.
+    if (results.length > 0) {
+      const retrievedIds = new Set(results.map(result => result.id));
+      await withMemoryLock(async () => {
+        const current = await loadMemory();
+        const retrievedAt = nowISO();
+        for (const item of current.longTerm) {
+          if (!retrievedIds.has(item.id)) continue;
+          item.retrievalCount = (item.retrievalCount || 0) + 1;
+          item.lastRetrievedAt = retrievedAt;
+        }
+        await saveMemory(current);
+      });
+    }
+
+    debugLog('Memory retrieval:', query.slice(0, 50), 'found', results.length, 'items');
+    return results;
+  } catch (error) {
+    debugLog('Memory retrieval error:', error.message);
+    return [];
+  }
+}
+
+async function upsertLongTermMemory(memoryItems, scope = {}) {
+  try {
+    if (!Array.isArray(memoryItems) || memoryItems.length === 0) {
+      debugLog('No valid memory items to upsert');
+      return [];
+    }
+
+    const validItems = memoryItems.filter(item => {
+      if (!item || typeof item !== 'object' || !item.content) {
+        debugLog('Skipping invalid memory item:', item);
+        return false;
+      }
+      return true;
+    });
+
+    // Imported items may carry a vector from EMBED_MODEL; embed the rest in
+    // one batched request
+    const reusable = item => Array.isArray(item.embedding) && item.embeddingModel === EMBED_MODEL;
+    const embeddings = validItems.map(item => reusable(item) ? item.embedding : null);
+    const pending = validItems.flatMap((item, index) => reusable(item) ? [] : [index]);
+    if (pending.length > 0) {
+      try {
+        const vectors = await llmEmbed(pending.map(index => validItems[index].content));
+        pending.forEach((index, i) => {
+          embeddings[index] = vectors[i];
+        });
+      } catch (embedError) {
+        debugLog('Failed to generate embeddings for memory items:', embedError.message);
+        // Continue without embeddings - the items can still be stored
+      }
+    }
+    
+    return await withMemoryLock(async () => {
+      const memory = await loadMemory();
+      const added = [];
+
+      // Only items visible to this conversation count as duplicates
+      const itemsById = new Map(memory.longTerm.map(item => [item.id, item]));
+      const visible = id => itemsById.has(id) && memoryInScope(itemsById.get(id), scope);
+
+      for (const [index, item] of validItems.entries()) {
+        const embedding = embeddings[index] || null;
+
+        // Check for duplicates based on identical or similar content
+        let isDuplicate = memory.longTerm.some(existing => existing.content === item.content && visible(existing.id));
+        if (!isDuplicate && embedding && memory.longTerm.length > 0) {
+          const [nearest] = memoryVectors.search(EMBED_MODEL, embedding, 1, { filter: visible });
+          if (nearest && nearest.score > 0.95) { // Very high similarity threshold for duplicates
+            isDuplicate = true;
+            debugLog('Skipping duplicate memory item (similarity:', nearest.score.toFixed(3), ')');
+          }
+        }
+
+        if (!isDuplicate) {
+          const memoryItem = addMemoryItem(memory, { ...item, ...extractedMemoryScope(item.scope, scope) }, embedding);
+          itemsById.set(memoryItem.id, memoryItem);
+          added.push(memoryItem);
+          debugLog('Added memory item:', memoryItem.id, 'content:', memoryItem.content.slice(0, 50));
+        }
+      }
+
+      // Save updated memory
+      if (added.length > 0) {
+        await saveMemory(memory);
+        debugLog('Successfully upserted', added.length, 'memory items');
+      }
+
+      return added;
+    });
+  } catch (error) {
+    debugLog('Memory upsert error:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Append a memory item and index its embedding. The caller saves.
+ * @param {Object} memory - Loaded memory data
+ * @param {Object} item - Item fields (content, type, importance, tags, source,
+ *   and scope with its project or sessionId)
+ * @param {number[]|null} embedding - Vector from EMBED_MODEL, if available
+ * @returns {Object} The stored item
+ */
+function addMemoryItem(memory, item, embedding) {
+  const memoryItem = {
+    id: memory.nextId++,
+    content: item.content,
+    type: item.type || 'general',
+    importance: item.importance || 'medium',
+    tags: item.tags || [],
+    scope: item.scope || 'global',
+    ...(item.scope === 'project' ? { project: item.project } : {}),
+    ...(item.scope === 'session' ? { sessionId: item.sessionId } : {}),
+    timestamp: item.timestamp || nowISO(),
+    embeddingModel: embedding ? EMBED_MODEL : null,
+    embeddingDim: embedding ? embedding.length : null,
+    source: item.source || 'system'
+  };
+
+  memory.longTerm.push(memoryItem);
+  if (embedding) memoryVectors.set(memoryItem.id, EMBED_MODEL, embedding);
+  return memoryItem;
+}
+
+/**
+ * Remove the session-scoped memories of a deleted session
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<number>} Number of removed items
+ */
+function deleteSessionMemories(sessionId) {
+  return withMemoryLock(async () => {
+    const memory = await loadMemory();
+    const removed = memory.longTerm.filter(item => item.scope === 'session' && item.sessionId === sessionId);
+    if (removed.length === 0) return 0;
+
+    memory.longTerm = memory.longTerm.filter(item => !removed.includes(item));
+    removed.forEach(item => memoryVectors.delete(item.id));
+    await saveMemory(memory);
+    debugLog(`Removed ${removed.length} memories of session ${sessionId}`);
+    return removed.length;
+  });
+}
+
+/**
+ * Embed a single memory text, or return null if the embedding model is unavailable
+ * @param {string} content - Memory content
+ * @returns {Promise<number[]|null>} Embedding vector
+ */
+async function embedMemoryContent(content) {
+  try {
+    const [embedding] = await llmEmbed(content);
+    return embedding || null;
+  } catch (error) {
+    debugLog('Failed to generate embedding for memory item:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Shape a memory item for API responses. Embeddings are only attached on
+ * request, as the unit-length vectors held by the index.
+ * @param {Object} item - Stored memory item
+ * @param {boolean} includeEmbedding - Attach the item's vector
+ * @returns {Object} Response item
+ */
+function presentMemoryItem(item, includeEmbedding = false) {
+  if (!includeEmbedding) return item;
+  const stored = memoryVectors.get(item.id);
+  return { ...item, embedding: stored ? Array.from(stored.vector) : null };
+}
+
+const MEMORY_IMPORTANCE_LEVELS = { low: 0.3, medium: 0.5, high: 0.8 };
+
+/**
+ * Validate fields for a manually created or edited memory item
+ * @param {Object} input - Request body
+ * @param {boolean} partial - Allow content to be omitted (updates)
+ * @returns {{ fields: Object, errors: string[] }} Accepted fields and validation errors
+ */
+function validateMemoryInput(input, partial = false) {
+  const fields = {};
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { fields, errors: ['Memory item must be an object'] };
+  }
+
+  for (const [key, value] of Object.entries(input)) {
+    if (key === 'content') {
+      if (typeof value !== 'string' || !value.trim() || value.length > 4000) {
+        errors.push('content must be a non-empty string of at most 4000 characters');
+      } else {
+        fields.content = value.trim();
+      }
+    } else if (key === 'type') {
+      if (typeof value !== 'string' || !value.trim() || value.length > 50) {
+        errors.push('type must be a non-empty string of at most 50 characters');
+      } else {
+        fields.type = value.trim();
+      }
+    } else if (key === 'importance') {
+      const valid = Object.hasOwn(MEMORY_IMPORTANCE_LEVELS, value) ||
+        (typeof value === 'number' && value >= 0 && value <= 1);
+      if (!valid) {
+        errors.push('importance must be a number between 0 and 1 or one of low, medium, high');
+      } else {
+        fields.importance = value;
+      }
+    } else if (key === 'tags') {
+      const valid = Array.isArray(value) && value.length <= 20 &&
+        value.every(tag => typeof tag === 'string' && tag.trim() && tag.length <= 50);
+      if (!valid) {
+        errors.push('tags must be an array of up to 20 non-empty strings');
+      } else {
+        fields.tags = value.map(tag => tag.trim());
+      }
+    } else if (key === 'scope') {
+      if (!MEMORY_SCOPES.includes(value)) {
+        errors.push(`scope must be one of ${MEMORY_SCOPES.join(', ')}`);
+      } else {
+        fields.scope = value;
+      }
+    } else if (key === 'project') {
+      if (!isValidProjectName(value)) {
+        errors.push('project must be a non-empty string of at most 100 characters');
+      } else {
+        fields.project = value.trim();
+      }
+    } else if (key === 'sessionId') {
+      if (typeof value !== 'string' || !/^[\w-]{1,100}$/.test(value)) {
+        errors.push('sessionId must be a session id');
+      } else {
+        fields.sessionId = value;
+      }
+    } else {
+      errors.push(`Unknown field: ${key}`);
+    }
+  }
+
+  if (!partial && fields.content === undefined && !errors.length) {
+    errors.push('content is required');
+  }
+
+  return { fields, errors };
+}
+
+function isValidProjectName(value) {
+  return typeof value === 'string' && value.trim().length > 0 && value.length <= 100;
+}
+
+/**
+ * Work out the scope fields of a created or re-scoped memory item. Moving a
+ * session item to project scope uses the session's project by default.
+ * @param {Object} fields - Validated scope, project and sessionId fields
+ * @param {Object} current - The item's current fields, when updating
+ * @returns {Promise<{ scopeFields: Object, error: string|null }>} Scope fields or an error
+ */
+async function resolveMemoryScope(fields, current = {}) {
+  const implied = fields.project ? 'project' : fields.sessionId ? 'session' : null;
+  const scope = fields.scope ?? implied ?? current.scope ?? 'global';
+  const sessionId = fields.sessionId ?? current.sessionId ?? null;
+  if (scope === 'global') return { scopeFields: { scope }, error: null };
+
+  let session = null;
+  if (sessionId) {
+    try {
+      session = await readJSON(path.join(sessionsDir, `${sessionId}.json`));
+    } catch {
+      return { scopeFields: null, error: 'Session not found' };
+    }
+  }
+
+  if (scope === 'session') {
+    return session
+      ? { scopeFields: { scope, sessionId }, error: null }
+      : { scopeFields: null, error: 'Session scope needs a sessionId' };
+  }
+
+  const project = fields.project ?? (current.scope === 'project' ? current.project : null) ?? session?.project ?? null;
+  return project
+    ? { scopeFields: { scope, project }, error: null }
+    : { scopeFields: null, error: 'Project scope needs a project or a session that belongs to one' };
+}
+
+/**
+ * Parse type, tag, scope and date filters from a query string
+ * @param {Object} query - Request query (type, tags, scope, project, sessionId, from, to)
+ * @returns {{ matches: Function, errors: string[] }} Item predicate and validation errors
+ */
+function parseMemoryFilters({ type, tags, scope, project, sessionId, from, to }) {
+  const errors = [];
+  const tagList = typeof tags === 'string' ? tags.split(',').map(t => t.trim()).filter(Boolean) : [];
+  const fromTime = from ? Date.parse(from) : null;
+  const toTime = to ? Date.parse(to) : null;
+  if (Number.isNaN(fromTime)) errors.push('from must be a date');
+  if (Number.isNaN(toTime)) errors.push('to must be a date');
+  if (scope !== undefined && !MEMORY_SCOPES.includes(scope)) errors.push(`scope must be one of ${MEMORY_SCOPES.join(', ')}`);
+
+  const matches = (item) => {
+    if (type && item.type !== type) return false;
+    if (scope && (item.scope || 'global') !== scope) return false;
+    if (project && item.project !== project) return false;
+    if (sessionId && item.sessionId !== sessionId) return false;
+    if (tagList.length && !tagList.every(tag => (item.tags || []).includes(tag))) return false;
+    const time = Date.parse(item.timestamp);
+    if (fromTime !== null && !(time >= fromTime)) return false;
+    if (toTime !== null && !(time <= toTime)) return false;
+    return true;
+  };
+
+  return { matches, errors };
+}
+
+/**
+ * Parse one line of a memory export into an item for upsertLongTermMemory.
+ * Ids, retrieval statistics and other bookkeeping fields are dropped.
+ * @param {string} line - JSON object
+ * @returns {Promise<{ item: Object|null, errors: string[] }>} Item and validation errors
+ */
+async function parseMemoryImportLine(line) {
+  let record;
+  try {
+    record = JSON.parse(line);
+  } catch {
+    return { item: null, errors: ['Invalid JSON'] };
+  }
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { item: null, errors: ['Memory item must be an object'] };
+  }
+
+  const { content, type, importance, tags, scope, project, sessionId } = record;
+  const input = Object.fromEntries(Object.entries({ content, type, importance, tags, scope, project, sessionId })
+    .filter(([, value]) => value !== undefined && value !== null));
+  const { fields, errors } = validateMemoryInput(input);
+  const { timestamp, source, embedding, embeddingModel } = record;
+  if (timestamp !== undefined && (typeof timestamp !== 'string' || Number.isNaN(Date.parse(timestamp)))) {
+    errors.push('timestamp must be a date');
+  }
+  if (source !== undefined && (typeof source !== 'string' || !source.trim() || source.length > 50)) {
+    errors.push('source must be a non-empty string of at most 50 characters');
+  }
+  const hasEmbedding = Array.isArray(embedding) && embedding.length > 0 && typeof embeddingModel === 'string';
+  if (hasEmbedding && !embedding.every(Number.isFinite)) {
+    errors.push('embedding must be an array of numbers');
+  }
+  if (errors.length) return { item: null, errors };
+
+  const { scopeFields, error } = await resolveMemoryScope(fields);
+  if (error) return { item: null, errors: [error] };
+
+  return {
+    item: {
+      ...fields,
+      ...scopeFields,
+      timestamp,
+      source: source || 'import',
+      ...(hasEmbedding ? { embedding, embeddingModel } : {})
+    },
+    errors: []
+  };
+}
+
+// Memory maintenance
+// A scheduled job keeps long-term memory bounded. Importance decays with age,
+// more slowly for items that keep being retrieved; near-duplicates are merged
+// by the chat model; and once MAX_MEMORY_ITEMS is exceeded the least important
+// items are evicted. Each run appends a report to memory-maintenance.json.
+const MAX_MEMORY_ITEMS = parseInt(process.env.MAX_MEMORY_ITEMS, 10) || 1000;
+const MEMORY_CLEANUP_INTERVAL_HOURS = process.env.MEMORY_CLEANUP_INTERVAL_HOURS !== undefined
+  ? Number(process.env.MEMORY_CLEANUP_INTERVAL_HOURS)
+  : 24;
+const MEMORY_DECAY_HALF_LIFE_DAYS = parseFloat(process.env.MEMORY_DECAY_HALF_LIFE_DAYS) || 30;
+const MEMORY_CONSOLIDATION_THRESHOLD = parseFloat(process.env.MEMORY_CONSOLIDATION_THRESHOLD) || 0.85;
+const MEMORY_MAX_CONSOLIDATIONS = 20;
+const MEMORY_REPORTS_KEPT = 20;
+const memoryReportsFile = path.join(dataDir, 'memory-maintenance.json');
+
+const MEMORY_CONSOLIDATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    content: { type: 'string', minLength: 1 },
+    tags: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['content', 'tags']
+};
+
+let memoryMaintenance = null;
+let nextMemoryMaintenanceAt = null;
+
+/**
+ * Numeric importance of an item; older items may store low, medium or high
+ * @param {number|string} importance - Stored importance
+ * @returns {number} Importance between 0 and 1
+ */
+function importanceValue(importance) {
+  if (typeof importance === 'number' && Number.isFinite(importance)) {
+    return Math.min(1, Math.max(0, importance));
+  }
+  return MEMORY_IMPORTANCE_LEVELS[importance] ?? MEMORY_IMPORTANCE_LEVELS.medium;
+}
+
+/**
+ * Decay an item's importance for the time since it was last decayed. The
+ * half-life grows with the number of times the item has been retrieved.
+ * @param {Object} item - Memory item, updated in place
+ * @param {number} now - Current time in milliseconds
+ */
+function decayImportance(item, now) {
+  const since = Date.parse(item.decayedAt || item.timestamp) || now;
+  const days = Math.max(0, now - since) / 86400000;
+  const halfLife = MEMORY_DECAY_HALF_LIFE_DAYS * (1 + Math.log2(1 + (item.retrievalCount || 0)));
+  const decayed = importanceValue(item.importance) * Math.pow(0.5, days / halfLife);
+  item.importance = Number(Math.max(0.01, decayed).toFixed(4));
+  item.decayedAt = new Date(now).toISOString();
+}
+
+function memoryScopeKey(item) {
+  return `${item.scope || 'global'}:${item.project || item.sessionId || ''}`;
+}
+
+/**
+ * Group items whose vectors are close enough to be merged
+ * @param {Object[]} items - Memory items
+ * @returns {Object[][]} Groups of two or more items
+ */
+function findConsolidationGroups(items) {
+  const itemsById = new Map(items.map(item => [item.id, item]));
+  const grouped = new Set();
+  const groups = [];
+
+  for (const item of items) {
+    if (groups.length >= MEMORY_MAX_CONSOLIDATIONS) break;
+    if (grouped.has(item.id) || item.embeddingModel !== EMBED_MODEL) continue;
+    const stored = memoryVectors.get(item.id);
+    if (!stored) continue;
+
+    // Only items in the same scope are merged
+    const sameScope = id => memoryScopeKey(itemsById.get(id)) === memoryScopeKey(item);
+    const neighbours = memoryVectors
+      .search(EMBED_MODEL, stored.vector, 5, { filter: id => id !== item.id && itemsById.has(id) && !grouped.has(id) && sameScope(id) })
+      .filter(match => match.score >= MEMORY_CONSOLIDATION_THRESHOLD);
+    if (!neighbours.length) continue;
+
+    const group = [item, ...neighbours.map(match => itemsById.get(match.id))];
+    group.forEach(member => grouped.add(member.id));
+    groups.push(group);
+  }
+
+  return groups;
+}
+
+/**
+ * Ask the chat model to merge a group of overlapping memories into one
+ * @param {Object[]} group - Items to merge
+ * @returns {Promise<Object>} Merged item fields, its embedding and the source ids
+ */
+async function consolidateMemoryGroup(group) {
+  const prompt = `These notes from an assistant's long-term memory overlap.
+Merge them into one note that keeps every distinct fact and drops repetition.
+Write it in the same voice as the notes, in one or two sentences.
+
+${group.map((item, i) => `${i + 1}. ${item.content}`).join('\n')}
+
+Return JSON with the merged note as "content" and up to 5 short topic "tags".`;
+
+  const engine = new AIThinkingEngine(CHAT_MODEL);
+  const merged = await engine.generateStructured(prompt, MEMORY_CONSOLIDATION_SCHEMA, 60000);
+  const content = merged.content.trim();
+  const tags = [...new Set([...group.flatMap(item => item.tags || []), ...merged.tags])].slice(0, 20);
+
+  return {
+    from: group.map(item => item.id),
+    // What the merge was built from, to detect edits made in the meantime
+    originals: group.map(({ content, updatedAt }) => ({ content, updatedAt })),
+    fields: {
+      content,
+      tags,
+      type: group[0].type,
+      importance: Math.max(...group.map(item => importanceValue(item.importance))),
+      scope: group[0].scope || 'global',
+      project: group[0].project,
+      sessionId: group[0].sessionId,
+      source: 'consolidated'
+    },
+    retrievalCount: group.reduce((sum, item) => sum + (item.retrievalCount || 0), 0),
+    embedding: await embedMemoryContent(content)
+  };
+}
+
+/**
+ * Run one maintenance pass: decay, consolidate, evict, and record a report
+ * @param {string} trigger - 'scheduled' or 'manual'
+ * @returns {Promise<Object>} Maintenance report
+ */
+async function runMemoryMaintenance(trigger) {
+  const startedAt = Date.now();
+  const report = {
+    id: `maintenance_${startedAt}`,
+    trigger,
+    startedAt: new Date(startedAt).toISOString(),
+    consolidated: [],
+    evicted: [],
+    errors: []
+  };
+
+  // Model calls work from a snapshot; the changes are applied to a fresh
+  // load under the memory lock so items saved meanwhile aren't lost
+  const snapshot = await loadMemory();
+  const merges = [];
+  for (const group of findConsolidationGroups(snapshot.longTerm)) {
+    try {
+      merges.push(await consolidateMemoryGroup(group));
+    } catch (error) {
+      report.errors.push(`Consolidating ${group.map(item => item.id).join(', ')}: ${error.message}`);
+    }
+  }
+
+  const average = items => items.length
+    ? Number((items.reduce((sum, item) => sum + importanceValue(item.importance), 0) / items.length).toFixed(4))
+    : null;
+  await withMemoryLock(async () => {
+    const memory = await loadMemory();
+    const now = Date.now();
+    report.itemsBefore = memory.longTerm.length;
+    report.averageImportanceBefore = average(memory.longTerm);
+
+    for (const item of memory.longTerm) decayImportance(item, now);
+
+    for (const merge of merges) {
+      // Skip merges whose items were edited or deleted while the model ran
+      const originals = merge.from.map(id => memory.longTerm.find(item => item.id === id));
+      const changed = (item, i) => {
+        const before = merge.originals[i];
+        return !item || item.content !== before.content || item.updatedAt !== before.updatedAt;
+      };
+      if (originals.some(changed)) continue;
+
+      memory.longTerm = memory.longTerm.filter(item => !merge.from.includes(item.id));
+      merge.from.forEach(id => memoryVectors.delete(id));
+      const item = addMemoryItem(memory, merge.fields, merge.embedding);
+      item.retrievalCount = merge.retrievalCount;
+      item.consolidatedFrom = merge.from;
+      item.decayedAt = item.timestamp;
+      report.consolidated.push({ from: merge.from, into: item.id, content: item.content });
+    }
+
+    const excess = memory.longTerm.length - MAX_MEMORY_ITEMS;
+    if (excess > 0) {
+      const evicted = memory.longTerm
+        .slice()
+        .sort((a, b) => importanceValue(a.importance) - importanceValue(b.importance) ||
+          String(a.timestamp).localeCompare(String(b.timestamp)))
+        .slice(0, excess);
+      const evictedIds = new Set(evicted.map(item => item.id));
+      memory.longTerm = memory.longTerm.filter(item => !evictedIds.has(item.id));
+      evictedIds.forEach(id => memoryVectors.delete(id));
+      report.evicted = evicted.map(item => ({ id: item.id, content: item.content.slice(0, 200), importance: item.importance }));
+    }
+
+    await saveMemory(memory);
+    report.itemsAfter = memory.longTerm.length;
+    report.averageImportanceAfter = average(memory.longTerm);
+  });
+
+  report.finishedAt = nowISO();
+  report.durationMs = Date.now() - startedAt;
+
+  const reports = await loadMaintenanceReports();
+  await writeJSON(memoryReportsFile, { reports: [report, ...reports].slice(0, MEMORY_REPORTS_KEPT) });
+  debugLog('Memory maintenance:', report.consolidated.length, 'merged,', report.evicted.length, 'evicted,', report.itemsAfter, 'items left');
+  return report;
+}
+
+async function loadMaintenanceReports() {
+  try {
+    return (await readJSON(memoryReportsFile)).reports || [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Start a maintenance run unless one is already in progress
+ * @param {string} trigger - 'scheduled' or 'manual'
+ * @returns {Promise<Object>|null} The run, or null if one is running
+ */
+function startMemoryMaintenance(trigger) {
+  if (memoryMaintenance) return null;
+  memoryMaintenance = runMemoryMaintenance(trigger).finally(() => {
+    memoryMaintenance = null;
+  });
+  return memoryMaintenance;
+}
+
+function scheduleMemoryMaintenance(delay) {
+  // setTimeout delays overflow past about 24.8 days
+  const wait = Math.min(delay, 2147483647);
+  nextMemoryMaintenanceAt = new Date(Date.now() + wait).toISOString();
+  setTimeout(async () => {
+    try {
+      await startMemoryMaintenance('scheduled');
+    } catch (error) {
+      debugLog('Memory maintenance error:', error.message);
+    }
+    scheduleMemoryMaintenance(MEMORY_CLEANUP_INTERVAL_HOURS * 3600000);
+  }, wait).unref();
+}
+
+if (Number.isFinite(MEMORY_CLEANUP_INTERVAL_HOURS) && MEMORY_CLEANUP_INTERVAL_HOURS > 0) {
+  // Resume the schedule from the last run, but never right at startup
+  const [lastReport] = await loadMaintenanceReports();
+  const lastRun = lastReport ? Date.parse(lastReport.startedAt) : Date.now();
+  scheduleMemoryMaintenance(Math.max(60000, lastRun + MEMORY_CLEANUP_INTERVAL_HOURS * 3600000 - Date.now()));
+}
+
+// Memory re-embedding
+// Vectors from different models or dimensions cannot be compared, so after
+// EMBED_MODEL changes the affected items are re-embedded in the background.
+// Each item keeps its old vector, still searchable with the old model, until
+// its new one replaces it.
+let memoryReembedding = null;
+let memoryReembedJob = null;
+
+/**
+ * Items whose vector is missing or was not produced by EMBED_MODEL at its
+ * current dimension
+ * @param {Array} items - Memory items
+ * @param {number|null} dimension - Current EMBED_MODEL dimension, if known
+ * @returns {Array} Items that need a new embedding
+ */
+function staleMemoryItems(items, dimension = null) {
+  return items.filter(item => item.embeddingModel !== EMBED_MODEL ||
+    (dimension !== null && item.embeddingDim !== dimension) ||
+    !memoryVectors.has(item.id));
+}
+
+/**
+ * Re-embed stale memory items in batches of EMBED_BATCH_SIZE
+ * @param {Object} job - Job status, updated as batches finish
+ * @returns {Promise<Object>} The finished job
+ */
+async function runMemoryReembedding(job) {
+  try {
+    const memory = await loadMemory();
+    if (memory.longTerm.length === 0) return job;
+
+    // One embedding tells the current dimension of EMBED_MODEL
+    const [probe] = await llmEmbed(memory.longTerm[0].content);
+    const stale = staleMemoryItems(memory.longTerm, probe.length);
+    job.total = stale.length;
+    debugLog('Memory re-embedding:', stale.length, 'items need', EMBED_MODEL);
+
+    for (let start = 0; start < stale.length; start += EMBED_BATCH_SIZE) {
+      const batch = stale.slice(start, start + EMBED_BATCH_SIZE);
+      let vectors;
+      try {
+        vectors = await llmEmbed(batch.map(item => item.content));
+      } catch (error) {
+        job.failed += batch.length;
+        job.errors.push(`Items ${batch[0].id}-${batch[batch.length - 1].id}: ${error.message}`);
+        continue;
+      }
+
+      // Apply to a fresh load so edits made while embedding are kept
+      await withMemoryLock(async () => {
+        const current = await loadMemory();
+        const itemsById = new Map(current.longTerm.map(item => [item.id, item]));
+        batch.forEach((item, i) => {
+          const target = itemsById.get(item.id);
+          // Deleted or re-embedded by an edit in the meantime
+          if (!target || target.content !== item.content) return;
+          memoryVectors.set(target.id, EMBED_MODEL, vectors[i]);
+          target.embeddingModel = EMBED_MODEL;
+          target.embeddingDim = vectors[i].length;
+        });
+        await saveMemory(current);
+      });
+
+      job.done += batch.length;
+      debugLog(`Memory re-embedding: ${job.done}/${job.total}`);
+    }
+  } catch (error) {
+    job.errors.push(error.message);
+  }
+
+  job.status = job.errors.length > 0 ? 'failed' : 'completed';
+  job.finishedAt = nowISO();
+  memoryVectors.prepare().catch(error => debugLog('Memory index build failed:', error.message));
+  return job;
+}
+
+/**
+ * Start re-embedding unless a job is already running
+ * @param {string} trigger - 'startup' or 'manual'
+ * @returns {Object|null} The new job status, or null if one is running
+ */
+function startMemoryReembedding(trigger) {
+  if (memoryReembedding) return null;
+  memoryReembedJob = {
+    trigger,
+    model: EMBED_MODEL,
+    status: 'running',
+    total: null,
+    done: 0,
+    failed: 0,
+    errors: [],
+    startedAt: nowISO(),
+    finishedAt: null
+  };
+  memoryReembedding = runMemoryReembedding(memoryReembedJob).finally(() => {
+    memoryReembedding = null;
+  });
+  return memoryReembedJob;
+}
+
+// Items embedded with another model mean EMBED_MODEL changed since they were
+// stored; items without a vector were saved just before a crash
+const storedMemory = (await loadMemory()).longTerm;
+if (storedMemory.some(item => item.embeddingModel && item.embeddingModel !== EMBED_MODEL)) {
+  console.log(`🧠 EMBED_MODEL changed to ${EMBED_MODEL}, re-embedding memory in the background`);
+  startMemoryReembedding('startup');
+} else if (storedMemory.some(item => item.embeddingModel && !memoryVectors.has(item.id))) {
+  console.log('🧠 Some memory vectors were not saved, embedding them in the background');
+  startMemoryReembedding('startup');
+}
+
+// Knowledge base collections
+// Uploaded documents are split into overlapping chunks, embedded and kept
+// per collection: collection.json holds the metadata, chunks.json the chunk
+// text, vectors.bin the chunk vectors and documents/ the extracted text for
+// re-indexing. Sessions attach collections, and every question retrieves the
+// best chunks from them, cited as [document:chunk].
+const collectionsDir = path.join(dataDir, 'collections');
+await fs.mkdir(collectionsDir, { recursive: true });
+
+const KB_CHUNK_SIZE = parseInt(process.env.KB_CHUNK_SIZE, 10) || 1000;
+// Overlaps that are not numbers or reach half a chunk fall back to the default
+const kbChunkOverlap = parseInt(process.env.KB_CHUNK_OVERLAP, 10);
+const KB_CHUNK_OVERLAP = Number.isFinite(kbChunkOverlap) && kbChunkOverlap >= 0 && kbChunkOverlap < KB_CHUNK_SIZE / 2
+  ? kbChunkOverlap
+  : Math.min(150, Math.floor(KB_CHUNK_SIZE / 4));
+const KB_TOP_K = parseInt(process.env.KB_TOP_K, 10) || 5;
+const KB_MIN_SIMILARITY = 0.25;
+const COLLECTION_ID_PATTERN = /^kb_[a-z0-9_]+$/;
+const DOCUMENT_ID_PATTERN = /^doc_[a-z0-9_]+$/;
+
+// Loaded collections by id; every write goes through saveCollection
+const collectionCache = new Map();
+// Writes to one collection run one at a time
+const collectionLocks = new Map();
+
+/**
+ * Split text into chunks of about `size` characters that end at paragraph,
+ * line, sentence or word boundaries where possible. Consecutive chunks share
+ * about `overlap` characters so a passage cut at a boundary stays retrievable.
+ * @param {string} text - Document text
+ * @param {number} size - Target chunk length in characters
+ * @param {number} overlap - Characters repeated from the previous chunk
+ * @returns {string[]} Non-empty chunks in document order
+ */
+function chunkText(text, size = KB_CHUNK_SIZE, overlap = KB_CHUNK_OVERLAP) {
+  const normalized = text.replace(/\r\n?/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  const chunks = [];
+  let start = 0;
+
+  while (start < normalized.length) {
+    let end = Math.min(start + size, normalized.length);
+    if (end < normalized.length) {
+      // Break at the strongest boundary in the second half of the window
+      const window = normalized.slice(start + Math.floor(size / 2), end);
+      const breaks = ['\n\n', '\n', '. ', ' '].map(separator => window.lastIndexOf(separator));
+      const cut = breaks.find(index => index >= 0);
+      if (cut !== undefined) end = start + Math.floor(size / 2) + cut + 1;
+    }
+
+    const chunk = normalized.slice(start, end).trim();
+    if (chunk) chunks.push(chunk);
+    if (end >= normalized.length) break;
+
+    // Start the next chunk at a word boundary inside the overlap
+    let next = Math.max(end - overlap, start + 1);
+    const space = normalized.indexOf(' ', next);
+    if (space !== -1 && space < end) next = space + 1;
+    start = next;
+  }
+
+  return chunks;
+}
+
+function collectionDir(id) {
+  return path.join(collectionsDir, id);
+}
+
+/**
+ * Load a collection into the cache
+ * @param {string} id - Collection id
+ * @returns {Promise<Object|null>} { meta, chunks, vectors, keywords }, or null if it does not exist
+ */
+async function loadCollection(id) {
+  if (!COLLECTION_ID_PATTERN.test(id)) return null;
+  if (collectionCache.has(id)) return collectionCache.get(id);
+
+  const dir = collectionDir(id);
+  let meta;
+  try {
+    meta = await readJSON(path.join(dir, 'collection.json'));
+  } catch {
+    return null;
+  }
+
+  const { chunks = [] } = await readJSON(path.join(dir, 'chunks.json')).catch(() => ({}));
+  let vectors;
+  try {
+    vectors = await VectorStore.load(path.join(dir, 'vectors.bin'));
+  } catch (error) {
+    debugLog('Could not read collection vectors:', id, error.message);
+    vectors = new VectorStore();
+  }
+
+  const state = { meta, chunks: new Map(chunks.map(chunk => [chunk.id, chunk])), vectors, keywords: new KeywordIndex() };
+  for (const chunk of chunks) state.keywords.add(chunk.id, chunk.text);
+  collectionCache.set(id, state);
+  return state;
+}
+
+async function saveCollection(state) {
+  const dir = collectionDir(state.meta.id);
+  state.meta.updatedAt = nowISO();
+  await writeJSON(path.join(dir, 'chunks.json'), { chunks: Array.from(state.chunks.values()) });
+  await state.vectors.save(path.join(dir, 'vectors.bin'));
+  await writeJSON(path.join(dir, 'collection.json'), state.meta);
+}
+
+/**
+ * Run a task with exclusive write access to a collection
+ * @param {string} id - Collection id
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} The task's result
+ */
+function withCollectionLock(id, task) {
+  const previous = collectionLocks.get(id) || Promise.resolve();
+  const run = previous.catch(() => {}).then(task);
+  const tail = run.catch(() => {});
+  collectionLocks.set(id, tail);
+  tail.then(() => {
+    if (collectionLocks.get(id) === tail) collectionLocks.delete(id);
+  });
+  return run;
+}
+
+function summarizeCollection(meta) {
+  return {
+    id: meta.id,
+    name: meta.name,
+    description: meta.description,
+    documentCount: meta.documents.length,
+    chunkCount: meta.documents.reduce((sum, doc) => sum + doc.chunkCount, 0),
+    createdAt: meta.createdAt,
+    updatedAt: meta.updatedAt
+  };
+}
+
+/**
+ * Replace a document's chunks and vectors with ones built from its text.
+ * Without the embedding model the chunks are stored unembedded and can
+ * still be found by keyword. The caller holds the lock and saves.
+ * @param {Object} state - Loaded collection
+ * @param {Object} doc - Document metadata, updated in place
+ * @param {string} text - Document text
+ */
+async function indexDocument(state, doc, text) {
+  for (const chunk of state.chunks.values()) {
+    if (chunk.documentId !== doc.id) continue;
+    state.chunks.delete(chunk.id);
+    state.vectors.delete(chunk.id);
+    state.keywords.remove(chunk.id);
+  }
+
+  const texts = chunkText(text);
+  let vectors = [];
+  try {
+    vectors = await llmEmbed(texts);
+  } catch (error) {
+    debugLog('Document embedding failed, indexing by keyword only:', doc.filename, error.message);
+  }
+
+  texts.forEach((content, index) => {
+    const chunk = { id: state.meta.nextChunkId++, documentId: doc.id, index, text: content };
+    state.chunks.set(chunk.id, chunk);
+    state.keywords.add(chunk.id, chunk.text);
+    if (vectors[index]) state.vectors.set(chunk.id, EMBED_MODEL, vectors[index]);
+  });
+
+  doc.chunkCount = texts.length;
+  doc.embeddingModel = vectors.length ? EMBED_MODEL : null;
+  doc.indexedAt = nowISO();
+}
+
+/**
+ * Retrieve the most relevant chunks from several collections. Vector and
+ * keyword rankings are fused as for memory, with the same weights.
+ * @param {string} query - Question text
+ * @param {string[]} collectionIds - Collections to search
+ * @param {number} k - Number of chunks
+ * @returns {Promise<Array>} Chunks, best first, with { label, collectionId, documentId, filename, chunk, content, score, similarity, keywordScore }
+ */
+async function retrieveDocumentChunks(query, collectionIds, k = KB_TOP_K) {
+  const states = (await Promise.all(collectionIds.map(loadCollection))).filter(Boolean);
+  if (states.length === 0) return [];
+  const depth = Math.max(k * 4, 20);
+
+  let queryEmbedding = null;
+  if (MEMORY_VECTOR_WEIGHT > 0 && states.some(state => state.vectors.size > 0)) {
+    try {
+      [queryEmbedding] = await llmEmbed(query);
+    } catch (error) {
+      debugLog('Document vector search unavailable, using keywords only:', error.message);
+    }
+  }
+
+  // Keys are "<collection>#<chunk>" so chunk ids from different collections never collide
+  const vectorMatches = [];
+  const keywordRankings = [];
+  for (const state of states) {
+    const key = id => `${state.meta.id}#${id}`;
+    if (queryEmbedding) {
+      vectorMatches.push(...state.vectors.search(EMBED_MODEL, queryEmbedding, depth)
+        .filter(match => match.score >= KB_MIN_SIMILARITY)
+        .map(match => ({ ...match, id: key(match.id) })));
+    }
+    if (MEMORY_KEYWORD_WEIGHT > 0) {
+      keywordRankings.push({
+        results: state.keywords.search(query, depth).map(match => ({ ...match, id: key(match.id) })),
+        weight: MEMORY_KEYWORD_WEIGHT
+      });
+    }
+  }
+  vectorMatches.sort((a, b) => b.score - a.score);
+
+  const similarity = new Map(vectorMatches.map(match => [match.id, match.score]));
+  const keywordScore = new Map(keywordRankings.flatMap(({ results }) => results.map(match => [match.id, match.score])));
+  const statesById = new Map(states.map(state => [state.meta.id, state]));
+
+  return fuseRankings([{ results: vectorMatches.slice(0, depth), weight: MEMORY_VECTOR_WEIGHT }, ...keywordRankings], MEMORY_RRF_K)
+    .slice(0, k)
+    .map(({ id, score }) => {
+      const [collectionId, chunkId] = id.split('#');
+      const state = statesById.get(collectionId);
+      const chunk = state.chunks.get(Number(chunkId));
+      const doc = state.meta.documents.find(d => d.id === chunk.documentId);
+      return {
+        label: `${doc.filename}:${chunk.index + 1}`,
+        collectionId,
+        documentId: doc.id,
+        filename: doc.filename,
+        chunk: chunk.index + 1,
+        content: chunk.text,
+        score,
+        similarity: similarity.get(id) ?? null,
+        keywordScore: keywordScore.get(id) ?? null
+      };
+    });
+}
+
+function formatDocumentContext(chunks) {
+  if (!chunks.length) return '';
+  return 'Excerpts from the attached documents. Cite them as [document:chunk] using the labels below:\n\n' +
+    chunks.map(c => `[${c.label}]\n${c.content}`).join('\n\n---\n\n');
+}
+
+/**
+ * Source entries for cited document chunks, listed next to web sources
+ * @param {Array} chunks - Retrieved chunks
+ * @returns {Array} { idx, type, title, collectionId, documentId, chunk }
+ */
+function documentSources(chunks) {
+  return chunks.map(c => ({
+    idx: c.label,
+    type: 'document',
+    title: c.filename,
+    collectionId: c.collectionId,
+    documentId: c.documentId,
+    chunk: c.chunk
+  }));
+}
+
+// Search providers
+// Web search goes through providers tried in priority order. When one fails
+// or finds nothing the next is asked. SearXNG, any JSON search API and an
+// offline index of pages fetched for earlier answers are built in.
+const SEARCH_USER_AGENT = 'Mozilla/5.0 (compatible; EvolveUI/2.0)';
+const SEARCH_PROVIDER_TIMEOUT = 15000;
+// A provider failing this many times in a row is skipped for the cooldown
+const SEARCH_FAILURE_THRESHOLD = 3;
+const SEARCH_FAILURE_COOLDOWN_MS = 60 * 1000;
+const SEARCH_LOCAL_MAX_PAGES = parseInt(process.env.SEARCH_LOCAL_MAX_PAGES, 10) || 1000;
+const SEARCH_LOCAL_PAGE_CHARS = 5000;
+const searchIndexFile = path.join(dataDir, 'search-index.json');
+
+/**
+ * Read a dotted path such as "web.results" from parsed JSON
+ * @param {*} value - Parsed JSON
+ * @param {string} dottedPath - Keys separated by dots; empty for the value itself
+ * @returns {*} Value at the path, or undefined
+ */
+function readPath(value, dottedPath) {
+  if (!dottedPath) return value;
+  return dottedPath.split('.').reduce((current, key) => current?.[key], value);
+}
+
+/**
+ * Keep results with an http(s) URL, trimmed to { title, url, snippet }
+ * @param {Array} items - Candidate results
+ * @param {number} count - Maximum results
+ * @returns {Array} Normalized results
+ */
+function normalizeSearchResults(items, count) {
+  return (Array.isArray(items) ? items : [])
+    .filter(r => typeof r?.url === 'string' && /^https?:\/\//i.test(r.url.trim()))
+    .slice(0, count)
+    .map(r => ({
+      title: String(r.title || r.url).trim(),
+      url: r.url.trim(),
+      snippet: String(r.snippet || '').trim()
+    }));
+}
+
+class SearxngProvider {
+  constructor({ name = 'searxng', baseUrl, priority = 0, timeout = SEARCH_PROVIDER_TIMEOUT, params = {} }) {
+    this.name = name;
+    this.type = 'searxng';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.priority = priority;
+    this.timeout = timeout;
+    // Extra query parameters such as engines, categories or time_range
+    this.params = { language: 'en', safesearch: '1', ...params };
+  }
+
+  get endpoint() {
+    return this.baseUrl;
+  }
+
+  async search(query, { count, signal }) {
+    const params = new URLSearchParams({ ...this.params, q: query, format: 'json' });
+    const response = await fetchWithTimeout(`${this.baseUrl}/search?${params}`, {
+      headers: { 'User-Agent': SEARCH_USER_AGENT, 'Accept': 'application/json' }
+    }, this.timeout, signal);
+
+    if (!response.ok) throw new Error(`SearXNG returned HTTP ${response.status}`);
+    if (!(response.headers.get('content-type') || '').includes('application/json')) {
+      throw new Error('SearXNG did not return JSON; enable the json format in its settings.yml');
+    }
+
+    const json = await response.json();
+    return normalizeSearchResults(
+      (json.results || []).map(r => ({ title: r.title, url: r.url, snippet: r.content })),
+      count
+    );
+  }
+}
+
+/**
+ * Any search API that answers with JSON. `url` may contain {query} and
+ * {count} placeholders, as may string values of a POST `body`. `resultsPath`
+ * locates the result array and `fields` names each result's title, url and
+ * snippet keys, all as dotted paths.
+ */
+class JsonSearchProvider {
+  constructor({
+    name, url, priority = 0, timeout = SEARCH_PROVIDER_TIMEOUT, method = 'GET',
+    headers = {}, body = null, resultsPath = 'results', fields = {}
+  }) {
+    this.name = name;
+    this.type = 'json';
+    this.url = url;
+    this.priority = priority;
+    this.timeout = timeout;
+    this.method = method.toUpperCase();
+    this.headers = headers;
+    this.body = body;
+    this.resultsPath = resultsPath;
+    this.fields = { title: 'title', url: 'url', snippet: 'snippet', ...fields };
+    // Reported without the query string, which may carry an API key
+    const parsed = new URL(url.replace(/\{(query|count)\}/g, ''));
+    this.endpoint = `${parsed.origin}${parsed.pathname}`;
+  }
+
+  async search(query, { count, signal }) {
+    const url = this.url
+      .replace(/\{query\}/g, encodeURIComponent(query))
+      .replace(/\{count\}/g, String(count));
+    const init = {
+      method: this.method,
+      headers: { 'User-Agent': SEARCH_USER_AGENT, 'Accept': 'application/json', ...this.headers }
+    };
+    if (this.body && this.method !== 'GET') {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(this.body, (_key, value) => typeof value === 'string'
+        ? value.replace(/\{query\}/g, query).replace(/\{count\}/g, String(count))
+        : value);
+    }
+
+    const response = await fetchWithTimeout(url, init, this.timeout, signal);
+    if (!response.ok) throw new Error(`${this.name} returned HTTP ${response.status}`);
+
+    const items = readPath(await response.json(), this.resultsPath);
+    if (!Array.isArray(items)) throw new Error(`No result array at "${this.resultsPath}"`);
+
+    return normalizeSearchResults(items.map(item => ({
+      title: readPath(item, this.fields.title),
+      url: readPath(item, this.fields.url),
+      snippet: readPath(item, this.fields.snippet)
+    })), count);
+  }
+}
+
+/**
+ * Offline search over pages fetched for earlier answers. The first
+ * SEARCH_LOCAL_PAGE_CHARS of each page are kept in data/search-index.json,
+ * most recent SEARCH_LOCAL_MAX_PAGES pages only, and ranked with BM25.
+ */
+class LocalIndexProvider {
+  constructor({ name = 'local', priority = 0, maxPages = SEARCH_LOCAL_MAX_PAGES } = {}) {
+    this.name = name;
+    this.type = 'local';
+    this.priority = priority;
+    this.maxPages = maxPages;
+    // url -> { url, title, text, fetchedAt }, least recently fetched first
+    this.pages = new Map();
+    this.index = new KeywordIndex();
+    this.loading = null;
+    this.saveTimer = null;
+  }
+
+  get endpoint() {
+    return null;
+  }
+
+  load() {
+    this.loading ||= (async () => {
+      try {
+        const data = JSON.parse(await fs.readFile(searchIndexFile, 'utf-8'));
+        for (const page of data.pages || []) {
+          this.pages.set(page.url, page);
+          this.index.add(page.url, `${page.title}\n${page.text}`);
+        }
+        debugLog('Loaded', this.pages.size, 'pages into the local search index');
+      } catch (error) {
+        if (error.code !== 'ENOENT') debugLog('Ignoring unreadable search index:', error.message);
+      }
+    })();
+    return this.loading;
+  }
+
+  async addPage({ url, title, text }) {
+    await this.load();
+    const page = { url, title: title || url, text: text.slice(0, SEARCH_LOCAL_PAGE_CHARS), fetchedAt: nowISO() };
+    this.pages.delete(url);
+    this.pages.set(url, page);
+    this.index.add(url, `${page.title}\n${page.text}`);
+
+    for (const oldest of this.pages.keys()) {
+      if (this.pages.size <= this.maxPages) break;
+      this.pages.delete(oldest);
+      this.index.remove(oldest);
+    }
+    this.scheduleSave();
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(async () => {
+      this.saveTimer = null;
+      try {
+        await fs.writeFile(searchIndexFile, JSON.stringify({ pages: [...this.pages.values()] }));
+      } catch (error) {
+        debugLog('Failed to save search index:', error.message);
+      }
+    }, 2000);
+    this.saveTimer.unref();
+  }
+
+  async search(query, { count }) {
+    await this.load();
+    const terms = tokenize(query);
+    return this.index.search(query, count).map(({ id }) => {
+      const page = this.pages.get(id);
+      return { title: page.title, url: page.url, snippet: matchingSnippet(page.text, terms) };
+    });
+  }
+}
+
+/**
+ * Cut a snippet around the first query term found in a text
+ * @param {string} text - Page text
+ * @param {string[]} terms - Query terms
+ * @returns {string} Up to 240 characters
+ */
+function matchingSnippet(text, terms) {
+  const lower = text.toLowerCase();
+  const positions = terms.map(term => lower.indexOf(term)).filter(position => position >= 0);
+  let start = positions.length ? Math.max(0, Math.min(...positions) - 80) : 0;
+  // Begin at a word boundary
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  const snippet = text.slice(start, start + 240).trim();
+  return `${start > 0 ? '…' : ''}${snippet}${start + 240 < text.length ? '…' : ''}`;
+}
+
+const SEARCH_PROVIDER_TYPES = {
+  searxng: SearxngProvider,
+  json: JsonSearchProvider,
+  local: LocalIndexProvider
+};
+
+/**
+ * Build the search providers from SEARCH_PROVIDERS (a JSON array of
+ * { name, type: 'searxng' | 'json' | 'local', priority, ... }). Lower
+ * priorities are tried first and entries without one keep their order.
+ * Without the setting, SearXNG at SEARXNG_URL is tried before the local index.
+ * @returns {Array} Providers in fallback order
+ */
+function loadSearchProviders() {
+  let configured = null;
+
+  if (process.env.SEARCH_PROVIDERS) {
+    try {
+      configured = JSON.parse(process.env.SEARCH_PROVIDERS);
+    } catch (error) {
+      console.warn('Ignoring invalid SEARCH_PROVIDERS:', error.message);
+    }
+  }
+  if (!Array.isArray(configured)) {
+    configured = [
+      { name: 'searxng', type: 'searxng', baseUrl: SEARXNG },
+      { name: 'local', type: 'local' }
+    ];
+  }
+
+  const list = [];
+  for (const config of configured) {
+    const required = { searxng: 'baseUrl', json: 'url', local: 'name' }[config?.type];
+    const duplicate = list.some(p => p.name === config?.name || (p.type === 'local' && config.type === 'local'));
+    if (!config?.name || !required || !config[required] || duplicate) {
+      console.warn('Ignoring invalid search provider entry:', JSON.stringify(config));
+      continue;
+    }
+
+    try {
+      const provider = new SEARCH_PROVIDER_TYPES[config.type](config);
+      provider.health = {
+        status: 'unknown',
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        latencyMs: null,
+        lastSuccessAt: null,
+        lastError: null,
+        lastErrorAt: null,
+        skipUntil: 0
+      };
+      list.push(provider);
+    } catch (error) {
+      console.warn(`Ignoring search provider ${config.name}:`, error.message);
+    }
+  }
+
+  return list.sort((a, b) => (Number(a.priority) || 0) - (Number(b.priority) || 0));
+}
+
+const searchProviders = loadSearchProviders();
+
+/**
+ * Describe a search provider and its health for API responses
+ * @param {Object} provider - Search provider
+ * @returns {Object} { name, type, priority, endpoint, health }
+ */
+function describeSearchProvider(provider) {
+  const { skipUntil, ...health } = provider.health;
+  return {
+    name: provider.name,
+    type: provider.type,
+    priority: provider.priority,
+    endpoint: provider.endpoint,
+    health: { ...health, skippedUntil: skipUntil > Date.now() ? new Date(skipUntil).toISOString() : null }
+  };
+}
+
+/**
+ * Query one provider and record the outcome in its health
+ * @param {Object} provider - Search provider
+ * @param {string} query - Search query
+ * @param {Object} options - { count, signal }
+ * @returns {Promise<{results: Array, latencyMs: number, error: string|null}>} Results tagged with the provider name
+ */
+async function querySearchProvider(provider, query, { count = 10, signal = null } = {}) {
+  const health = provider.health;
+  const started = Date.now();
+
+  try {
+    const results = (await provider.search(query, { count, signal }))
+      .map(result => ({ ...result, provider: provider.name }));
+    const latencyMs = Date.now() - started;
+    Object.assign(health, {
+      status: results.length > 0 ? 'ok' : 'empty',
+      successes: health.successes + 1,
+      consecutiveFailures: 0,
+      latencyMs,
+      lastSuccessAt: nowISO(),
+      skipUntil: 0
+    });
+    debugLog('Search provider', provider.name, 'returned', results.length, 'results in', latencyMs, 'ms');
+    return { results, latencyMs, error: null };
+  } catch (error) {
+    const latencyMs = Date.now() - started;
+    // A cancelled or overall timed-out search says nothing about the provider
+    if (!signal?.aborted) {
+      health.status = 'error';
+      health.failures++;
+      health.consecutiveFailures++;
+      health.latencyMs = latencyMs;
+      health.lastError = error.message;
+      health.lastErrorAt = nowISO();
+      if (health.consecutiveFailures >= SEARCH_FAILURE_THRESHOLD) {
+        health.skipUntil = Date.now() + SEARCH_FAILURE_COOLDOWN_MS;
+      }
+    }
+    debugLog('Search provider', provider.name, 'failed:', error.message);
+    return { results: [], latencyMs, error: error.message };
+  }
+}
+
+// Web cache
+// Search results and cleaned page text are kept in data/web-cache so a
+// repeated question doesn't search and download everything again. Pages
+// follow the origin's cache headers and, once expired, are revalidated with
+// their ETag or Last-Modified date.
+const WEB_CACHE_ENABLED = process.env.WEB_CACHE !== 'false';
+const WEB_CACHE_TTL = {
+  search: (parseFloat(process.env.SEARCH_CACHE_TTL_MINUTES) || 60) * 60 * 1000,
+  page: (parseFloat(process.env.PAGE_CACHE_TTL_MINUTES) || 24 * 60) * 60 * 1000
+};
+// Providers are always asked for this many results so one cached entry
+// serves every caller's count
+const SEARCH_CACHE_RESULTS = 10;
+const webCache = new WebCache({
+  dir: path.join(dataDir, 'web-cache'),
+  maxBytes: (parseInt(process.env.WEB_CACHE_MAX_MB, 10) || 200) * 1024 * 1024
+});
+
+/**
+ * Read a cache entry; cache failures are treated as misses
+ * @param {string} kind - "search" or "page"
+ * @param {string} key - Normalized query or URL
+ * @returns {Promise<Object|null>} Entry from WebCache.get
+ */
+async function readWebCache(kind, key) {
+  if (!WEB_CACHE_ENABLED) return null;
+  try {
+    return await webCache.get(kind, key);
+  } catch (error) {
+    debugLog('Web cache read failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Store a cache entry in the background
+ * @param {string} kind - "search" or "page"
+ * @param {string} key - Normalized query or URL
+ * @param {*} value - Cached value
+ * @param {Object} options - { ttl, etag, lastModified }
+ */
+function writeWebCache(kind, key, value, options) {
+  if (!WEB_CACHE_ENABLED) return;
+  webCache.set(kind, key, value, options)
+    .catch(error => debugLog('Web cache write failed:', error.message));
+}
+
+/**
+ * Search the web, asking providers in priority order until one has results.
+ * Results are cached by normalized query, except those from the local index,
+ * so a provider that recovers is used again right away.
+ * @param {string} query - Search query
+ * @param {Object} options - { count, timeout for the whole fallback chain, signal }
+ * @returns {Promise<Array>} { title, url, snippet, provider } results; [] when every provider fails
+ */
+async function webSearch(query, { count = 10, timeout = 30000, signal = null } = {}) {
+  debugLog('Web search:', query);
+
+  const cacheKey = normalizeQuery(query);
+  const cached = await readWebCache('search', cacheKey);
+  if (cached?.fresh) {
+    debugLog('Search cache hit:', cacheKey);
+    return cached.value.slice(0, count);
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const searchSignal = linkSignal(controller, signal);
+
+  try {
+    for (const provider of searchProviders) {
+      if (searchSignal.aborted) break;
+      if (provider.health.skipUntil > Date.now()) {
+        debugLog('Skipping search provider', provider.name, 'after repeated failures');
+        continue;
+      }
+
+      const { results } = await querySearchProvider(provider, query, {
+        count: Math.max(count, SEARCH_CACHE_RESULTS),
+        signal: searchSignal
+      });
+      if (results.length > 0) {
+        if (provider.type !== 'local') writeWebCache('search', cacheKey, results, { ttl: WEB_CACHE_TTL.search });
+        return results.slice(0, count);
+      }
+    }
+    return [];
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Add a fetched page to the local search index, if one is configured
+ * @param {Object} page - { url, title, text }
+ */
+function indexFetchedPage(page) {
+  const local = searchProviders.find(p => p.type === 'local');
+  if (!local) return;
+  local.addPage(page).catch(error => debugLog('Failed to index page', page.url, ':', error.message));
+}
+
+// Fetch policy
+// URLs from search results and the fetch_url tool are fetched through a
+// policy: private, loopback and link-local addresses are refused unless
+// FETCH_ALLOW_PRIVATE lists them, robots.txt is honored, responses and
+// redirects are capped, and FETCH_ALLOW_DOMAINS / FETCH_DENY_DOMAINS apply.
+const listSetting = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+const FETCH_MAX_REDIRECTS = parseInt(process.env.FETCH_MAX_REDIRECTS, 10);
+const fetchPolicy = new FetchPolicy({
+  allowPrivate: listSetting(process.env.FETCH_ALLOW_PRIVATE),
+  allowDomains: listSetting(process.env.FETCH_ALLOW_DOMAINS),
+  denyDomains: listSetting(process.env.FETCH_DENY_DOMAINS),
+  respectRobots: process.env.FETCH_RESPECT_ROBOTS !== 'false',
+  maxBytes: (parseFloat(process.env.FETCH_MAX_MB) || 5) * 1024 * 1024,
+  maxRedirects: Number.isNaN(FETCH_MAX_REDIRECTS) ? 5 : FETCH_MAX_REDIRECTS,
+  userAgent: SEARCH_USER_AGENT
+});
+
+/**
+ * Fetch a page and return the text of its main content, with blank lines
+ * between paragraphs, from the web cache when fresh
+ * @param {string} url - Absolute http(s) URL
+ * @param {number} timeout - Timeout in milliseconds
+ * @param {AbortSignal|null} signal - Cancellation signal
+ * @returns {Promise<string>} Page text, or '' when it could not be read
+ * @throws {Error} With code FETCH_BLOCKED when the fetch policy refuses the URL
+ */
+async function fetchAndClean(url, timeout = 30000, signal = null) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const requestSignal = linkSignal(controller, signal);
+
+  try {
+    const cacheKey = normalizeUrl(url);
+    const cached = await readWebCache('page', cacheKey);
+    if (cached?.fresh) {
+      clearTimeout(timeoutId);
+      return cached.value.text;
+    }
+
+    const headers = { 'Accept': 'text/html,application/xhtml+xml' };
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    const response = await fetchPolicy.fetch(url, { signal: requestSignal, headers });
+
+    clearTimeout(timeoutId);
+    if (response.status === 304 && cached) {
+      debugLog('Page unchanged since cached:', cacheKey);
+      webCache.renew('page', cacheKey, freshnessLifetime(response.headers, WEB_CACHE_TTL.page) ?? 0);
+      return cached.value.text;
+    }
+    if (response.status < 200 || response.status >= 300) return '';
+    
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('text/html')) return '';
+
+    const article = extractReadableContent(response.body.toString('utf-8'));
+    const title = article.title || '';
+    const text = article.text.slice(0, PAGE_TEXT_MAX_CHARS);
+
+    if (text.length > 300) indexFetchedPage({ url, title, text });
+
+    // Without validators, a page that must be revalidated can't be reused
+    const ttl = freshnessLifetime(response.headers, WEB_CACHE_TTL.page);
+    const etag = response.headers.get('etag');
+    const lastModified = response.headers.get('last-modified');
+    if (ttl !== null && (ttl > 0 || etag || lastModified)) {
+      writeWebCache('page', cacheKey, { title, text }, { ttl, etag, lastModified });
+    }
+    return text;
+  } catch (error) {
+    clearTimeout(timeoutId);
+    // Refusals are the caller's to report; other failures just mean no text
+    if (error.code === 'FETCH_BLOCKED') throw error;
+    debugLog('Fetch error for', url, ':', error.message);
+    return '';
+  }
+}
+
+// Search scheduling
+// Queries and page fetches from all requests share one scheduler, so at most
+// SEARCH_CONCURRENCY run at once and at most SEARCH_PER_HOST against any one
+// host. Each answer's search phase ends at SEARCH_DEADLINE_MS, and whatever
+// has finished by then is used.
+const SEARCH_CONCURRENCY = parseInt(process.env.SEARCH_CONCURRENCY, 10) || 4;
+const SEARCH_PER_HOST = parseInt(process.env.SEARCH_PER_HOST, 10) || 2;
+const SEARCH_DEADLINE_MS = parseInt(process.env.SEARCH_DEADLINE_MS, 10) || 30000;
+// Queries all go to the same search providers, so they share one host slot
+const SEARCH_QUERY_HOST = 'search-providers';
+const MIN_SOURCE_CONTENT = 300;
+const searchScheduler = new HostScheduler({ concurrency: SEARCH_CONCURRENCY, perHost: SEARCH_PER_HOST });
+
+/**
+ * Host of a URL, used as the scheduler's politeness key
+ * @param {string} url - Absolute URL
+ * @returns {string} Host, or the input when it is not a URL
+ */
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Fetch the text of search results in parallel, keeping those with real content
+ * @param {Array} results - Search results, best first
+ * @param {AbortSignal} signal - Cancellation signal; pages not started when it aborts are skipped
+ * @param {Function} onFetched - Called with { url, title, ok, characters, error, blocked } as each page
+ * finishes; blocked is true when the fetch policy refused the URL
+ * @returns {Promise<Array>} Results with content and a 1-based citation index
+ */
+async function fetchSourceContents(results, signal = null, onFetched = () => {}) {
+  const contentResults = await Promise.all(results.map(async (result, index) => {
+    let content = '';
+    let error = null;
+    let blocked = false;
+    try {
+      content = await searchScheduler.schedule(
+        hostOf(result.url),
+        () => fetchAndClean(result.url, 30000, signal),
+        signal
+      );
+    } catch (fetchError) {
+      // Only policy refusals and aborts reject: other failures come back as ''
+      blocked = fetchError?.code === 'FETCH_BLOCKED';
+      if (blocked) error = `Blocked: ${fetchError.message}`;
+    }
+    if (!error && content.length <= MIN_SOURCE_CONTENT) {
+      error = signal?.aborted ? signal.reason?.message || 'Cancelled' : 'No readable content';
+    }
+    onFetched({ url: result.url, title: result.title, ok: !error, characters: content.length, error, blocked });
+    return { ...result, content, index: index + 1 };
+  }));
+
+  return contentResults.filter(result => result.content.length > MIN_SOURCE_CONTENT);
+}
+
+// Web passages
+// Fetched pages are split into passages that are ranked against the question
+// by embedding similarity and keywords, fused as for document chunks but
+// with their own weights. Only the best passages across all sources go into
+// the prompt, each labelled with its source and passage number.
+const PAGE_TEXT_MAX_CHARS = 50000;
+const WEB_PASSAGE_CHARS = parseInt(process.env.WEB_PASSAGE_CHARS, 10) || 1000;
+const WEB_TOP_PASSAGES = parseInt(process.env.WEB_TOP_PASSAGES, 10) || 8;
+const WEB_PASSAGE_VECTOR_WEIGHT = process.env.WEB_PASSAGE_VECTOR_WEIGHT !== undefined
+  ? parseFloat(process.env.WEB_PASSAGE_VECTOR_WEIGHT)
+  : 1;
+const WEB_PASSAGE_KEYWORD_WEIGHT = process.env.WEB_PASSAGE_KEYWORD_WEIGHT !== undefined
+  ? parseFloat(process.env.WEB_PASSAGE_KEYWORD_WEIGHT)
+  : 1;
+const WEB_PASSAGE_MIN_SIMILARITY = process.env.WEB_PASSAGE_MIN_SIMILARITY !== undefined
+  ? parseFloat(process.env.WEB_PASSAGE_MIN_SIMILARITY)
+  : 0.25;
+const PASSAGE_EMBED_TIMEOUT = 30000;
+
+/**
+ * Split sources into passages and keep the ones most relevant to a question.
+ * Only the best keyword candidates, topped up with the earliest passages, are
+ * embedded, and their vectors are not cached. Without the embedding model
+ * passages are ranked by keyword alone, and if nothing matches at all each
+ * source's opening passage is used.
+ * @param {string} question - User question
+ * @param {Array} sources - Results with content and a citation index
+ * @param {Object} options - { k passages, signal }
+ * @returns {Promise<Array>} Passages, best first, with the source's { index,
+ * title, url, provider } plus { passage, content, score, similarity, keywordScore }
+ */
+async function rankSourcePassages(question, sources, { k = WEB_TOP_PASSAGES, signal = null } = {}) {
+  const passages = sources.flatMap(source => chunkText(source.content, WEB_PASSAGE_CHARS, 0)
+    .map((content, i) => ({
+      index: source.index,
+      title: source.title,
+      url: source.url,
+      provider: source.provider,
+      passage: i + 1,
+      content
+    })));
+  if (passages.length === 0) return [];
+  const depth = Math.max(k * 4, 20);
+
+  const keywords = new KeywordIndex();
+  passages.forEach((p, id) => keywords.add(id, p.content));
+  const keywordMatches = keywords.search(question, depth);
+
+  let vectorMatches = [];
+  if (WEB_PASSAGE_VECTOR_WEIGHT > 0) {
+    const candidates = new Set(keywordMatches.map(match => match.id));
+    const byPosition = passages.map((p, id) => id).sort((a, b) => passages[a].passage - passages[b].passage);
+    for (const id of byPosition) {
+      if (candidates.size >= depth) break;
+      candidates.add(id);
+    }
+    const ids = [...candidates];
+
+    try {
+      const [queryEmbedding, ...embeddings] = await llmEmbed(
+        [question, ...ids.map(id => passages[id].content)],
+        PASSAGE_EMBED_TIMEOUT,
+        EMBED_MODEL,
+        { cache: false, signal }
+      );
+      const vectors = new VectorStore();
+      embeddings.forEach((vector, i) => vectors.set(ids[i], EMBED_MODEL, vector));
+      vectorMatches = vectors.search(EMBED_MODEL, queryEmbedding, depth)
+        .filter(match => match.score >= WEB_PASSAGE_MIN_SIMILARITY);
+    } catch (error) {
+      signal?.throwIfAborted();
+      debugLog('Passage embedding failed, ranking by keyword only:', error.message);
+    }
+  }
+
+  const similarity = new Map(vectorMatches.map(match => [match.id, match.score]));
+  const keywordScore = new Map(keywordMatches.map(match => [match.id, match.score]));
+  const ranked = fuseRankings([
+    { results: vectorMatches, weight: WEB_PASSAGE_VECTOR_WEIGHT },
+    { results: WEB_PASSAGE_KEYWORD_WEIGHT > 0 ? keywordMatches : [], weight: WEB_PASSAGE_KEYWORD_WEIGHT }
+  ], MEMORY_RRF_K).slice(0, k);
+
+  if (ranked.length === 0) {
+    return passages.filter(p => p.passage === 1).slice(0, k)
+      .map(p => ({ ...p, score: 0, similarity: null, keywordScore: null }));
+  }
+  return ranked.map(({ id, score }) => ({
+    ...passages[id],
+    score,
+    similarity: similarity.get(id) ?? null,
+    keywordScore: keywordScore.get(id) ?? null
+  }));
+}
+
+/**
+ * Source list entries for web results or passages, one per page
+ * @param {Array} results - Results or passages with a citation index
+ * @returns {Array} { idx, title, url, provider } in citation order
+ */
+function webSources(results) {
+  const byIndex = new Map();
+  for (const r of results) {
+    if (!byIndex.has(r.index)) byIndex.set(r.index, { idx: r.index, title: r.title, url: r.url, provider: r.provider });
+  }
+  return [...byIndex.values()].sort((a, b) => a.idx - b.idx);
+}
+
+/**
+ * Run the search phase of one answer: every query in parallel, then the top
+ * pages of their combined results. Work still running at the deadline is
+ * abandoned and the answer uses what has finished. If no page was read in
+ * time, the search snippets stand in for page text. Given the question, the
+ * sources are then cut down to their most relevant passages.
+ * @param {string[]} queries - Search queries
+ * @param {Object} options - { count per query, maxSources, fetchPages (false
+ * to answer from snippets), question to rank passages against, signal,
+ * onEvent(type, data) for progress }
+ * @returns {Promise<{results: Array, sources: Array, passages: Array, timedOut: boolean, thoughts: Array}>}
+ * Deduplicated search results, results with content and a citation index,
+ * their best passages (empty without a question), and thoughts for the trace
+ * about blocked pages, the deadline and passage selection
+ */
+async function runSearchPhase(queries, {
+  count = 8, maxSources = 6, fetchPages = true, question = null, signal = null, onEvent = () => {}
+} = {}) {
+  const controller = new AbortController();
+  const searchSignal = linkSignal(controller, signal);
+  let timedOut = false;
+  const deadline = setTimeout(() => {
+    timedOut = true;
+    onEvent('search_deadline', { deadlineMs: SEARCH_DEADLINE_MS });
+    controller.abort(new Error('Search deadline reached'));
+  }, SEARCH_DEADLINE_MS);
+
+  try {
+    let completed = 0;
+    const perQuery = await Promise.all(queries.map(async query => {
+      let results = [];
+      let error = null;
+      try {
+        results = await searchScheduler.schedule(
+          SEARCH_QUERY_HOST,
+          () => webSearch(query, { count, signal: searchSignal }),
+          searchSignal
+        );
+      } catch (scheduleError) {
+        error = scheduleError.message;
+      }
+      if (!error && results.length === 0 && timedOut) error = 'Search deadline reached';
+      completed++;
+      onEvent('search_query_complete', {
+        query,
+        results: results.length,
+        provider: results[0]?.provider || null,
+        error,
+        completed,
+        total: queries.length
+      });
+      return results;
+    }));
+    signal?.throwIfAborted();
+
+    const seen = new Set();
+    const results = perQuery.flat().filter(result => {
+      const key = result.url.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    onEvent('search_results', { queries, total: results.length });
+
+    const candidates = results.slice(0, maxSources);
+    const thoughts = [];
+    let sources = [];
+    if (candidates.length > 0 && fetchPages && !timedOut) {
+      onEvent('content_processing', { message: 'Processing search results...' });
+      let fetched = 0;
+      sources = await fetchSourceContents(candidates, searchSignal, page => {
+        fetched++;
+        onEvent('fetch_complete', { ...page, completed: fetched, total: candidates.length });
+        if (page.blocked) {
+          thoughts.push({
+            content: `Did not fetch ${page.url}: ${page.error.replace(/^Blocked: /, '')}`,
+            type: 'fetch_policy',
+            timestamp: nowISO()
+          });
+        }
+      });
+      signal?.throwIfAborted();
+    }
+    if (sources.length === 0 && (timedOut || !fetchPages)) {
+      sources = candidates
+        .map((result, index) => ({ ...result, content: result.snippet, index: index + 1 }))
+        .filter(result => result.content);
+    }
+
+    if (timedOut) {
+      thoughts.push({
+        content: `Search stopped at the ${SEARCH_DEADLINE_MS / 1000}s deadline with ${sources.length} sources ready`,
+        type: 'search_decision',
+        timestamp: nowISO()
+      });
+    }
+
+    // Ranking is not part of the search deadline
+    clearTimeout(deadline);
+    let passages = [];
+    if (question && sources.length > 0) {
+      passages = await rankSourcePassages(question, sources, { signal });
+      signal?.throwIfAborted();
+      thoughts.push({
+        content: `Using the ${passages.length} most relevant passages from ${webSources(passages).length} of ${sources.length} sources`,
+        type: 'search',
+        timestamp: nowISO()
+      });
+    }
+
+    return { results, sources, passages, timedOut, thoughts };
+  } finally {
+    clearTimeout(deadline);
+  }
+}
+
+// Native tool calling
+// Tools are described to the model as JSON schemas and run server-side when
+// the model calls them; results go back to the model as `tool` messages.
+const MAX_TOOL_ROUNDS = 5;
+const MAX_TOOL_RESULT_CHARS = 8000;
+// Passages fetch_url returns, as many as fit in a tool result
+const FETCH_TOOL_PASSAGES = Math.max(1, Math.floor(MAX_TOOL_RESULT_CHARS / WEB_PASSAGE_CHARS) - 2);
+const toolRegistry = new Map();
+
+/**
+ * Register a tool the model can call
+ * @param {Object} tool - Tool definition
+ * @param {string} tool.name - Function name exposed to the model
+ * @param {string} tool.description - What the tool does and when to use it
+ * @param {Object} tool.parameters - JSON schema for the arguments
+ * @param {string} [tool.requires] - Chat setting that must be on ('autoSearch' or 'useMemory')
+ * @param {Function} tool.handler - async (args, context) => result
+ */
+function registerTool(tool) {
+  toolRegistry.set(tool.name, tool);
+}
+
+const CALCULATOR_FUNCTIONS = {
+  abs: Math.abs, sqrt: Math.sqrt, cbrt: Math.cbrt, exp: Math.exp,
+  ln: Math.log, log: Math.log10, log2: Math.log2,
+  sin: Math.sin, cos: Math.cos, tan: Math.tan,
+  asin: Math.asin, acos: Math.acos, atan: Math.atan,
+  round: Math.round, floor: Math.floor, ceil: Math.ceil,
+  min: Math.min, max: Math.max, pow: Math.pow
+};
+const CALCULATOR_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+/**
+ * Evaluate an arithmetic expression without eval
+ * Supports + - * / % ^ (or **), parentheses, pi, e and common Math functions
+ * @param {string} expression - Expression such as "2 * (3 + sqrt(16))"
+ * @returns {number} Result
+ */
+function evaluateExpression(expression) {
+  const tokens = [];
+  const tokenPattern = /\s*(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?|[a-z_][a-z0-9_]*|\*\*|[-+*/%^(),])/iy;
+  let position = 0;
+  while (position < expression.length) {
+    if (!expression.slice(position).trim()) break;
+    tokenPattern.lastIndex = position;
+    const match = tokenPattern.exec(expression);
+    if (!match) throw new Error(`Unexpected character at position ${position + 1}`);
+    tokens.push(match[1]);
+    position = tokenPattern.lastIndex;
+  }
+
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const expect = (token) => {
+    if (next() !== token) throw new Error(`Expected "${token}"`);
+  };
+
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  };
+
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const operator = next();
+      const right = parseUnary();
+      value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+    }
+    return value;
+  };
+
+  const parseUnary = () => {
+    if (peek() === '-') {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  // Right-associative, and binds tighter than unary minus: -2^2 = -4
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek() === '^' || peek() === '**') {
+      next();
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (token === undefined) throw new Error('Unexpected end of expression');
+
+    if (token === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+
+    if (/^[\d.]/.test(token)) return Number(token);
+
+    const name = token.toLowerCase();
+    if (CALCULATOR_FUNCTIONS[name]) {
+      expect('(');
+      const args = [parseExpression()];
+      while (peek() === ',') {
+        next();
+        args.push(parseExpression());
+      }
+      expect(')');
+      return CALCULATOR_FUNCTIONS[name](...args);
+    }
+
+    if (name in CALCULATOR_CONSTANTS) return CALCULATOR_CONSTANTS[name];
+    throw new Error(`Unknown token "${token}"`);
+  };
+
+  const result = parseExpression();
+  if (index < tokens.length) throw new Error(`Unexpected "${tokens[index]}"`);
+  if (!Number.isFinite(result)) throw new Error('Result is not a finite number');
+  return result;
+}
+
+registerTool({
+  name: 'web_search',
+  description: 'Search the web for current information. Returns numbered results; cite them as [n].',
+  requires: 'autoSearch',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Search query' },
+      count: { type: 'integer', description: 'Number of results (1-10, default 5)' }
+    },
+    required: ['query']
+  },
+  async handler({ query, count = 5 }, context) {
+    if (typeof query !== 'string' || !query.trim()) throw new Error('query is required');
+    const limit = Math.min(Math.max(parseInt(count, 10) || 5, 1), 10);
+
+    const results = await searchScheduler.schedule(
+      SEARCH_QUERY_HOST,
+      () => webSearch(query, { count: limit, signal: context.signal }),
+      context.signal
+    );
+    if (!results.length) return { results: [], note: 'No results found' };
+
+    return {
+      results: results.map(r => ({
+        idx: context.addSource(r),
+        title: r.title,
+        url: r.url,
+        snippet: r.snippet
+      }))
+    };
+  }
+});
+
+registerTool({
+  name: 'fetch_url',
+  description: 'Fetch a web page and return its passages most relevant to the question, numbered by position on the page. Use it to read a search result.',
+  requires: 'autoSearch',
+  parameters: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', description: 'Absolute http(s) URL' }
+    },
+    required: ['url']
+  },
+  async handler({ url }, context) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      throw new Error('url must be an absolute URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('Only http and https URLs can be fetched');
+
+    const content = await searchScheduler.schedule(
+      hostOf(parsed.href),
+      () => fetchAndClean(parsed.href, 30000, context.signal),
+      context.signal
+    );
+    if (!content) throw new Error('No readable content at that URL');
+
+    const idx = context.addSource({ title: parsed.hostname, url: parsed.href });
+    if (!context.question) return { idx, url: parsed.href, content };
+
+    const passages = await rankSourcePassages(
+      context.question,
+      [{ index: idx, title: parsed.hostname, url: parsed.href, content }],
+      { k: FETCH_TOOL_PASSAGES, signal: context.signal }
+    );
+    return {
+      idx,
+      url: parsed.href,
+      passages: passages.map(p => ({ passage: p.passage, content: p.content }))
+    };
+  }
+});
+
+registerTool({
+  name: 'memory_search',
+  description: 'Search long-term memory for facts and preferences saved from earlier conversations.',
+  requires: 'useMemory',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'What to look for' },
+      limit: { type: 'integer', description: 'Maximum items (1-10, default 5)' }
+    },
+    required: ['query']
+  },
+  async handler({ query, limit = 5 }, context) {
+    if (typeof query !== 'string' || !query.trim()) throw new Error('query is required');
+    const k = Math.min(Math.max(parseInt(limit, 10) || 5, 1), 10);
+
+    const memories = await retrieveLongTermMemory(query, k, 0.25, context.memoryScope);
+    return {
+      memories: memories.map(m => ({
+        content: m.content,
+        tags: m.tags,
+        similarity: m.similarity !== null ? Number(m.similarity.toFixed(3)) : null
+      }))
+    };
+  }
+});
+
+registerTool({
+  name: 'calculator',
+  description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, pi, e, sqrt, log, ln, sin, cos, tan, abs, round, min, max and pow.',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: { type: 'string', description: 'Expression to evaluate, e.g. "(12.5 * 4) / 3"' }
+    },
+    required: ['expression']
+  },
+  async handler({ expression }) {
+    if (typeof expression !== 'string' || !expression.trim()) throw new Error('expression is required');
+    if (expression.length > 500) throw new Error('expression is too long');
+    return { expression, result: evaluateExpression(expression) };
+  }
+});
+
+registerTool({
+  name: 'datetime',
+  description: 'Get the current date and time, optionally in a given IANA time zone.',
+  parameters: {
+    type: 'object',
+    properties: {
+      timezone: { type: 'string', description: 'IANA time zone such as "Europe/Berlin" (default: server time zone)' }
+    }
+  },
+  async handler({ timezone } = {}) {
+    const now = new Date();
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', { dateStyle: 'full', timeStyle: 'long', timeZone: timezone || undefined });
+    } catch (e) {
+      throw new Error(`Unknown time zone "${timezone}"`);
+    }
+
+    return {
+      iso: now.toISOString(),
+      unix: Math.floor(now.getTime() / 1000),
+      timezone: formatter.resolvedOptions().timeZone,
+      local: formatter.format(now)
+    };
+  }
+});
+
+/**
+ * Tools available for a request, given its search and memory settings
+ * @param {Object} settings - { autoSearch, useMemory }
+ * @returns {Array} Registered tools that are enabled
+ */
+function selectTools(settings) {
+  return [...toolRegistry.values()].filter(tool => !tool.requires || settings[tool.requires]);
+}
+
+/**
+ * Whether a model advertises native tool support
+ * @param {string} model - Model id
+ * @returns {Promise<boolean>} True when the model has the 'tools' capability
+ */
+async function modelSupportsTools(model) {
+  try {
+    const info = await getModelInfo(model);
+    return (info.capabilities || []).includes('tools');
+  } catch (error) {
+    debugLog('Tool capability check failed:', model, error.message);
+    return false;
+  }
+}
+
+/**
+ * Whether a model accepts images
+ * @param {string} model - Model id
+ * @returns {Promise<boolean>} True when the model has the 'vision' capability
+ */
+async function modelSupportsVision(model) {
+  try {
+    const info = await getModelInfo(model);
+    return (info.capabilities || []).includes('vision');
+  } catch (error) {
+    debugLog('Vision capability check failed:', model, error.message);
+    return false;
+  }
+}
+
+/**
+ * Run one tool call, capturing errors as part of the result
+ * @param {Object} call - Normalized tool call { id, name, arguments }
+ * @param {Array} tools - Tools enabled for this request
+ * @param {Object} context - { signal, question, memoryScope, addSource }
+ * @returns {Promise<Object>} { id, name, arguments, result, error, durationMs }
+ */
+async function executeToolCall(call, tools, context) {
+  const started = Date.now();
+  const record = { id: call.id, name: call.name, arguments: call.arguments };
+  const tool = tools.find(t => t.name === call.name);
+
+  try {
+    if (!tool) throw new Error(`Unknown tool "${call.name}"`);
+    if (call.arguments?._raw !== undefined) throw new Error('Arguments were not valid JSON');
+
+    const result = await tool.handler(call.arguments || {}, context);
+    const text = typeof result === 'string' ? result : JSON.stringify(result);
+    record.result = text.length > MAX_TOOL_RESULT_CHARS
+      ? text.slice(0, MAX_TOOL_RESULT_CHARS) + '... [truncated]'
+      : text;
+  } catch (error) {
+    if (context.signal?.aborted) throw error;
+    debugLog('Tool error:', call.name, error.message);
+    record.error = error.message;
+  }
+
+  record.durationMs = Date.now() - started;
+  return record;
+}
+
+/**
+ * Stream a chat completion, running tool calls until the model answers
+ * @param {Object} params - Loop parameters
+ * @param {string} params.model - Model id
+ * @param {Array} params.messages - Conversation so far
+ * @param {Object} params.options - Generation options
+ * @param {Array} params.tools - Enabled tools (may be empty)
+ * @param {Array} params.sources - Source list that web tools append to
+ * @param {string} [params.question] - User question that fetched pages are ranked against
+ * @param {Object} [params.memoryScope] - { sessionId, project } for memory tools
+ * @param {AbortSignal} params.signal - Cancellation signal
+ * @param {Function} [params.onContent] - Called with each content chunk
+ * @param {Function} [params.onToolCall] - Called before a tool runs
+ * @param {Function} [params.onToolResult] - Called with each tool result
+ * @returns {Promise<Object>} { content, toolCalls }
+ */
+async function runToolLoop({
+  model,
+  messages,
+  options,
+  tools,
+  sources,
+  question = null,
+  memoryScope = {},
+  signal,
+  onContent = () => {},
+  onToolCall = () => {},
+  onToolResult = () => {}
+}) {
+  const conversation = [...messages];
+  const toolCalls = [];
+  let content = '';
+
+  const context = {
+    signal,
+    question,
+    memoryScope,
+    addSource({ title, url, provider }) {
+      const existing = sources.find(s => s.url === url);
+      if (existing) return existing.idx;
+      // Document chunks are cited by label, so only web sources are numbered
+      const idx = sources.filter(s => s.type !== 'document').length + 1;
+      sources.push({ idx, title, url, provider });
+      return idx;
+    }
+  };
+
+  for (let round = 1; ; round++) {
+    // The last round offers no tools, so the model has to answer
+    const offered = round <= MAX_TOOL_ROUNDS ? tools : [];
+    const definitions = offered.map(({ name, description, parameters }) => ({
+      type: 'function',
+      function: { name, description, parameters }
+    }));
+
+    let roundContent = '';
+    const calls = [];
+    for await (const chunk of llmChatStream({ model, messages: conversation, options, tools: definitions, signal })) {
+      if (typeof chunk === 'string') {
+        roundContent += chunk;
+        onContent(chunk);
+      } else if (chunk.toolCalls) {
+        calls.push(...chunk.toolCalls);
+      }
+    }
+    content += roundContent;
+
+    // Tool calls made anyway in the last round are dropped, as some servers
+    // keep emitting them once the conversation holds tool history
+    if (!calls.length || round > MAX_TOOL_ROUNDS) {
+      if (calls.length) debugLog('Ignoring', calls.length, 'tool calls after the last tool round');
+      return { content, toolCalls };
+    }
+
+    conversation.push({
+      role: 'assistant',
+      content: roundContent,
+      tool_calls: calls.map(call => ({ id: call.id, function: { name: call.name, arguments: call.arguments } }))
+    });
+
+    for (const call of calls) {
+      signal?.throwIfAborted();
+      onToolCall({ ...call, round });
+
+      const record = await executeToolCall(call, offered, context);
+      toolCalls.push({ ...record, round });
+      onToolResult({ ...record, round });
+
+      conversation.push({
+        role: 'tool',
+        tool_call_id: call.id,
+        tool_name: call.name,
+        content: record.error ? `Error: ${record.error}` : record.result
+      });
+    }
+  }
+}
+
+/**
+ * Summarize a tool call as a thought for the thinking panel
+ * @param {Object} record - Result of executeToolCall
+ * @returns {Object} Thought entry
+ */
+function toolThought(record) {
+  const outcome = record.error ? `failed: ${record.error}` : record.result.slice(0, 200);
+  return {
+    content: `${record.name}(${JSON.stringify(record.arguments)}) → ${outcome}`,
+    type: 'tool',
+    timestamp: nowISO()
+  };
+}
+
+// In-flight generations by request id, so they can be cancelled
+const activeGenerations = new Map();
+
+/**
+ * Register a generation whose fetches abort together on cancel or disconnect
+ * @param {string} requestId - Client-supplied or generated request id
+ * @returns {AbortController} Controller shared by every model, search and fetch call
+ */
+function startGeneration(requestId) {
+  const controller = new AbortController();
+  // Queued search jobs each add a listener, as does every outgoing fetch on
+  // Node versions without AbortSignal.any, which can exceed the default of 10
+  setMaxListeners(0, controller.signal);
+  activeGenerations.set(requestId, controller);
+  return controller;
+}
+
+/**
+ * Compare mode: answer with several models against the same memory and search
+ * context. Answers stream interleaved, tagged by model, and are saved as one
+ * assistant message whose winner can be picked later; the rest are alternates.
+ * @param {Object} ctx - Request state prepared by /api/chat
+ * @param {Object} res - Express response
+ */
+async function runComparison(ctx, res) {
+  const {
+    requestId, signal, startTime, wantStreaming, file, data, history, recentHistory,
+    conversationSummary, message, userMessage, fileContent, attachments, attachedThisTurn, models, autoSearch,
+    options, retrievedMemory, retrievedChunks = [], memoryContext
+  } = ctx;
+  const images = attachments.filter(attachment => attachment.kind === 'image');
+
+  if (wantStreaming) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Access-Control-Allow-Origin': '*'
+    });
+  }
+
+  const sendSSE = (event, payload) => {
+    if (!wantStreaming || res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  const candidates = models.map(model => ({ model, content: '', timing: {}, tokens: {} }));
+  let validResults = [];
+  let sources = [];
+  let searchQueries = [];
+  let usedSearch = false;
+  let assistantMsg = null;
+
+  // Winner defaults to the first answer that succeeded until the user picks one
+  const saveComparison = async (extra = {}) => {
+    const [winner, ...alternates] = [
+      ...candidates.filter(c => !c.error && c.content),
+      ...candidates.filter(c => c.error || !c.content)
+    ];
+
+    const userMsg = {
+      role: 'user',
+      content: message,
+      time: nowISO(),
+      id: `msg_${Date.now()}_user`,
+      ...(attachments.length && { attachments: attachmentRefs(attachments) })
+    };
+
+    assistantMsg = {
+      role: 'assistant',
+      content: winner.content,
+      model: winner.model,
+      time: nowISO(),
+      usedSearch,
+      thoughts: [],
+      sources,
+      searchQueries,
+      timing: winner.timing,
+      tokens: winner.tokens,
+      comparison: { models, winner: winner.model, chosen: false },
+      alternates: alternates.map(({ model, content, timing, tokens, error }) => ({ model, content, timing, tokens, error })),
+      id: `msg_${Date.now()}_assistant`,
+      ...extra
+    };
+
+    data.messages = [...history, userMsg, assistantMsg];
+    await saveSession(file, data);
+  };
+
+  const generateCandidate = async (candidate) => {
+    const { model } = candidate;
+    const started = Date.now();
+
+    try {
+      const systemPrompt = `You are Evolve, a helpful AI assistant. Provide accurate, well-structured responses using Markdown formatting.${
+        validResults.length ? ' Use the provided sources and cite them as [1], [2], etc.' : ''
+      }${conversationSummary ? `\n\n${conversationSummary}` : ''}`;
+
+      const fitted = await budgetContext({
+        model,
+        options,
+        systemPrompt,
+        question: message,
+        memory: retrievedMemory,
+        documents: retrievedChunks,
+        sources: validResults,
+        fileContent,
+        images: images.length,
+        history: recentHistory
+      });
+      sendSSE('context_info', fitted.info);
+
+      const fittedMemoryContext = formatMemoryContext(fitted.memory);
+      const fittedDocumentContext = formatDocumentContext(fitted.documents);
+      const question = formatFileMessage(fitted.fileContent, message);
+      const messages = [
+        {
+          role: 'system',
+          content: `${systemPrompt}${fittedMemoryContext ? `\n\nRelevant context: ${fittedMemoryContext}` : ''}${fittedDocumentContext ? `\n\n${fittedDocumentContext}` : ''}`
+        },
+        ...fitted.history,
+        withImages({
+          role: 'user',
+          content: fitted.sources.length
+            ? `Sources:\n${formatSourceContext(fitted.sources)}\n\n${question}`
+            : question
+        }, images)
+      ];
+
+      for await (const chunk of llmChatStream({ model, messages, options, signal })) {
+        if (typeof chunk === 'string') {
+          if (candidate.timing.firstTokenMs === undefined) candidate.timing.firstTokenMs = Date.now() - started;
+          candidate.content += chunk;
+          sendSSE('response_chunk', { model, content: chunk });
+        } else if (chunk.usage) {
+          candidate.tokens = chunk.usage;
+        }
+      }
+
+      candidate.content = candidate.content.replace(/<thinking>[\s\S]*?<\/thinking>/g, '').trim();
+    } catch (error) {
+      if (signal.aborted) throw error;
+      debugLog('Comparison model error:', model, error.message);
+      candidate.error = error.message;
+    }
+
+    candidate.timing.totalMs = Date.now() - started;
+    sendSSE('model_complete', {
+      model,
+      timing: candidate.timing,
+      tokens: candidate.tokens,
+      error: candidate.error,
+      sources
+    });
+  };
+
+  sendSSE('request_start', { requestId });
+  sendSSE('compare_start', { models });
+
+  try {
+    // Shared context: one search, decided and planned by the first model
+    if (autoSearch && !attachedThisTurn) {
+      const thinkingEngine = new AIThinkingEngine(models[0], options, signal);
+      const smartSearch = new SmartWebSearch(models[0], options, signal);
+
+      sendSSE('thinking_start', { phase: 'search_decision', message: 'Determining if web search is needed...' });
+      const searchDecision = await thinkingEngine.determineSearchNeed(userMessage, memoryContext);
+      signal.throwIfAborted();
+      sendSSE('thinking_update', { phase: 'search_decision', decision: searchDecision, thoughts: searchDecision.thoughts || [] });
+
+      if (searchDecision.needsSearch) {
+        usedSearch = true;
+        searchQueries = (await smartSearch.generateSearchQueries(userMessage, 3)).queries;
+        signal.throwIfAborted();
+
+        const phase = await runSearchPhase(searchQueries, { count: 8, question: message, signal, onEvent: sendSSE });
+        if (phase.thoughts.length > 0) sendSSE('thinking_update', { phase: 'search', thoughts: phase.thoughts });
+        validResults = phase.passages;
+        sources = webSources(validResults);
+      }
+    }
+    sources.push(...documentSources(retrievedChunks));
+
+    await Promise.all(candidates.map(generateCandidate));
+    signal.throwIfAborted();
+
+    await saveComparison();
+    const summary = candidates.map(({ model, timing, tokens, error }) => ({ model, timing, tokens, error }));
+
+    if (!wantStreaming) {
+      return res.json({
+        comparison: true,
+        messageId: assistantMsg.id,
+        candidates: candidates.map(({ model, content, timing, tokens, error }) => ({ model, content, timing, tokens, error })),
+        sources,
+        usedSearch,
+        searchQueries,
+        processingTime: Date.now() - startTime
+      });
+    }
+
+    sendSSE('complete', {
+      comparison: true,
+      messageId: assistantMsg.id,
+      candidates: summary,
+      usedSearch,
+      sources: sources.length,
+      processingTime: Date.now() - startTime,
+      searchQueries
+    });
+    res.end();
+    scheduleSessionSummary(data.id, models[0], options);
+  } catch (error) {
+    if (signal.aborted && candidates.some(c => c.content)) {
+      try {
+        await saveComparison({ cancelled: true });
+      } catch (saveError) {
+        debugLog('Failed to save cancelled comparison:', saveError.message);
+      }
+    }
+
+    debugLog('Comparison error:', error.message);
+    if (!wantStreaming) {
+      return res.status(500).json({
+        error: signal.aborted ? 'Generation cancelled' : error.message,
+        cancelled: signal.aborted || undefined
+      });
+    }
+
+    if (signal.aborted) {
+      sendSSE('cancelled', { requestId, partial: candidates.some(c => c.content) });
+    } else {
+      sendSSE('error', { message: error.message });
+    }
+    res.end();
+  }
+}
+
+// === MAIN CHAT ENDPOINT ===
+app.post('/api/chat', chatLimiter, validateChatInput, async (req, res) => {
+  const startTime = Date.now();
+  const requestId = req.body.requestId || `req_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const generation = startGeneration(requestId);
+  const { signal } = generation;
+  debugLog('Enhanced chat request started:', requestId);
+
+  // req 'close' fires once the body has been read, so watch the response:
+  // closing before it has ended means the client went away
+  res.on('close', () => {
+    if (!res.writableEnded && !signal.aborted) {
+      debugLog('Client disconnected, cancelling generation:', requestId);
+      generation.abort();
+    }
+  });
+
+  try {
+    const {
+      sessionId,
+      message,
+      model = CHAT_MODEL,
+      fileContent: pastedFileContent = null,
+      attachments: attachmentIds = [],
+      stream: clientWantsStream = true
+    } = req.body;
+
+    let attachments;
+    try {
+      attachments = await loadAttachments(attachmentIds);
+    } catch (attachmentError) {
+      return res.status(400).json({ error: attachmentError.message });
+    }
+
+    // Images go only to models that report the vision capability
+    const images = attachments.filter(attachment => attachment.kind === 'image');
+    if (images.length > MAX_IMAGES_PER_MESSAGE) {
+      return res.status(400).json({ error: `At most ${MAX_IMAGES_PER_MESSAGE} images per message` });
+    }
+    if (images.length) {
+      const answering = req.body.models || [model];
+      const supported = await Promise.all(answering.map(modelSupportsVision));
+      const blind = answering.filter((name, i) => !supported[i]);
+      if (blind.length) {
+        return res.status(400).json({
+          error: `${blind.join(', ')} cannot read images. Choose a vision model such as llava, llama3.2-vision or qwen2-vl.`
+        });
+      }
+    }
+
+    const wantStreaming = clientWantsStream || req.headers.accept?.includes('text/event-stream');
+    const { file, data } = await loadSession(sessionId);
+    const history = data.messages || [];
+
+    // Messages folded into the rolling summary are replaced by the summary itself
+    const recentHistory = history.slice(data.summary?.coveredMessages || 0);
+    const conversationSummary = data.summary?.text
+      ? `Summary of the earlier conversation:\n${data.summary.text}`
+      : '';
+
+    // Documents attached now are sent whole; those from earlier turns come
+    // back whole or as their most relevant excerpts
+    const currentDocuments = attachments.filter(attachment => attachment.kind === 'document');
+    const earlierDocuments = sessionAttachments(history)
+      .filter(ref => ref.kind === 'document' && !attachmentIds.includes(ref.id));
+    const fileContent = [
+      pastedFileContent,
+      await attachmentContext(message, currentDocuments, earlierDocuments)
+    ].filter(Boolean).join('\n\n') || null;
+    // Search is skipped for turns that bring their own material
+    const attachedThisTurn = Boolean(pastedFileContent) || attachments.length > 0;
+
+    // Request-level values override the session's settings
+    const autoSearch = req.body.autoSearch ?? data.settings.autoSearch ?? true;
+    const useMemory = req.body.useMemory ?? data.settings.useMemory ?? true;
+    const useTools = req.body.useTools ?? data.settings.useTools ?? true;
+    const options = { ...generationOptions(data.settings), ...req.body.options };
+
+    // With native tools the model searches for itself instead of the fixed search
+    // phase; compare mode keeps one shared search so the answers stay comparable
+    const tools = useTools && !req.body.models && await modelSupportsTools(model)
+      ? selectTools({ autoSearch, useMemory })
+      : [];
+    const searchViaTools = tools.some(tool => tool.name === 'web_search');
+    debugLog('Tools enabled:', tools.map(tool => tool.name).join(', ') || 'none');
+
+    // Initialize AI thinking engine and smart search
+    const thinkingEngine = new AIThinkingEngine(model, options, signal);
+    const smartSearch = new SmartWebSearch(model, options, signal);
+
+    // Thinking and search prompts get a fixed slice of the file; the answer
+    // prompt gets as much as its context budget allows
+    const userMessage = formatFileMessage(fileContent?.slice(0, 50000), message);
+
+    // Memory retrieval with enhanced RAG
+    const memoryScope = { sessionId, project: data.project || null };
+    let memoryContext = '';
+    let retrievedMemory = [];
+    if (useMemory) {
+      try {
+        retrievedMemory = await retrieveLongTermMemory(userMessage, 8, 0.25, memoryScope);
+        if (retrievedMemory.length) {
+          memoryContext = formatMemoryContext(retrievedMemory);
+          debugLog('Enhanced memory context loaded:', retrievedMemory.length, 'items');
+        }
+      } catch (memoryError) {
+        debugLog('Memory retrieval error:', memoryError.message);
+      }
+    }
+
+    // Knowledge base chunks from the session's collections
+    const collectionIds = Array.isArray(req.body.collections) ? req.body.collections : data.collections || [];
+    let retrievedChunks = [];
+    if (collectionIds.length) {
+      try {
+        retrievedChunks = await retrieveDocumentChunks(userMessage, collectionIds);
+        if (retrievedChunks.length) {
+          // The thinking phases see the excerpts alongside memory
+          memoryContext = [memoryContext, formatDocumentContext(retrievedChunks)].filter(Boolean).join('\n\n');
+          debugLog('Document chunks loaded:', retrievedChunks.map(c => c.label).join(', '));
+        }
+      } catch (documentError) {
+        debugLog('Document retrieval error:', documentError.message);
+      }
+    }
+
+    if (req.body.models) {
+      await runComparison({
+        requestId, signal, startTime, wantStreaming, file, data, history, recentHistory,
+        conversationSummary, message, userMessage, fileContent, attachments, attachedThisTurn, models: req.body.models,
+        autoSearch, options, retrievedMemory, retrievedChunks, memoryContext
+      }, res);
+      return;
+    }
+
+    // Initialize response variables
+    let finalAnswer = '';
+    let sources = [];
+    let allThoughts = [];
+    let usedSearch = false;
+    let memoryAdded = [];
+    let searchQueries = [];
+    let toolCalls = [];
+
+    // Set up streaming response
+    if (wantStreaming) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
+      });
+
+      const sendSSE = (event, data) => {
+        if (res.writableEnded || res.destroyed) return;
+        try {
+          res.write(`event: ${event}\n`);
+          res.write(`data: ${JSON.stringify(data)}\n\n`);
+        } catch (error) {
+          debugLog('SSE write error:', error.message);
+        }
+      };
+
+      // Persist the exchange; also keeps the partial answer when cancelled
+      let saved = false;
+      const saveExchange = async (extra = {}) => {
+        // Clean up thinking tags from final answer
+        const thinkingRegex = /<thinking>[\s\S]*?<\/thinking>/g;
+        finalAnswer = finalAnswer.replace(thinkingRegex, '').trim();
+
+        const userMsg = {
+          role: 'user',
+          content: message,
+          time: nowISO(),
+          id: `msg_${Date.now()}_user`,
+          ...(attachments.length && { attachments: attachmentRefs(attachments) })
+        };
+
+        const assistantMsg = {
+          role: 'assistant',
+          content: finalAnswer,
           time: nowISO(),
           usedSearch,
-          thoughts: allThoughts,
-          sources,
-          searchQueries,
-          id: `msg_${Date.now()}_assistant`
-        };
+          thoughts: allThoughts,
+          sources,
+          searchQueries,
+          toolCalls,
+          id: `msg_${Date.now()}_assistant`,
+          ...extra
+        };
+
+        data.messages = [...history, userMsg, assistantMsg];
+        await saveSession(file, data);
+        saved = true;
+      };
+
+      sendSSE('request_start', { requestId });
+
+      try {
+        // Phase 1: Query Analysis
+        sendSSE('thinking_start', { phase: 'analysis', message: 'Analyzing your query...' });
+        
+        const queryAnalysis = await thinkingEngine.analyzeQuery(userMessage, memoryContext);
+        signal.throwIfAborted();
+        allThoughts.push(...queryAnalysis.thoughts);
+        
+        sendSSE('thinking_update', { 
+          phase: 'analysis', 
+          thoughts: queryAnalysis.thoughts,
+          analysis: queryAnalysis.analysis 
+        });
+
+        // Phase 2: Search Decision and Execution
+        let searchDecision = { needsSearch: false };
+        if (autoSearch && !attachedThisTurn && !searchViaTools) {
+          sendSSE('thinking_start', { phase: 'search_decision', message: 'Determining if web search is needed...' });
+          
+          searchDecision = await thinkingEngine.determineSearchNeed(userMessage, memoryContext);
+          signal.throwIfAborted();
+          allThoughts.push(...(searchDecision.thoughts || []));
+          
+          sendSSE('thinking_update', { 
+            phase: 'search_decision', 
+            decision: searchDecision,
+            thoughts: searchDecision.thoughts || []
+          });
+
+          if (searchDecision.needsSearch) {
+            usedSearch = true;
+            
+            // Generate multiple search queries
+            sendSSE('thinking_start', { phase: 'search_planning', message: 'Planning search strategy...' });
+            
+            const queryGeneration = await smartSearch.generateSearchQueries(userMessage, 3);
+            signal.throwIfAborted();
+            searchQueries = queryGeneration.queries;
+            allThoughts.push(...queryGeneration.thoughts);
+            
+            sendSSE('thinking_update', { 
+              phase: 'search_planning', 
+              queries: searchQueries,
+              thoughts: queryGeneration.thoughts 
+            });
+
+            // Run the queries and read the top pages in parallel
+            sendSSE('search_start', {
+              queries: searchQueries,
+              total: searchQueries.length,
+              deadlineMs: SEARCH_DEADLINE_MS
+            });
+            const phase = await runSearchPhase(searchQueries, { count: 8, question: message, signal, onEvent: sendSSE });
+            sendSSE('search_complete', {
+              totalResults: phase.results.length,
+              sourcesFound: phase.sources.length,
+              timedOut: phase.timedOut
+            });
+            if (phase.thoughts.length > 0) {
+              allThoughts.push(...phase.thoughts);
+              sendSSE('thinking_update', { phase: 'search', thoughts: phase.thoughts });
+            }
+
+            // Answer from the pages that were read
+            if (phase.results.length > 0) {
+              const validResults = phase.passages;
+              sources = webSources(validResults);
+
+              if (validResults.length > 0) {
+                // Generate comprehensive answer using search results
+                sendSSE('response_generation', { message: 'Synthesizing information...' });
+                
+                const searchSystemPrompt = `You are Evolve, a helpful AI assistant. Use the provided sources to answer the user's question comprehensively. 
+                  
+Format your response with:
+- Clear, well-structured information
+- Proper citations using [1], [2], etc.
+- Markdown formatting for readability
+- Critical analysis where appropriate
+${conversationSummary ? `\n${conversationSummary}\n` : ''}`;
+
+                const fitted = await budgetContext({
+                  model,
+                  options,
+                  systemPrompt: searchSystemPrompt,
+                  question: message,
+                  memory: retrievedMemory,
+                  documents: retrievedChunks,
+                  sources: validResults,
+                  fileContent,
+                  images: images.length
+                });
+                sendSSE('context_info', fitted.info);
+
+                // Only sources that made it into the prompt can be cited
+                sources = [
+                  ...webSources(fitted.sources),
+                  ...documentSources(fitted.documents)
+                ];
+                if (fitted.documents.length) sendSSE('document_sources', { sources });
+                const fittedMemoryContext = formatMemoryContext(fitted.memory);
+                const fittedDocumentContext = formatDocumentContext(fitted.documents);
+
+                const systemMessage = {
+                  role: 'system',
+                  content: `${searchSystemPrompt}
+${fittedMemoryContext ? `\nRelevant context: ${fittedMemoryContext}` : ''}${fittedDocumentContext ? `\n\n${fittedDocumentContext}` : ''}`
+                };
+
+                const searchPrompt = `Based on the following sources, provide a comprehensive answer to: "${formatFileMessage(fitted.fileContent, message)}"
+
+Sources:
+${formatSourceContext(fitted.sources)}
+
+Please provide a detailed, well-cited response:`;
+
+                const stream = llmChatStream({
+                  model,
+                  options,
+                  signal,
+                  messages: [
+                    systemMessage,
+                    withImages({ role: 'user', content: searchPrompt }, images)
+                  ]
+                });
+
+                sendSSE('response_start', {});
+
+                for await (const content of stream) {
+                  if (typeof content !== 'string') continue;
+                  finalAnswer += content;
+                  sendSSE('response_chunk', { content });
+                }
+                
+                sendSSE('response_complete', {});
+              }
+            }
+          }
+        }
+
+        // Phase 3: Regular chat if no search or search failed
+        if (!usedSearch || !finalAnswer.trim()) {
+          sendSSE('thinking_start', { phase: 'response_planning', message: 'Planning response...' });
+          
+          const responsePlan = await thinkingEngine.planResponse(
+            userMessage, 
+            queryAnalysis.analysis, 
+            sources, 
+            memoryContext
+          );
+          signal.throwIfAborted();
+          allThoughts.push(...responsePlan.thoughts);
+          
+          sendSSE('thinking_update', { 
+            phase: 'response_planning', 
+            plan: responsePlan.plan,
+            thoughts: responsePlan.thoughts 
+          });
+
+          const chatSystemPrompt = (memoryText, documentText = '') => `You are Evolve, a helpful AI assistant. Provide accurate, well-structured responses using Markdown formatting.
+            
+${conversationSummary ? `${conversationSummary}\n\n` : ''}${memoryText ? `Relevant context: ${memoryText}` : ''}${documentText ? `\n\n${documentText}` : ''}
+${tools.length ? '\nCall the available tools when they help answer accurately. Cite web results as [n] using the idx they return.\n' : ''}
+Be conversational but informative. If you need to think through complex problems, use <thinking></thinking> tags.`;
+
+          const fitted = await budgetContext({
+            model,
+            options,
+            systemPrompt: chatSystemPrompt(''),
+            question: message,
+            memory: retrievedMemory,
+            documents: retrievedChunks,
+            fileContent,
+            images: images.length,
+            history: recentHistory
+          });
+          sendSSE('context_info', fitted.info);
+
+          if (fitted.documents.length) {
+            sources = [...sources.filter(s => s.type !== 'document'), ...documentSources(fitted.documents)];
+            sendSSE('document_sources', { sources });
+          }
+
+          sendSSE('response_start', {});
+
+          const contextMessages = [
+            { role: 'system', content: chatSystemPrompt(formatMemoryContext(fitted.memory), formatDocumentContext(fitted.documents)) },
+            ...fitted.history,
+            withImages({ role: 'user', content: formatFileMessage(fitted.fileContent, message) }, images)
+          ];
+
+          const handleContent = (content) => {
+            finalAnswer += content;
+
+            // Handle thinking tags in real-time
+            if (content.includes('<thinking>') || content.includes('</thinking>')) {
+              const thinkingMatch = content.match(/<thinking>([\s\S]*?)<\/thinking>/g);
+              if (thinkingMatch) {
+                const thoughts = thinkingMatch.map(match => {
+                  const thoughtContent = match.replace(/<\/?thinking>/g, '').trim();
+                  return { content: thoughtContent, type: 'reasoning', timestamp: nowISO() };
+                });
+                allThoughts.push(...thoughts);
+                sendSSE('thinking_stream', { thoughts });
+              }
+
+              const cleanContent = content.replace(/<thinking>[\s\S]*?<\/thinking>/g, '');
+              if (cleanContent.trim()) {
+                sendSSE('response_chunk', { content: cleanContent });
+              }
+            } else {
+              sendSSE('response_chunk', { content });
+            }
+          };
+
+          await runToolLoop({
+            model,
+            messages: contextMessages,
+            options,
+            tools,
+            sources,
+            question: message,
+            memoryScope,
+            signal,
+            onContent: handleContent,
+            onToolCall: (call) => sendSSE('tool_call', call),
+            onToolResult: (record) => {
+              toolCalls.push(record);
+              const thought = toolThought(record);
+              allThoughts.push(thought);
+              sendSSE('tool_result', {
+                id: record.id,
+                name: record.name,
+                round: record.round,
+                result: record.result?.slice(0, 500),
+                error: record.error,
+                durationMs: record.durationMs,
+                thought,
+                sources
+              });
+            }
+          });
+          
+          sendSSE('response_complete', {});
+        }
+
+        // Phase 4: Response Evaluation
+        if (finalAnswer.trim()) {
+          sendSSE('thinking_start', { phase: 'evaluation', message: 'Evaluating response quality...' });
+          
+          const evaluation = await thinkingEngine.evaluateResponse(userMessage, finalAnswer, sources);
+          signal.throwIfAborted();
+          allThoughts.push(...evaluation.thoughts);
+          
+          sendSSE('thinking_update', { 
+            phase: 'evaluation', 
+            evaluation: evaluation.evaluation,
+            thoughts: evaluation.thoughts 
+          });
+        }
+
+        // Save conversation
+        await saveExchange();
+
+        // Auto-generate title
+        try {
+          signal.throwIfAborted();
+          const userMessageCount = data.messages.filter(m => m.role === 'user').length;
+          if (userMessageCount >= 2 && !data.settings?.titleAutoGenerated) {
+            const titlePrompt = `Generate a concise title (4-6 words) for this conversation. Return only the title:
+
+Recent messages:
+${data.messages.slice(-4).map(m => `${m.role}: ${m.content.slice(0, 100)}`).join('\n')}
+
+Title:`;
+
+            const titleResult = await llmGenerate({ model, prompt: titlePrompt, options, signal, timeout: 20000 });
+            const title = (titleResult.response || '').split('\n')[0].trim().replace(/[.?!]+$/, '');
+            
+            if (title && title.length > 3 && title !== data.name) {
+              data.name = title.slice(0, 50);
+              data.settings.titleAutoGenerated = true;
+              await saveSession(file, data);
+              sendSSE('title_updated', { title: data.name });
+            }
+          }
+        } catch (titleError) {
+          debugLog('Title generation error:', titleError.message);
+        }
+
+        // Extract and save enhanced memory
+        if (useMemory && finalAnswer && !signal.aborted) {
+          try {
+            const projectScope = memoryScope.project
+              ? `\n- "project": facts about the "${memoryScope.project}" project this conversation belongs to`
+              : '';
+            const memoryPrompt = `Extract important information to remember from this conversation for future reference.
+Focus on user preferences, facts about the user, important context, and key insights.
+
+Give each item a scope:
+- "global": lasting facts about the user, such as preferences, background and habits${projectScope}
+- "session": details that only matter within this conversation
+
+User: ${userMessage}
+Assistant: ${finalAnswer}
+
+Return a JSON array of memory items with content, tags, importance (0-1) and scope:
+[{"content": "...", "tags": ["..."], "importance": 0.8, "scope": "global"}]`;
+
+            const memoryResult = await llmGenerate({ model, prompt: memoryPrompt, options, signal, timeout: 30000 });
+            const memoryText = memoryResult.response || '[]';
+            const jsonMatch = memoryText.match(/\[[\s\S]*\]/);
+            
+            if (jsonMatch && !signal.aborted) {
+              const extracted = JSON.parse(jsonMatch[0]);
+              if (Array.isArray(extracted)) {
+                memoryAdded = await upsertLongTermMemory(extracted, memoryScope);
+                if (memoryAdded.length > 0) {
+                  sendSSE('memory_updated', { added: memoryAdded.length });
+                }
+              }
+            }
+          } catch (memoryError) {
+            debugLog('Memory extraction error:', memoryError.message);
+          }
+        }
+
+        // Send completion data
+        sendSSE('complete', {
+          usedSearch,
+          sources: sources.length,
+          thoughts: allThoughts.length,
+          toolCalls: toolCalls.length,
+          memoryAdded: memoryAdded.length,
+          processingTime: Date.now() - startTime,
+          searchQueries
+        });
+
+        res.end();
+        scheduleSessionSummary(sessionId, model, options);
+      } catch (streamError) {
+        if (signal.aborted) {
+          debugLog('Generation cancelled:', requestId, 'partial length:', finalAnswer.length);
+          if (!saved) {
+            try {
+              await saveExchange({ cancelled: true });
+            } catch (saveError) {
+              debugLog('Failed to save cancelled exchange:', saveError.message);
+            }
+          }
+          sendSSE('cancelled', { requestId, partial: finalAnswer.length > 0 });
+          res.end();
+          return;
+        }
+
+        debugLog('Streaming error:', streamError.message);
+        try {
+          sendSSE('error', { message: streamError.message });
+        } catch (e) {}
+        res.end();
+      }
+
+      return;
+    }
+
+    // Non-streaming fallback (simplified)
+    const queryAnalysis = await thinkingEngine.analyzeQuery(userMessage, memoryContext);
+    allThoughts.push(...queryAnalysis.thoughts);
+
+    if (autoSearch && !attachedThisTurn && !searchViaTools) {
+      const searchDecision = await thinkingEngine.determineSearchNeed(userMessage, memoryContext);
+      if (searchDecision.needsSearch) {
+        usedSearch = true;
+        const queryGeneration = await smartSearch.generateSearchQueries(userMessage, 2);
+        searchQueries = queryGeneration.queries;
+        
+        const phase = await runSearchPhase(searchQueries, { count: 10, maxSources: 5, fetchPages: false, signal });
+        allThoughts.push(...phase.thoughts);
+        if (phase.sources.length > 0) {
+          sources = phase.sources.map(r => ({ 
+            idx: r.index, 
+            title: r.title, 
+            url: r.url,
+            provider: r.provider
+          }));
+          // The document excerpts are part of memoryContext below
+          sources.push(...documentSources(retrievedChunks));
+          
+          const context = phase.sources
+            .map(r => `[Source ${r.index}] ${r.title}\n${r.content}`)
+            .join('\n\n');
+
+          const prompt = `Answer this question using the provided sources: "${userMessage}"
+
+Sources:
+${context}
+
+${memoryContext ? `Context: ${memoryContext}` : ''}
+
+Comprehensive answer:`;
+
+          const result = await llmGenerate({ model, prompt, options, signal });
+          finalAnswer = result.response || '';
+        }
+      }
+    }
+
+    let contextInfo = null;
+    if (!finalAnswer.trim()) {
+      const basePrompt = `You are Evolve, a helpful AI assistant.${conversationSummary ? `\n\n${conversationSummary}` : ''}`;
+      const fitted = await budgetContext({
+        model,
+        options,
+        systemPrompt: basePrompt,
+        question: message,
+        memory: retrievedMemory,
+        documents: retrievedChunks,
+        fileContent,
+        images: images.length,
+        history: recentHistory
+      });
+      contextInfo = fitted.info;
+
+      const fittedMemoryContext = formatMemoryContext(fitted.memory);
+      const fittedDocumentContext = formatDocumentContext(fitted.documents);
+      const systemMessage = {
+        role: 'system',
+        content: `${basePrompt}${fittedMemoryContext ? `\n\nContext: ${fittedMemoryContext}` : ''}${fittedDocumentContext ? `\n\n${fittedDocumentContext}` : ''}`
+      };
+      sources = [...sources.filter(s => s.type !== 'document'), ...documentSources(fitted.documents)];
+
+      const messages = [
+        systemMessage,
+        ...fitted.history,
+        withImages({ role: 'user', content: formatFileMessage(fitted.fileContent, message) }, images)
+      ];
+
+      if (tools.length) {
+        const run = await runToolLoop({ model, messages, options, tools, sources, question: message, memoryScope, signal });
+        finalAnswer = run.content;
+        toolCalls = run.toolCalls;
+        allThoughts.push(...toolCalls.map(toolThought));
+      } else {
+        const response = await llmChat({ model, options, signal, messages });
+        finalAnswer = response.message?.content || '';
+      }
+    }
+
+    // Clean thinking tags and save
+    const thinkingRegex = /<thinking>[\s\S]*?<\/thinking>/g;
+    let cleanAnswer = finalAnswer;
+    const thinkingMatches = finalAnswer.match(thinkingRegex);
+    if (thinkingMatches) {
+      for (const match of thinkingMatches) {
+        const thoughtContent = match.replace(/<\/?thinking>/g, '').trim();
+        allThoughts.push({ content: thoughtContent, type: 'reasoning', timestamp: nowISO() });
+      }
+      cleanAnswer = finalAnswer.replace(thinkingRegex, '').trim();
+    }
+
+    const userMsg = {
+      role: 'user',
+      content: message,
+      time: nowISO(),
+      id: `msg_${Date.now()}_user`,
+      ...(attachments.length && { attachments: attachmentRefs(attachments) })
+    };
+
+    const assistantMsg = {
+      role: 'assistant',
+      content: cleanAnswer,
+      time: nowISO(),
+      usedSearch,
+      thoughts: allThoughts,
+      sources,
+      searchQueries,
+      toolCalls,
+      id: `msg_${Date.now()}_assistant`
+    };
+
+    data.messages = [...history, userMsg, assistantMsg];
+    await saveSession(file, data);
+    scheduleSessionSummary(sessionId, model, options);
+
+    res.json({
+      answer: cleanAnswer,
+      thoughts: allThoughts,
+      sources,
+      usedSearch,
+      searchQueries,
+      toolCalls,
+      memoryAdded: memoryAdded.map(m => ({ content: m.content, tags: m.tags })),
+      retrievedMemory: retrievedMemory.map(m => ({ content: m.content })),
+      contextInfo,
+      model,
+      processingTime: Date.now() - startTime
+    });
+
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    debugLog('Enhanced chat error:', error.message, 'after', processingTime, 'ms');
+    
+    res.status(500).json({
+      error: signal.aborted ? 'Generation cancelled' : error.message,
+      cancelled: signal.aborted || undefined,
+      processingTime,
+      debug: DEBUG ? { stack: error.stack } : undefined
+    });
+  } finally {
+    activeGenerations.delete(requestId);
+  }
+});
+
+app.post('/api/chat/:requestId/cancel', (req, res) => {
+  const generation = activeGenerations.get(req.params.requestId);
+  if (!generation) {
+    return res.status(404).json({ error: 'No active generation with that requestId' });
+  }
+
+  generation.abort();
+  debugLog('Generation cancelled by request:', req.params.requestId);
+  res.json({ ok: true, requestId: req.params.requestId, cancelledAt: nowISO() });
+});
+
+// Health check endpoint
+app.get('/api/health', (_req, res) => {
+  res.json({
+    ok: true,
+    timestamp: nowISO(),
+    services: {
+      ollama: OLLAMA,
+      search: searchProviders.map(p => ({ name: p.name, type: p.type, endpoint: p.endpoint, status: p.health.status })),
+      searchScheduler: {
+        concurrency: SEARCH_CONCURRENCY,
+        perHost: SEARCH_PER_HOST,
+        deadlineMs: SEARCH_DEADLINE_MS,
+        ...searchScheduler.stats()
+      },
+      fetchPolicy: {
+        respectRobots: fetchPolicy.respectRobots,
+        maxBytes: fetchPolicy.maxBytes,
+        maxRedirects: fetchPolicy.maxRedirects,
+        allowDomains: fetchPolicy.allowDomains,
+        denyDomains: fetchPolicy.denyDomains,
+        allowPrivate: fetchPolicy.allowPrivate
+      },
+      providers: [...providers.values()].map(p => ({ name: p.name, type: p.type, baseUrl: p.baseUrl })),
+      debug: DEBUG
+    },
+    version: '2.2.0',
+    features: {
+      aiThinking: true,
+      smartSearch: true,
+      enhancedRAG: true,
+      dynamicStreaming: true
+    }
+  });
+});
+
+// Models endpoint
+app.get('/api/models', async (_req, res) => {
+  try {
+    const models = await listAllModels();
+    res.json({ models });
+  } catch (error) {
+    debugLog('Models endpoint error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Validate a model name from a request
+ * @param {any} name - Candidate model name
+ * @returns {boolean} Whether the name is acceptable
+ */
+function isValidModelName(name) {
+  return typeof name === 'string' && name.length > 0 && name.length <= 200 && /^[\w.:/@-]+$/.test(name);
+}
+
+/**
+ * Resolve a model to its provider, requiring Ollama's management API
+ * @param {string} model - Model id
+ * @returns {{ provider: OllamaProvider, model: string }|null} Resolved model, or null for other providers
+ */
+function resolveManagedModel(model) {
+  const resolved = resolveModel(model);
+  return resolved.provider.type === 'ollama' ? resolved : null;
+}
+
+// Pull a model, streaming Ollama's progress as SSE
+app.post('/api/models/pull', async (req, res) => {
+  const { name } = req.body || {};
+  if (!isValidModelName(name)) {
+    return res.status(400).json({ error: 'Invalid model name' });
+  }
+
+  const resolved = resolveManagedModel(name);
+  if (!resolved) {
+    return res.status(400).json({ error: 'Models can only be pulled through an Ollama provider' });
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const sendSSE = (event, data) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    for await (const progress of resolved.provider.pull(resolved.model, controller.signal)) {
+      const percent = progress.total
+        ? Math.round(((progress.completed || 0) / progress.total) * 100)
+        : null;
+      sendSSE('progress', { ...progress, percent });
+    }
+
+    modelInfoCache.delete(name);
+    sendSSE('complete', { name, pulledAt: nowISO() });
+  } catch (error) {
+    debugLog('Model pull error:', name, error.message);
+    sendSSE('error', { message: error.message });
+  }
+
+  res.end();
+});
+
+app.get('/api/models/:name', async (req, res) => {
+  const { name } = req.params;
+  if (!isValidModelName(name)) {
+    return res.status(400).json({ error: 'Invalid model name' });
+  }
+
+  try {
+    const info = await getModelInfo(name, { refresh: req.query.refresh === 'true' });
+    res.json(info);
+  } catch (error) {
+    debugLog('Model details error:', name, error.message);
+    res.status(error.status === 404 ? 404 : 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/models/:name', async (req, res) => {
+  const { name } = req.params;
+  if (!isValidModelName(name)) {
+    return res.status(400).json({ error: 'Invalid model name' });
+  }
+
+  const resolved = resolveManagedModel(name);
+  if (!resolved) {
+    return res.status(400).json({ error: 'Models can only be deleted through an Ollama provider' });
+  }
+
+  try {
+    await resolved.provider.deleteModel(resolved.model);
+    modelInfoCache.delete(name);
+    res.json({ ok: true, name, deletedAt: nowISO() });
+  } catch (error) {
+    debugLog('Model delete error:', name, error.message);
+    res.status(error.status === 404 ? 404 : 500).json({ error: error.message });
+  }
+});
+
+// Session management endpoints
+app.get('/api/sessions', async (_req, res) => {
+  try {
+    const sessions = await listSessions();
+    res.json({ sessions, count: sessions.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/sessions/:id', async (req, res) => {
+  try {
+    const { data } = await loadSession(req.params.id);
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        data.messages = [...history, userMsg, assistantMsg];
-        await saveSession(file, data);
+app.post('/api/sessions', async (req, res) => {
+  try {
+    const { name, model, project } = req.body || {};
+    if (project !== undefined && project !== null && !isValidProjectName(project)) {
+      return res.status(400).json({ error: 'Invalid project' });
+    }
+    const session = await createSession(name, model, project?.trim());
+    res.json(session);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        // Auto-generate title
-        try {
-          const userMessageCount = data.messages.filter(m => m.role === 'user').length;
-          if (userMessageCount >= 2 && !data.settings?.titleAutoGenerated) {
-            const titlePrompt = `Generate a concise title (4-6 words) for this conversation. Return only the title:
+app.delete('/api/sessions/:id', async (req, res) => {
+  try {
+    const file = path.join(sessionsDir, `${req.params.id}.json`);
+    await fs.unlink(file);
+    await deleteSessionMemories(req.params.id);
+    pruneAttachments().catch(error => debugLog('Attachment pruning failed:', error.message));
+    res.json({ ok: true });
+  } catch (error) {
+    res.status(404).json({ error: 'Session not found' });
+  }
+});
 
-Recent messages:
-${data.messages.slice(-4).map(m => `${m.role}: ${m.content.slice(0, 100)}`).join('\n')}
+app.patch('/api/sessions/:id/settings', async (req, res) => {
+  try {
+    const { autoSearch, useMemory, useTools, ...generation } = req.body || {};
+    const { settings, errors } = validateGenerationSettings(generation);
 
-Title:`;
+    for (const [key, value] of Object.entries({ autoSearch, useMemory, useTools })) {
+      if (value !== undefined && typeof value !== 'boolean') {
+        errors.push(`${key} must be a boolean`);
+      }
+    }
 
-            const titleResult = await ollamaGenerate({ model, prompt: titlePrompt, timeout: 20000 });
-            const title = (titleResult.response || '').split('\n')[0].trim().replace(/[.?!]+$/, '');
-            
-            if (title && title.length > 3 && title !== data.name) {
-              data.name = title.slice(0, 50);
-              data.settings.titleAutoGenerated = true;
-              await saveSession(file, data);
-              sendSSE('title_updated', { title: data.name });
-            }
-          }
-        } catch (titleError) {
-          debugLog('Title generation error:', titleError.message);
-        }
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid settings', details: errors });
+    }
 
-        // Extract and save enhanced memory
-        if (useMemory && finalAnswer) {
-          try {
-            const memoryPrompt = `Extract important information to remember from this conversation for future reference.
-Focus on user preferences, facts about the user, important context, and key insights.
+    const { file, data } = await loadSession(req.params.id);
+    if (autoSearch !== undefined) data.settings.autoSearch = autoSearch;
+    if (useMemory !== undefined) data.settings.useMemory = useMemory;
+    if (useTools !== undefined) data.settings.useTools = useTools;
+
+    for (const [key, value] of Object.entries(settings)) {
+      if (value === null) {
+        delete data.settings[key];
+      } else {
+        data.settings[key] = value;
+      }
+    }
 
-User: ${userMessage}
-Assistant: ${finalAnswer}
+    await saveSession(file, data);
+    res.json({ ok: true, settings: data.settings });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-Return a JSON array of memory items with content, tags, and importance (0-1):
-[{"content": "...", "tags": ["..."], "importance": 0.8}]`;
+app.get('/api/sessions/:id/summary', async (req, res) => {
+  try {
+    const { data } = await loadSession(req.params.id);
+    res.json({
+      sessionId: data.id,
+      summary: data.summary || null,
+      totalMessages: data.messages.length,
+      pending: summarizingSessions.has(data.id)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-            const memoryResult = await ollamaGenerate({ model, prompt: memoryPrompt, timeout: 30000 });
-            const memoryText = memoryResult.response || '[]';
-            const jsonMatch = memoryText.match(/\[[\s\S]*\]/);
-            
-            if (jsonMatch) {
-              const extracted = JSON.parse(jsonMatch[0]);
-              if (Array.isArray(extracted)) {
-                memoryAdded = await upsertLongTermMemory(extracted);
-                if (memoryAdded.length > 0) {
-                  sendSSE('memory_updated', { added: memoryAdded.length });
-                }
-              }
-            }
-          } catch (memoryError) {
-            debugLog('Memory extraction error:', memoryError.message);
-          }
-        }
+// Rebuild the summary from the first message, e.g. after switching models
+app.post('/api/sessions/:id/summary/regenerate', async (req, res) => {
+  const { model } = req.body || {};
+  if (model !== undefined && typeof model !== 'string') {
+    return res.status(400).json({ error: 'Invalid model parameter' });
+  }
 
-        // Send completion data
-        sendSSE('complete', {
-          usedSearch,
-          sources: sources.length,
-          thoughts: allThoughts.length,
-          memoryAdded: memoryAdded.length,
-          processingTime: Date.now() - startTime,
-          searchQueries
-        });
+  const sessionId = req.params.id;
+  if (summarizingSessions.has(sessionId)) {
+    return res.status(409).json({ error: 'Summary is already being updated' });
+  }
 
-        res.end();
-      } catch (streamError) {
-        debugLog('Streaming error:', streamError.message);
-        try {
-          sendSSE('error', { message: streamError.message });
-        } catch (e) {}
-        res.end();
+  summarizingSessions.add(sessionId);
+  try {
+    const { data } = await loadSession(sessionId);
+    const summary = await updateSessionSummary(sessionId, {
+      model,
+      options: generationOptions(data.settings),
+      regenerate: true
+    });
+    res.json({ ok: true, sessionId, summary });
+  } catch (error) {
+    debugLog('Summary regeneration error:', sessionId, error.message);
+    res.status(500).json({ error: error.message });
+  } finally {
+    summarizingSessions.delete(sessionId);
+  }
+});
+
+// Pick the winning answer of a comparison; the previous winner becomes an alternate
+app.put('/api/sessions/:id/messages/:messageId/winner', async (req, res) => {
+  const { model } = req.body || {};
+  if (!model || typeof model !== 'string') {
+    return res.status(400).json({ error: 'Invalid model parameter' });
+  }
+
+  try {
+    const { file, data } = await loadSession(req.params.id);
+    const message = data.messages.find(m => m.id === req.params.messageId && m.role === 'assistant');
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    if (!message.comparison) {
+      return res.status(400).json({ error: 'Message is not a comparison' });
+    }
+
+    if (message.model !== model) {
+      const alternate = (message.alternates || []).find(a => a.model === model);
+      if (!alternate) {
+        return res.status(400).json({ error: 'Model was not part of this comparison' });
       }
 
-      return;
+      const previous = { model: message.model, content: message.content, timing: message.timing, tokens: message.tokens };
+      message.alternates = [...message.alternates.filter(a => a !== alternate), previous];
+      message.model = alternate.model;
+      message.content = alternate.content;
+      message.timing = alternate.timing;
+      message.tokens = alternate.tokens;
     }
 
-    // Non-streaming fallback (simplified)
-    const queryAnalysis = await thinkingEngine.analyzeQuery(userMessage, memoryContext);
-    allThoughts.push(...queryAnalysis.thoughts);
+    message.comparison = { ...message.comparison, winner: model, chosen: true, chosenAt: nowISO() };
+    await saveSession(file, data);
+    res.json({ ok: true, message });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (autoSearch && !fileContent) {
-      const searchDecision = await thinkingEngine.determineSearchNeed(userMessage, memoryContext);
-      if (searchDecision.needsSearch) {
-        usedSearch = true;
-        const queryGeneration = await smartSearch.generateSearchQueries(userMessage, 2);
-        searchQueries = queryGeneration.queries;
-        
-        const searchExecution = await smartSearch.executeSearches(searchQueries);
-        if (searchExecution.allSources.length > 0) {
-          sources = searchExecution.allSources.slice(0, 5).map((r, i) => ({ 
-            idx: i + 1, 
-            title: r.title, 
-            url: r.url 
-          }));
-          
-          const context = searchExecution.allSources
-            .slice(0, 5)
-            .map((r, i) => `[Source ${i + 1}] ${r.title}\n${r.snippet}`)
-            .join('\n\n');
+app.put('/api/sessions/:id/project', async (req, res) => {
+  try {
+    const { project } = req.body || {};
+    if (project !== null && !isValidProjectName(project)) {
+      return res.status(400).json({ error: 'Invalid project' });
+    }
 
-          const prompt = `Answer this question using the provided sources: "${userMessage}"
+    const { file, data } = await loadSession(req.params.id);
+    data.project = project === null ? null : project.trim();
+    await saveSession(file, data);
+    res.json({ ok: true, project: data.project });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/sessions/:id/collections', async (req, res) => {
+  try {
+    const { collections } = req.body || {};
+    if (!Array.isArray(collections) || collections.length > 20 || !collections.every(id => typeof id === 'string')) {
+      return res.status(400).json({ error: 'collections must be an array of up to 20 collection ids' });
+    }
+    const missing = [];
+    for (const id of collections) {
+      if (!await loadCollection(id)) missing.push(id);
+    }
+    if (missing.length) {
+      return res.status(400).json({ error: 'Unknown collections', details: missing });
+    }
+
+    const { file, data } = await loadSession(req.params.id);
+    data.collections = [...new Set(collections)];
+    await saveSession(file, data);
+    res.json({ ok: true, collections: data.collections });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/sessions/:id/name', async (req, res) => {
+  try {
+    const { name } = req.body || {};
+    if (!name || typeof name !== 'string' || name.length > 100) {
+      return res.status(400).json({ error: 'Invalid name' });
+    }
+
+    const { file, data } = await loadSession(req.params.id);
+    data.name = name.trim();
+    await saveSession(file, data);
+    res.json({ ok: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Memory endpoints
+app.get('/api/memory', async (req, res) => {
+  try {
+    const memory = await loadMemory();
+    const includeEmbeddings = req.query.includeEmbeddings === 'true';
+    res.json({
+      ...memory,
+      longTerm: memory.longTerm.map(item => presentMemoryItem(item, includeEmbeddings)),
+      stats: {
+        totalItems: memory.longTerm.length,
+        lastUpdated: memory.longTerm.length > 0 ? 
+          memory.longTerm[memory.longTerm.length - 1].addedAt : null,
+        vectorIndex: memoryVectors.stats()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/memory/clear', async (_req, res) => {
+  try {
+    await withMemoryLock(async () => {
+      await writeJSON(memoryFile, { longTerm: [], nextId: 1 });
+      memoryVectors.clear();
+    });
+    res.json({ ok: true, clearedAt: nowISO() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/memory/maintenance', async (_req, res) => {
+  try {
+    const reports = await loadMaintenanceReports();
+    res.json({
+      running: Boolean(memoryMaintenance),
+      maxItems: MAX_MEMORY_ITEMS,
+      intervalHours: MEMORY_CLEANUP_INTERVAL_HOURS,
+      nextRunAt: nextMemoryMaintenanceAt,
+      lastReport: reports[0] || null,
+      reports
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/memory/maintenance/run', async (_req, res) => {
+  const run = startMemoryMaintenance('manual');
+  if (!run) {
+    return res.status(409).json({ error: 'Memory maintenance is already running' });
+  }
+
+  try {
+    res.json(await run);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/memory/export', async (req, res) => {
+  try {
+    const memory = await loadMemory();
+    const includeEmbeddings = req.query.includeEmbeddings !== 'false';
+    const lines = memory.longTerm.map(item => JSON.stringify(presentMemoryItem(item, includeEmbeddings)));
+    res.attachment(`memory-${nowISO().slice(0, 10)}.jsonl`);
+    res.type('application/x-ndjson');
+    res.send(lines.length ? `${lines.join('\n')}\n` : '');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/memory/import', express.text({ type: ['application/x-ndjson', 'application/jsonl', 'text/plain'], limit: '100mb' }), async (req, res) => {
+  if (typeof req.body !== 'string') {
+    return res.status(400).json({ error: 'Send memory as JSONL with Content-Type application/x-ndjson' });
+  }
+
+  try {
+    const invalid = [];
+    const groups = new Map();
+    const lines = req.body.split(/\r?\n/);
+    for (const [index, line] of lines.entries()) {
+      if (!line.trim()) continue;
+      const { item, errors } = await parseMemoryImportLine(line);
+      if (!item) {
+        invalid.push({ line: index + 1, errors });
+        continue;
+      }
+      // Items are deduplicated against the memories visible from their own scope
+      const key = memoryScopeKey(item);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    }
+
+    let received = 0;
+    const imported = [];
+    for (const items of groups.values()) {
+      received += items.length;
+      const [{ project = null, sessionId = null }] = items;
+      imported.push(...await upsertLongTermMemory(items, { project, sessionId }));
+    }
+
+    res.json({
+      imported: imported.length,
+      duplicates: received - imported.length,
+      invalid,
+      ids: imported.map(item => item.id)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/memory/reembed', async (_req, res) => {
+  try {
+    const memory = await loadMemory();
+    res.json({
+      running: Boolean(memoryReembedding),
+      model: EMBED_MODEL,
+      staleItems: staleMemoryItems(memory.longTerm).length,
+      job: memoryReembedJob
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/memory/reembed', (_req, res) => {
+  const job = startMemoryReembedding('manual');
+  if (!job) {
+    return res.status(409).json({ error: 'Memory re-embedding is already running' });
+  }
+  res.status(202).json(job);
+});
+
+app.get('/api/memory/search', async (req, res) => {
+  const {
+    q,
+    limit = '20',
+    offset = '0',
+    minScore = '0.25',
+    vectorWeight = String(MEMORY_VECTOR_WEIGHT),
+    keywordWeight = String(MEMORY_KEYWORD_WEIGHT),
+    includeEmbeddings
+  } = req.query;
+  const { matches, errors } = parseMemoryFilters(req.query);
+  const pageSize = Number(limit);
+  const start = Number(offset);
+  const threshold = Number(minScore);
+  if (q !== undefined && (typeof q !== 'string' || !q.trim() || q.length > 1000)) {
+    errors.push('q must be a non-empty string of at most 1000 characters');
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 100) errors.push('limit must be an integer between 1 and 100');
+  if (!Number.isInteger(start) || start < 0) errors.push('offset must be a non-negative integer');
+  if (!Number.isFinite(threshold) || threshold < -1 || threshold > 1) errors.push('minScore must be a number between -1 and 1');
+  const weights = { vectorWeight: Number(vectorWeight), keywordWeight: Number(keywordWeight) };
+  for (const [name, weight] of Object.entries(weights)) {
+    if (!Number.isFinite(weight) || weight < 0 || weight > 10) errors.push(`${name} must be a number between 0 and 10`);
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid search', details: errors });
+  }
 
-Sources:
-${context}
+  try {
+    const memory = await loadMemory();
+    const candidates = new Map(memory.longTerm.filter(matches).map(item => [item.id, item]));
+
+    // With a query, rank by relevance; otherwise list newest first
+    let ranked;
+    if (q) {
+      const matches = await rankMemoryItems(q.trim(), memory.longTerm, candidates, start + pageSize + 1, {
+        minSim: threshold,
+        ...weights
+      });
+      const round = value => value !== null ? Number(value.toFixed(4)) : null;
+      ranked = matches.map(match => ({
+        ...candidates.get(match.id),
+        similarity: round(match.similarity),
+        keywordScore: round(match.keywordScore),
+        score: Number(match.score.toFixed(6))
+      }));
+    } else {
+      ranked = Array.from(candidates.values())
+        .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+    }
 
-${memoryContext ? `Context: ${memoryContext}` : ''}
+    res.json({
+      query: q ? q.trim() : null,
+      items: ranked.slice(start, start + pageSize).map(item => presentMemoryItem(item, includeEmbeddings === 'true')),
+      offset: start,
+      limit: pageSize,
+      hasMore: ranked.length > start + pageSize,
+      ...(q ? {} : { total: ranked.length })
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-Comprehensive answer:`;
+app.post('/api/memory', async (req, res) => {
+  const { fields, errors } = validateMemoryInput(req.body);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid memory item', details: errors });
+  }
 
-          const result = await ollamaGenerate({ model, prompt });
-          finalAnswer = result.response || '';
-        }
-      }
+  try {
+    const { scope, project, sessionId, ...itemFields } = fields;
+    const { scopeFields, error } = await resolveMemoryScope({ scope, project, sessionId });
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    if (!finalAnswer.trim()) {
-      const systemMessage = {
-        role: 'system',
-        content: `You are Evolve, a helpful AI assistant.${memoryContext ? `\n\nContext: ${memoryContext}` : ''}`
-      };
+    const embedding = await embedMemoryContent(itemFields.content);
+    const item = await withMemoryLock(async () => {
+      const memory = await loadMemory();
+      const added = addMemoryItem(memory, { ...itemFields, ...scopeFields, source: 'manual' }, embedding);
+      await saveMemory(memory);
+      return added;
+    });
+    res.json(item);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      const response = await ollamaChat({
-        model,
-        messages: [systemMessage, ...history.slice(-20), { role: 'user', content: userMessage }],
-        stream: false
-      });
-      finalAnswer = response.message?.content || '';
-    }
+app.get('/api/memory/:id', async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 1) {
+    return res.status(400).json({ error: 'Invalid memory id' });
+  }
 
-    // Clean thinking tags and save
-    const thinkingRegex = /<thinking>[\s\S]*?<\/thinking>/g;
-    let cleanAnswer = finalAnswer;
-    const thinkingMatches = finalAnswer.match(thinkingRegex);
-    if (thinkingMatches) {
-      for (const match of thinkingMatches) {
-        const thoughtContent = match.replace(/<\/?thinking>/g, '').trim();
-        allThoughts.push({ content: thoughtContent, type: 'reasoning', timestamp: nowISO() });
-      }
-      cleanAnswer = finalAnswer.replace(thinkingRegex, '').trim();
+  try {
+    const memory = await loadMemory();
+    const item = memory.longTerm.find(m => m.id === id);
+    if (!item) {
+      return res.status(404).json({ error: 'Memory item not found' });
     }
+    res.json(presentMemoryItem(item, req.query.includeEmbeddings === 'true'));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const userMsg = {
-      role: 'user',
-      content: message,
-      time: nowISO(),
-      id: `msg_${Date.now()}_user`
-    };
+app.put('/api/memory/:id', async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 1) {
+    return res.status(400).json({ error: 'Invalid memory id' });
+  }
+  const { fields, errors } = validateMemoryInput(req.body, true);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid memory item', details: errors });
+  }
 
-    const assistantMsg = {
-      role: 'assistant',
-      content: cleanAnswer,
-      time: nowISO(),
-      usedSearch,
-      thoughts: allThoughts,
-      sources,
-      searchQueries,
-      id: `msg_${Date.now()}_assistant`
-    };
+  try {
+    const { scope, project, sessionId, ...itemFields } = fields;
+    // Embedded before taking the lock, and only applied if the content changed
+    const embedding = itemFields.content !== undefined ? await embedMemoryContent(itemFields.content) : null;
+
+    const { status, body } = await withMemoryLock(async () => {
+      const memory = await loadMemory();
+      const item = memory.longTerm.find(m => m.id === id);
+      if (!item) return { status: 404, body: { error: 'Memory item not found' } };
+
+      // Promoting or demoting between scopes replaces the scope fields
+      if (scope !== undefined || project !== undefined || sessionId !== undefined) {
+        const { scopeFields, error } = await resolveMemoryScope({ scope, project, sessionId }, item);
+        if (error) return { status: 400, body: { error } };
+        delete item.project;
+        delete item.sessionId;
+        Object.assign(item, scopeFields);
+      }
 
-    data.messages = [...history, userMsg, assistantMsg];
-    await saveSession(file, data);
+      // New content needs a new vector; without one the old vector is dropped
+      // rather than left pointing at text the item no longer has
+      const contentChanged = itemFields.content !== undefined && itemFields.content !== item.content;
+      if (contentChanged) {
+        if (embedding) {
+          memoryVectors.set(id, EMBED_MODEL, embedding);
+        } else {
+          memoryVectors.delete(id);
+        }
+        item.embeddingModel = embedding ? EMBED_MODEL : null;
+        item.embeddingDim = embedding ? embedding.length : null;
+      }
 
-    res.json({
-      answer: cleanAnswer,
-      thoughts: allThoughts,
-      sources,
-      usedSearch,
-      searchQueries,
-      memoryAdded: memoryAdded.map(m => ({ content: m.content, tags: m.tags })),
-      retrievedMemory: retrievedMemory.map(m => ({ content: m.content })),
-      model,
-      processingTime: Date.now() - startTime
+      Object.assign(item, itemFields, { updatedAt: nowISO() });
+      await saveMemory(memory);
+      return { status: 200, body: item };
     });
-
+    res.status(status).json(body);
   } catch (error) {
-    const processingTime = Date.now() - startTime;
-    debugLog('Enhanced chat error:', error.message, 'after', processingTime, 'ms');
-    
-    res.status(500).json({
-      error: error.message,
-      processingTime,
-      debug: DEBUG ? { stack: error.stack } : undefined
-    });
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Health check endpoint
-app.get('/api/health', (_req, res) => {
-  res.json({
-    ok: true,
-    timestamp: nowISO(),
-    services: {
-      ollama: OLLAMA,
-      searxng: SEARXNG,
-      debug: DEBUG
-    },
-    version: '2.2.0',
-    features: {
-      aiThinking: true,
-      smartSearch: true,
-      enhancedRAG: true,
-      dynamicStreaming: true
-    }
-  });
-});
+app.delete('/api/memory/:id', async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 1) {
+    return res.status(400).json({ error: 'Invalid memory id' });
+  }
 
-// Models endpoint
-app.get('/api/models', async (_req, res) => {
   try {
-    const response = await fetch(`${OLLAMA}/api/tags`);
-    if (!response.ok) {
-      throw new Error(`Ollama not available: ${response.status}`);
+    const found = await withMemoryLock(async () => {
+      const memory = await loadMemory();
+      const index = memory.longTerm.findIndex(m => m.id === id);
+      if (index === -1) return false;
+
+      memory.longTerm.splice(index, 1);
+      await saveMemory(memory);
+      memoryVectors.delete(id);
+      return true;
+    });
+    if (!found) {
+      return res.status(404).json({ error: 'Memory item not found' });
     }
+    res.json({ ok: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const data = await response.json();
-    let models = [];
+// Knowledge base endpoints
+app.get('/api/collections', async (_req, res) => {
+  try {
+    const entries = await fs.readdir(collectionsDir);
+    const states = await Promise.all(entries.map(loadCollection));
+    res.json({
+      collections: states
+        .filter(Boolean)
+        .map(state => summarizeCollection(state.meta))
+        .sort((a, b) => a.name.localeCompare(b.name))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (data && Array.isArray(data.models)) {
-      models = data.models.map(m => typeof m === 'string' ? { name: m } : m);
-    }
+app.post('/api/collections', async (req, res) => {
+  const { name, description = '' } = req.body || {};
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    return res.status(400).json({ error: 'Invalid name' });
+  }
+  if (typeof description !== 'string' || description.length > 1000) {
+    return res.status(400).json({ error: 'Invalid description' });
+  }
 
-    res.json({ models });
+  try {
+    const id = `kb_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const meta = {
+      id,
+      name: name.trim(),
+      description: description.trim(),
+      createdAt: nowISO(),
+      updatedAt: nowISO(),
+      nextChunkId: 1,
+      documents: []
+    };
+    await fs.mkdir(path.join(collectionDir(id), 'documents'), { recursive: true });
+    const state = { meta, chunks: new Map(), vectors: new VectorStore(), keywords: new KeywordIndex() };
+    await saveCollection(state);
+    collectionCache.set(id, state);
+    res.json(summarizeCollection(meta));
   } catch (error) {
-    debugLog('Models endpoint error:', error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Session management endpoints
-app.get('/api/sessions', async (_req, res) => {
+app.get('/api/collections/:id', async (req, res) => {
   try {
-    const sessions = await listSessions();
-    res.json({ sessions, count: sessions.length });
+    const state = await loadCollection(req.params.id);
+    if (!state) return res.status(404).json({ error: 'Collection not found' });
+    res.json({ ...summarizeCollection(state.meta), documents: state.meta.documents });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/sessions/:id', async (req, res) => {
+app.delete('/api/collections/:id', async (req, res) => {
   try {
-    const { data } = await loadSession(req.params.id);
-    res.json(data);
+    const { id } = req.params;
+    const deleted = await withCollectionLock(id, async () => {
+      if (!await loadCollection(id)) return false;
+      collectionCache.delete(id);
+      await fs.rm(collectionDir(id), { recursive: true, force: true });
+      return true;
+    });
+    if (!deleted) return res.status(404).json({ error: 'Collection not found' });
+    res.json({ ok: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/sessions', async (req, res) => {
+app.get('/api/collections/:id/documents', async (req, res) => {
   try {
-    const { name, model } = req.body || {};
-    const session = await createSession(name, model);
-    res.json(session);
+    const state = await loadCollection(req.params.id);
+    if (!state) return res.status(404).json({ error: 'Collection not found' });
+    res.json({ documents: state.meta.documents });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.delete('/api/sessions/:id', async (req, res) => {
+app.post('/api/collections/:id/documents', uploadLimiter, upload.array('files', 5), async (req, res) => {
+  const files = req.files || [];
   try {
-    const file = path.join(sessionsDir, `${req.params.id}.json`);
-    await fs.unlink(file);
-    res.json({ ok: true });
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+    if (!await loadCollection(req.params.id)) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const results = await withCollectionLock(req.params.id, async () => {
+      const state = await loadCollection(req.params.id);
+      const added = [];
+      for (const file of files) {
+        try {
+          const extracted = await extractDocument({
+            buffer: await fs.readFile(file.path),
+            filename: file.originalname,
+            mimeType: file.mimetype
+          });
+          const text = extracted.text;
+          if (!text.trim()) throw new Error('File has no text');
+
+          const doc = {
+            id: `doc_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            filename: file.originalname,
+            format: extracted.format,
+            size: file.size,
+            characters: text.length,
+            sections: extracted.sections.length,
+            truncated: extracted.truncated,
+            createdAt: nowISO()
+          };
+          await fs.writeFile(path.join(collectionDir(state.meta.id), 'documents', `${doc.id}.txt`), text);
+          await indexDocument(state, doc, text);
+          state.meta.documents.push(doc);
+          added.push(doc);
+        } catch (fileError) {
+          added.push({ filename: file.originalname, error: fileError.message });
+        }
+      }
+      await saveCollection(state);
+      return added;
+    });
+
+    res.json({ documents: results });
   } catch (error) {
-    res.status(404).json({ error: 'Session not found' });
+    res.status(500).json({ error: error.message });
+  } finally {
+    await Promise.all(files.map(file => fs.unlink(file.path).catch(() => {})));
   }
 });
 
-app.put('/api/sessions/:id/name', async (req, res) => {
-  try {
-    const { name } = req.body || {};
-    if (!name || typeof name !== 'string' || name.length > 100) {
-      return res.status(400).json({ error: 'Invalid name' });
+/**
+ * Re-chunk and re-embed documents from their stored text, for example after
+ * changing EMBED_MODEL or the chunk size
+ * @param {string} collectionId - Collection id
+ * @param {string|null} documentId - One document, or null for all
+ * @returns {Promise<Array|null>} Re-indexed documents, or null if not found
+ */
+function reindexDocuments(collectionId, documentId = null) {
+  return withCollectionLock(collectionId, async () => {
+    const state = await loadCollection(collectionId);
+    if (!state) return null;
+    const docs = documentId
+      ? state.meta.documents.filter(doc => doc.id === documentId)
+      : state.meta.documents;
+    if (documentId && docs.length === 0) return null;
+
+    for (const doc of docs) {
+      const text = await fs.readFile(path.join(collectionDir(collectionId), 'documents', `${doc.id}.txt`), 'utf-8');
+      await indexDocument(state, doc, text);
     }
+    await saveCollection(state);
+    return docs;
+  });
+}
 
-    const { file, data } = await loadSession(req.params.id);
-    data.name = name.trim();
-    await saveSession(file, data);
-    res.json({ ok: true });
+app.post('/api/collections/:id/reindex', async (req, res) => {
+  try {
+    const documents = await reindexDocuments(req.params.id);
+    if (!documents) return res.status(404).json({ error: 'Collection not found' });
+    res.json({ documents });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Memory endpoints
-app.get('/api/memory', async (_req, res) => {
+app.post('/api/collections/:id/documents/:documentId/reindex', async (req, res) => {
+  if (!DOCUMENT_ID_PATTERN.test(req.params.documentId)) {
+    return res.status(400).json({ error: 'Invalid document id' });
+  }
+
   try {
-    const memory = await loadMemory();
-    res.json({
-      ...memory,
-      stats: {
-        totalItems: memory.longTerm.length,
-        lastUpdated: memory.longTerm.length > 0 ? 
-          memory.longTerm[memory.longTerm.length - 1].addedAt : null
+    const documents = await reindexDocuments(req.params.id, req.params.documentId);
+    if (!documents) return res.status(404).json({ error: 'Document not found' });
+    res.json(documents[0]);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/collections/:id/documents/:documentId', async (req, res) => {
+  const { id, documentId } = req.params;
+  if (!DOCUMENT_ID_PATTERN.test(documentId)) {
+    return res.status(400).json({ error: 'Invalid document id' });
+  }
+
+  try {
+    const deleted = await withCollectionLock(id, async () => {
+      const state = await loadCollection(id);
+      const doc = state?.meta.documents.find(d => d.id === documentId);
+      if (!doc) return false;
+
+      for (const chunk of state.chunks.values()) {
+        if (chunk.documentId !== documentId) continue;
+        state.chunks.delete(chunk.id);
+        state.vectors.delete(chunk.id);
+        state.keywords.remove(chunk.id);
       }
+      state.meta.documents = state.meta.documents.filter(d => d.id !== documentId);
+      await fs.unlink(path.join(collectionDir(id), 'documents', `${documentId}.txt`)).catch(() => {});
+      await saveCollection(state);
+      return true;
     });
+    if (!deleted) return res.status(404).json({ error: 'Document not found' });
+    res.json({ ok: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/memory/clear', async (_req, res) => {
+app.get('/api/collections/:id/search', async (req, res) => {
+  const { q, limit = String(KB_TOP_K) } = req.query;
+  const k = Number(limit);
+  if (typeof q !== 'string' || !q.trim() || q.length > 1000) {
+    return res.status(400).json({ error: 'q must be a non-empty string of at most 1000 characters' });
+  }
+  if (!Number.isInteger(k) || k < 1 || k > 50) {
+    return res.status(400).json({ error: 'limit must be an integer between 1 and 50' });
+  }
+
   try {
-    await writeJSON(memoryFile, { longTerm: [], nextId: 1 });
-    res.json({ ok: true, clearedAt: nowISO() });
+    if (!await loadCollection(req.params.id)) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    res.json({ query: q.trim(), chunks: await retrieveDocumentChunks(q.trim(), [req.params.id], k) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -1646,20 +6372,34 @@ app.post('/api/upload', uploadLimiter, upload.array('files', 5), async (req, res
     const results = [];
     for (const file of req.files) {
       try {
-        const content = await fs.readFile(file.path, 'utf-8');
-        await fs.unlink(file.path).catch(() => {});
-
-        results.push({
+        const attachment = await storeAttachment(await fs.readFile(file.path), {
+          filename: file.originalname,
+          mimeType: file.mimetype
+        });
+        const result = {
           filename: file.originalname,
           size: file.size,
-          content: content.slice(0, 100000),
+          attachmentId: attachment.id,
+          kind: attachment.kind,
+          format: attachment.format,
+          mimeType: attachment.mimeType,
           uploadedAt: nowISO()
-        });
+        };
+
+        if (attachment.kind === 'document') {
+          const text = await fs.readFile(attachmentPath(attachment.id, '.txt'), 'utf-8');
+          result.sections = attachment.sections;
+          result.content = text.slice(0, 100000);
+          result.truncated = attachment.truncated || text.length > 100000;
+        }
+        results.push(result);
       } catch (fileError) {
         results.push({
           filename: file.originalname,
           error: fileError.message
         });
+      } finally {
+        await fs.unlink(file.path).catch(() => {});
       }
     }
 
@@ -1669,30 +6409,136 @@ app.post('/api/upload', uploadLimiter, upload.array('files', 5), async (req, res
   }
 });
 
+/**
+ * Attachments of an existing session, without creating the session
+ * @param {string} id - Session id
+ * @returns {Promise<Array|null>} Attachment refs, or null if there is no such session
+ */
+async function readSessionAttachments(id) {
+  if (!/^[\w-]{1,100}$/.test(id)) return null;
+  try {
+    const data = await readJSON(path.join(sessionsDir, `${id}.json`));
+    return sessionAttachments(data.messages || []);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+app.get('/api/sessions/:id/attachments', async (req, res) => {
+  try {
+    const attachments = await readSessionAttachments(req.params.id);
+    if (!attachments) return res.status(404).json({ error: 'Session not found' });
+    res.json({ attachments });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Images are shown inline (chat thumbnails); everything else, or any file
+// with ?download=true, is sent as a download
+app.get('/api/sessions/:id/attachments/:attachmentId', async (req, res) => {
+  try {
+    const attachments = await readSessionAttachments(req.params.id);
+    if (!attachments) return res.status(404).json({ error: 'Session not found' });
+    const attachment = attachments.find(ref => ref.id === req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ error: 'Attachment not found' });
+
+    if (attachment.kind !== 'image' || req.query.download === 'true') {
+      res.attachment(attachment.filename || attachment.id);
+    }
+    res.type(attachment.mimeType || 'application/octet-stream');
+    res.sendFile(attachmentPath(attachment.id), { maxAge: '1d', immutable: true }, (error) => {
+      if (error && !res.headersSent) res.status(404).json({ error: 'Attachment file missing' });
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Search test endpoint
+// Every provider is queried, including those in their failure cooldown, so
+// each reports its own health. The answer is what the fallback order would
+// return: results from the first provider that found any.
 app.get('/api/search/test', async (req, res) => {
   const query = req.query.q || 'test search';
   
   try {
-    const results = await webSearch(query);
+    const checks = await Promise.all(searchProviders.map(async provider => {
+      const { results, latencyMs, error } = await querySearchProvider(provider, query);
+      return { provider, results, latencyMs, error };
+    }));
+    const answered = checks.find(check => check.results.length > 0);
+
     res.json({
       query,
-      searxng: SEARXNG,
-      resultCount: results.length,
-      results: results.slice(0, 3),
+      provider: answered?.provider.name || null,
+      resultCount: answered?.results.length || 0,
+      results: answered?.results.slice(0, 3) || [],
+      providers: checks.map(({ provider, results, latencyMs, error }) => ({
+        ...describeSearchProvider(provider),
+        ok: !error,
+        resultCount: results.length,
+        latencyMs,
+        error
+      })),
       timestamp: nowISO()
     });
   } catch (error) {
-    res.status(500).json({
-      error: error.message,
-      searxng: SEARXNG,
-      query
+    res.status(500).json({ error: error.message, query });
+  }
+});
+
+// Web cache endpoints
+app.get('/api/cache/stats', async (_req, res) => {
+  try {
+    res.json({
+      enabled: WEB_CACHE_ENABLED,
+      ttlMinutes: { search: WEB_CACHE_TTL.search / 60000, page: WEB_CACHE_TTL.page / 60000 },
+      ...await webCache.stats()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Purge everything, one kind, one query or URL, or only expired entries
+app.delete('/api/cache', async (req, res) => {
+  const { kind, query, url, expired } = req.query;
+  const errors = [];
+  if (kind && !['search', 'page'].includes(kind)) errors.push('kind must be "search" or "page"');
+  if (query && url) errors.push('Give either query or url, not both');
+
+  let key = null;
+  if (query) key = normalizeQuery(query);
+  if (url) {
+    try {
+      key = normalizeUrl(url);
+    } catch {
+      errors.push('url must be an absolute URL');
+    }
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid purge request', details: errors });
+  }
+
+  try {
+    const removed = await webCache.purge({
+      kind: query ? 'search' : url ? 'page' : kind || null,
+      key,
+      expired: expired === 'true'
     });
+    debugLog('Purged', removed, 'web cache entries');
+    res.json({ ok: true, removed });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Serve static files
-app.use(express.static('.'));
+// Serve static files. Only public/ and the browser test page are served,
+// never data/ with its attachments, memory and vectors
+app.use(express.static(path.join(__dirname, 'public')));
+app.use('/test', express.static(path.join(__dirname, 'test')));
 
 app.get('/', (_req, res) => {
   res.sendFile(path.join(__dirname, 'public','index.html'));
@@ -1711,12 +6557,21 @@ app.use((error, _req, res, _next) => {
   });
 });
 
+// Memory vectors changed in the last moments are written before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    await memoryVectors.flush().catch(() => {});
+    process.kill(process.pid, signal);
+  });
+}
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Enhanced Evolve UI running at http://localhost:${PORT}`);
   console.log(`Configuration:
 - Ollama:      ${OLLAMA}
-- SearXNG:     ${SEARXNG}  
+- Providers:   ${[...providers.keys()].join(', ')}
+- Search:      ${searchProviders.map(p => p.name).join(' > ') || 'none'}
 - Chat Model:  ${CHAT_MODEL}
 - Embed Model: ${EMBED_MODEL}
 - Debug:       ${DEBUG}`);
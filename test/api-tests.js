@@ -9,6 +9,7 @@ import { spawn } from 'child_process';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { FetchPolicy, blockedRange } from '../lib/fetch-policy.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -119,6 +120,16 @@ class APITester {
       this.assert(response.data.version === '2.2.0', 'Health endpoint returns correct version');
       this.assert(response.data.services, 'Health endpoint includes services info');
       this.assert(response.data.features, 'Health endpoint includes features info');
+      const scheduler = response.data.services?.searchScheduler;
+      this.assert(
+        scheduler?.concurrency > 0 && scheduler.perHost > 0 && scheduler.deadlineMs > 0,
+        'Health endpoint reports search scheduler limits'
+      );
+      const fetchPolicy = response.data.services?.fetchPolicy;
+      this.assert(
+        fetchPolicy?.maxBytes > 0 && Array.isArray(fetchPolicy.allowPrivate) && Array.isArray(fetchPolicy.denyDomains),
+        'Health endpoint reports the fetch policy'
+      );
       
       // Check features
       const features = response.data.features;
@@ -139,7 +150,7 @@ class APITester {
     console.log('\n🤖 Testing Models Endpoint...');
     
     try {
-      const response = await this.makeRequest('/api/models');
+      let response = await this.makeRequest('/api/models');
       
       this.assert(response.status === 200 || response.status === 500, 'Models endpoint responds (may fail if Ollama not available)');
       
@@ -150,6 +161,19 @@ class APITester {
         console.log('⚠️  Ollama not available - models test skipped');
       }
       
+      // Model management rejects malformed names before reaching Ollama
+      response = await this.makeRequest('/api/models/bad%20name');
+      this.assert(response.status === 400, 'Model details rejects invalid name');
+      
+      response = await this.makeRequest('/api/models/bad%20name', { method: 'DELETE' });
+      this.assert(response.status === 400, 'Model delete rejects invalid name');
+      
+      response = await this.makeRequest('/api/models/pull', {
+        method: 'POST',
+        body: {}
+      });
+      this.assert(response.status === 400, 'Model pull requires a name');
+      
     } catch (error) {
       this.assert(false, `Models endpoint test failed: ${error.message}`);
     }
@@ -213,6 +237,119 @@ class APITester {
     }
   }
 
+  /**
+   * Test per-session generation settings
+   */
+  async testSessionSettingsEndpoint() {
+    console.log('\n🎛️  Testing Session Settings Endpoint...');
+    
+    try {
+      let response = await this.makeRequest('/api/sessions', {
+        method: 'POST',
+        body: { name: 'Settings Test Session' }
+      });
+      const sessionId = response.data.id;
+      
+      // Test updating generation settings
+      response = await this.makeRequest(`/api/sessions/${sessionId}/settings`, {
+        method: 'PATCH',
+        body: {
+          temperature: 0.2,
+          top_k: 40,
+          seed: 42,
+          stop: ['###'],
+          keep_alive: '10m'
+        }
+      });
+      
+      this.assert(response.status === 200, 'Session settings update returns 200');
+      this.assert(response.data.settings?.temperature === 0.2, 'Temperature is stored');
+      this.assert(response.data.settings?.seed === 42, 'Seed is stored');
+      
+      // Test settings persist with the session
+      response = await this.makeRequest(`/api/sessions/${sessionId}`);
+      this.assert(response.data.settings?.top_k === 40, 'Settings persist with the session');
+      
+      // Test clearing a setting
+      response = await this.makeRequest(`/api/sessions/${sessionId}/settings`, {
+        method: 'PATCH',
+        body: { seed: null }
+      });
+      this.assert(response.data.settings?.seed === undefined, 'Null clears a setting');
+      
+      // Test toggling tool calling for the session
+      response = await this.makeRequest(`/api/sessions/${sessionId}/settings`, {
+        method: 'PATCH',
+        body: { useTools: false }
+      });
+      this.assert(response.data.settings?.useTools === false, 'Tool calling can be disabled per session');
+      
+      // Test validation
+      response = await this.makeRequest(`/api/sessions/${sessionId}/settings`, {
+        method: 'PATCH',
+        body: { temperature: 5, top_k: 1.5, unknown: true }
+      });
+      this.assert(response.status === 400, 'Out-of-range settings are rejected');
+      this.assert(response.data.details?.length === 3, 'Each invalid setting is reported');
+      
+      // Test request-level overrides are validated
+      response = await this.makeRequest('/api/chat', {
+        method: 'POST',
+        body: {
+          message: 'Hello',
+          sessionId,
+          stream: false,
+          options: { top_p: 2 }
+        }
+      });
+      this.assert(response.status === 400, 'Invalid chat options are rejected');
+      
+      await this.makeRequest(`/api/sessions/${sessionId}`, { method: 'DELETE' });
+      
+    } catch (error) {
+      this.assert(false, `Session settings test failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Test rolling session summary endpoints
+   */
+  async testSessionSummaryEndpoint() {
+    console.log('\n📝 Testing Session Summary Endpoint...');
+    
+    try {
+      let response = await this.makeRequest('/api/sessions', {
+        method: 'POST',
+        body: { name: 'Summary Test Session' }
+      });
+      const sessionId = response.data.id;
+      
+      response = await this.makeRequest(`/api/sessions/${sessionId}/summary`);
+      this.assert(response.status === 200, 'Session summary endpoint returns 200');
+      this.assert(response.data.summary === null, 'New session has no summary');
+      this.assert(response.data.totalMessages === 0, 'Summary reports message count');
+      
+      // Nothing is old enough to summarize, so no model call is needed
+      response = await this.makeRequest(`/api/sessions/${sessionId}/summary/regenerate`, {
+        method: 'POST',
+        body: {}
+      });
+      this.assert(response.status === 200, 'Summary regeneration returns 200');
+      this.assert(response.data.summary === null, 'Short session regenerates to no summary');
+      
+      response = await this.makeRequest(`/api/sessions/${sessionId}/summary/regenerate`, {
+        method: 'POST',
+        body: { model: 42 }
+      });
+      this.assert(response.status === 400, 'Summary regeneration validates model');
+      
+      await this.makeRequest(`/api/sessions/${sessionId}`, { method: 'DELETE' });
+      
+    } catch (error) {
+      this.assert(false, `Session summary test failed: ${error.message}`);
+    }
+  }
+
   /**
    * Test memory endpoint
    */
@@ -242,6 +379,363 @@ class APITester {
     }
   }
 
+  /**
+   * Test memory item CRUD and search endpoints
+   */
+  async testMemoryItemEndpoints() {
+    console.log('\n🗂️  Testing Memory Item Endpoints...');
+    
+    try {
+      let response = await this.makeRequest('/api/memory', {
+        method: 'POST',
+        body: { content: '' }
+      });
+      this.assert(response.status === 400, 'Creating memory without content returns 400');
+      
+      // Created without an embedding when the embedding model is unavailable
+      response = await this.makeRequest('/api/memory', {
+        method: 'POST',
+        body: { content: 'API test memory item', tags: ['api-test'], type: 'test' }
+      });
+      this.assert(response.status === 200, 'Creating memory item returns 200');
+      const id = response.data.id;
+      
+      response = await this.makeRequest(`/api/memory/${id}`);
+      this.assert(response.status === 200 && response.data.content === 'API test memory item', 'Memory item can be retrieved');
+      this.assert(response.data.embedding === undefined, 'Memory item omits embedding by default');
+      
+      response = await this.makeRequest(`/api/memory/${id}`, {
+        method: 'PUT',
+        body: { tags: ['api-test', 'edited'] }
+      });
+      this.assert(response.status === 200 && response.data.tags.includes('edited'), 'Memory item can be updated');
+      
+      response = await this.makeRequest('/api/memory/search?tags=api-test,edited&type=test');
+      this.assert(
+        response.status === 200 && response.data.items.some(item => item.id === id),
+        'Memory search filters by tags and type'
+      );
+      
+      // Keyword matching works even without the embedding model
+      response = await this.makeRequest('/api/memory/search?q=api%20test%20memory%20item');
+      this.assert(
+        response.status === 200 && response.data.items.some(item => item.id === id && item.keywordScore > 0),
+        'Memory search matches keywords'
+      );
+      
+      response = await this.makeRequest('/api/memory/search?limit=500');
+      this.assert(response.status === 400, 'Memory search validates limit');
+      
+      response = await this.makeRequest(`/api/memory/${id}`, { method: 'DELETE' });
+      this.assert(response.status === 200, 'Memory item can be deleted');
+      
+      response = await this.makeRequest(`/api/memory/${id}`);
+      this.assert(response.status === 404, 'Deleted memory item returns 404');
+      
+      response = await this.makeRequest('/api/memory/not-a-number');
+      this.assert(response.status === 400, 'Invalid memory id returns 400');
+      
+      response = await this.makeRequest('/api/memory/maintenance');
+      this.assert(response.status === 200 && Array.isArray(response.data.reports), 'Memory maintenance status returns reports');
+      
+      response = await this.makeRequest('/api/memory/maintenance/run', { method: 'POST' });
+      this.assert(
+        response.status === 200 && Array.isArray(response.data.evicted) && response.data.finishedAt,
+        'Memory maintenance run returns a report'
+      );
+      
+    } catch (error) {
+      this.assert(false, `Memory item test failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Test memory scopes
+   */
+  async testMemoryScopes() {
+    console.log('\n🎯 Testing Memory Scopes...');
+    
+    try {
+      let response = await this.makeRequest('/api/sessions', {
+        method: 'POST',
+        body: { name: 'Scope Test Session', project: 'api-test-project' }
+      });
+      this.assert(response.status === 200 && response.data.project === 'api-test-project', 'Session can be created in a project');
+      const sessionId = response.data.id;
+      
+      response = await this.makeRequest(`/api/sessions/${sessionId}/project`, {
+        method: 'PUT',
+        body: { project: '' }
+      });
+      this.assert(response.status === 400, 'Invalid session project returns 400');
+      
+      response = await this.makeRequest('/api/memory', {
+        method: 'POST',
+        body: { content: 'API test scoped memory', scope: 'session', sessionId }
+      });
+      this.assert(
+        response.status === 200 && response.data.scope === 'session' && response.data.sessionId === sessionId,
+        'Session-scoped memory can be created'
+      );
+      const id = response.data.id;
+      
+      // Promoting without a project uses the session's project
+      response = await this.makeRequest(`/api/memory/${id}`, {
+        method: 'PUT',
+        body: { scope: 'project' }
+      });
+      this.assert(
+        response.status === 200 && response.data.project === 'api-test-project' && response.data.sessionId === undefined,
+        'Session memory can be promoted to its project'
+      );
+      
+      response = await this.makeRequest('/api/memory/search?scope=project&project=api-test-project');
+      this.assert(
+        response.status === 200 && response.data.items.some(item => item.id === id),
+        'Memory search filters by scope and project'
+      );
+      
+      response = await this.makeRequest('/api/memory', {
+        method: 'POST',
+        body: { content: 'API test memory', scope: 'team' }
+      });
+      this.assert(response.status === 400, 'Invalid memory scope returns 400');
+      
+      response = await this.makeRequest('/api/memory', {
+        method: 'POST',
+        body: { content: 'API test session memory', scope: 'session', sessionId }
+      });
+      const sessionMemoryId = response.data.id;
+      
+      await this.makeRequest(`/api/memory/${id}`, { method: 'DELETE' });
+      await this.makeRequest(`/api/sessions/${sessionId}`, { method: 'DELETE' });
+      
+      response = await this.makeRequest(`/api/memory/${sessionMemoryId}`);
+      this.assert(response.status === 404, 'Deleting a session deletes its session memories');
+      
+    } catch (error) {
+      this.assert(false, `Memory scope test failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Test memory export, import and re-embedding status
+   */
+  async testMemoryImportExport() {
+    console.log('\n📦 Testing Memory Import/Export...');
+    
+    try {
+      let response = await this.makeRequest('/api/memory', {
+        method: 'POST',
+        body: { content: 'API test exported memory', tags: ['api-test'] }
+      });
+      const id = response.data.id;
+      
+      const exported = await fetch(`${BASE_URL}/api/memory/export?includeEmbeddings=false`);
+      const text = await exported.text();
+      const line = text.split('\n').find(entry => entry.includes('API test exported memory'));
+      this.assert(
+        exported.headers.get('content-type').startsWith('application/x-ndjson') && line && !line.includes('"embedding"'),
+        'Memory export returns JSONL without embeddings'
+      );
+      
+      await this.makeRequest(`/api/memory/${id}`, { method: 'DELETE' });
+      
+      const body = `${line}\n{"content":"API test imported memory","scope":"global"}\nnot json\n`;
+      response = await this.makeRequest('/api/memory/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-ndjson' },
+        body
+      });
+      this.assert(
+        response.status === 200 && response.data.imported === 2 && response.data.invalid[0]?.line === 3,
+        'Memory import adds items and reports invalid lines'
+      );
+      const importedIds = response.data.ids || [];
+      
+      response = await this.makeRequest('/api/memory/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-ndjson' },
+        body
+      });
+      this.assert(response.status === 200 && response.data.duplicates === 2, 'Memory import skips duplicates');
+      
+      response = await this.makeRequest('/api/memory/reembed');
+      this.assert(response.status === 200 && typeof response.data.staleItems === 'number', 'Re-embedding status is reported');
+      
+      for (const importedId of importedIds) {
+        await this.makeRequest(`/api/memory/${importedId}`, { method: 'DELETE' });
+      }
+      
+    } catch (error) {
+      this.assert(false, `Memory import/export test failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Test knowledge base collections
+   */
+  async testCollectionEndpoints() {
+    console.log('\n📚 Testing Knowledge Base Collections...');
+    
+    try {
+      let response = await this.makeRequest('/api/collections', {
+        method: 'POST',
+        body: { name: '' }
+      });
+      this.assert(response.status === 400, 'Creating collection without name returns 400');
+      
+      response = await this.makeRequest('/api/collections', {
+        method: 'POST',
+        body: { name: 'API Test Collection' }
+      });
+      this.assert(response.status === 200 && response.data.id, 'Collection can be created');
+      const collectionId = response.data.id;
+      
+      const text = 'Deployment notes.\n\nThe staging cluster answers on port 8443.\n\nRollback uses the RB-2024 runbook.';
+      const formData = new FormData();
+      formData.append('files', new Blob([text], { type: 'text/plain' }), 'notes.txt');
+      // makeRequest would serialize the form as JSON
+      const upload = await fetch(`${BASE_URL}/api/collections/${collectionId}/documents`, {
+        method: 'POST',
+        body: formData
+      });
+      const [doc] = (await upload.json()).documents || [];
+      this.assert(upload.status === 200 && doc?.chunkCount > 0, 'Document is chunked and stored');
+      
+      // Keyword matching works even without the embedding model
+      response = await this.makeRequest(`/api/collections/${collectionId}/search?q=RB-2024%20runbook`);
+      this.assert(
+        response.status === 200 && response.data.chunks[0]?.label === 'notes.txt:1',
+        'Collection search returns labelled chunks'
+      );
+      
+      response = await this.makeRequest(`/api/collections/${collectionId}/documents/${doc.id}/reindex`, { method: 'POST' });
+      this.assert(response.status === 200 && response.data.id === doc.id, 'Document can be re-indexed');
+      
+      response = await this.makeRequest('/api/sessions', { method: 'POST', body: { name: 'Collection Test Session' } });
+      const sessionId = response.data.id;
+      response = await this.makeRequest(`/api/sessions/${sessionId}/collections`, {
+        method: 'PUT',
+        body: { collections: [collectionId, 'kb_missing'] }
+      });
+      this.assert(response.status === 400, 'Attaching an unknown collection returns 400');
+      
+      response = await this.makeRequest(`/api/sessions/${sessionId}/collections`, {
+        method: 'PUT',
+        body: { collections: [collectionId] }
+      });
+      this.assert(response.status === 200 && response.data.collections[0] === collectionId, 'Collection can be attached to a session');
+      await this.makeRequest(`/api/sessions/${sessionId}`, { method: 'DELETE' });
+      
+      response = await this.makeRequest(`/api/collections/${collectionId}/documents/${doc.id}`, { method: 'DELETE' });
+      this.assert(response.status === 200, 'Document can be deleted');
+      
+      response = await this.makeRequest(`/api/collections/${collectionId}`, { method: 'DELETE' });
+      this.assert(response.status === 200, 'Collection can be deleted');
+      
+      response = await this.makeRequest(`/api/collections/${collectionId}`);
+      this.assert(response.status === 404, 'Deleted collection returns 404');
+      
+    } catch (error) {
+      this.assert(false, `Collection test failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Test text extraction from uploaded files
+   */
+  async testUploadExtraction() {
+    console.log('\n📎 Testing Upload Extraction...');
+    
+    try {
+      const formData = new FormData();
+      formData.append('files', new Blob(['<html><body><h1>Report</h1><script>alert(1)</script><p>Revenue grew.</p></body></html>'], { type: 'text/html' }), 'report.html');
+      formData.append('files', new Blob([new Uint8Array([0x1f, 0x8b, 0x08, 0, 0, 0, 0, 0, 0, 0x03])], { type: 'application/gzip' }), 'archive.gz');
+      formData.append('files', new Blob(['not really a pdf'], { type: 'application/pdf' }), 'fake.pdf');
+      const response = await fetch(`${BASE_URL}/api/upload`, { method: 'POST', body: formData });
+      const [html, archive, fake] = (await response.json()).files || [];
+      
+      this.assert(
+        response.status === 200 && html?.format === 'html' && html.content === 'Report\n\nRevenue grew.',
+        'HTML upload is converted to clean text'
+      );
+      this.assert(archive?.error && !archive.content, 'Binary upload is rejected with a per-file error');
+      this.assert(fake?.error && !fake.content, 'File whose contents contradict its type is rejected');
+      
+    } catch (error) {
+      this.assert(false, `Upload extraction test failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Test attachments: content-addressed uploads, vision checks and session listing
+   */
+  async testAttachments() {
+    console.log('\n📎 Testing Attachments...');
+    
+    try {
+      const png = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4z8AAAAMBAQDJ/pLvAAAAAElFTkSuQmCC', 'base64');
+      const uploadFiles = async () => {
+        const formData = new FormData();
+        formData.append('files', new Blob([png], { type: 'image/png' }), 'pixel.png');
+        formData.append('files', new Blob(['Release train leaves on Thursdays.'], { type: 'text/plain' }), 'release.txt');
+        const response = await fetch(`${BASE_URL}/api/upload`, { method: 'POST', body: formData });
+        return { status: response.status, files: (await response.json()).files || [] };
+      };
+      
+      const first = await uploadFiles();
+      const [image, doc] = first.files;
+      this.assert(
+        first.status === 200 && image?.kind === 'image' && /^[a-f0-9]{64}$/.test(image.attachmentId) && doc?.kind === 'document',
+        'Uploads return attachment ids'
+      );
+      
+      const second = await uploadFiles();
+      this.assert(second.files[1]?.attachmentId === doc.attachmentId, 'Identical uploads share an attachment id');
+      
+      let response = await this.makeRequest('/api/chat', {
+        method: 'POST',
+        body: { sessionId: 'test-session', message: 'What is this?', attachments: ['../server.js'], stream: false }
+      });
+      this.assert(response.status === 400, 'Invalid attachment id returns 400');
+      
+      response = await this.makeRequest('/api/chat', {
+        method: 'POST',
+        body: { sessionId: 'test-session', message: 'What is this?', attachments: ['0'.repeat(64)], stream: false }
+      });
+      this.assert(response.status === 400, 'Unknown attachment returns 400');
+      
+      // The test model is not a vision model (or Ollama is not running)
+      response = await this.makeRequest('/api/chat', {
+        method: 'POST',
+        body: { sessionId: 'test-session', message: 'What is this?', attachments: [image.attachmentId], model: 'test-model', stream: false }
+      });
+      this.assert(response.status === 400 && /vision model/.test(response.data.error), 'Images are refused for models without vision');
+      
+      response = await this.makeRequest('/api/sessions', { method: 'POST', body: { name: 'Attachment Test Session' } });
+      const sessionId = response.data.id;
+      response = await this.makeRequest(`/api/sessions/${sessionId}/attachments`);
+      this.assert(response.status === 200 && Array.isArray(response.data.attachments), 'Session attachments can be listed');
+      
+      response = await this.makeRequest(`/api/sessions/${sessionId}/attachments/${doc.attachmentId}`);
+      this.assert(response.status === 404, 'Attachments of other sessions are not served');
+      
+      for (const file of [`/data/attachments/${doc.attachmentId}.txt`, '/data/memory.json', '/server.js']) {
+        const text = await (await fetch(`${BASE_URL}${file}`)).text();
+        this.assert(!text.includes('Release train') && !text.includes('"nextId"') && !text.includes('app.listen('),
+          `${file} is not served as a static file`);
+      }
+      await this.makeRequest(`/api/sessions/${sessionId}`, { method: 'DELETE' });
+      
+      response = await this.makeRequest('/api/sessions/no_such_session/attachments');
+      this.assert(response.status === 404, 'Attachments of a missing session return 404');
+      
+    } catch (error) {
+      this.assert(false, `Attachment test failed: ${error.message}`);
+    }
+  }
+
   /**
    * Test search endpoint
    */
@@ -258,7 +752,21 @@ class APITester {
       );
       
       if (response.status === 200) {
-        console.log('✅ Search functionality is working');
+        const { providers } = response.data;
+        this.assert(Array.isArray(providers) && providers.length > 0, 'Search test reports each provider');
+        this.assert(
+          providers.every(p => p.name && p.type && typeof p.ok === 'boolean' && p.health?.status),
+          'Each provider reports its health'
+        );
+        this.assert(
+          response.data.results.every(r => r.provider === response.data.provider),
+          'Results record the provider that returned them'
+        );
+        if (response.data.resultCount > 0) {
+          console.log(`✅ Search functionality is working (${response.data.provider})`);
+        } else {
+          console.log('⚠️  No search provider returned results - check SearXNG');
+        }
       } else {
         console.log('⚠️  SearXNG not available - search test shows expected error');
       }
@@ -268,6 +776,90 @@ class APITester {
     }
   }
 
+  /**
+   * Test web cache stats and purge endpoints
+   */
+  async testWebCache() {
+    console.log('\n🗄️  Testing Web Cache...');
+    
+    try {
+      let response = await this.makeRequest('/api/cache/stats');
+      this.assert(response.status === 200, 'Cache stats endpoint returns 200');
+      this.assert(typeof response.data.enabled === 'boolean', 'Cache stats report whether caching is on');
+      this.assert(response.data.ttlMinutes?.search > 0 && response.data.ttlMinutes?.page > 0, 'Cache stats include TTLs');
+      this.assert(Number.isInteger(response.data.entries) && typeof response.data.kinds === 'object', 'Cache stats include entry counts');
+
+      response = await this.makeRequest('/api/cache?kind=images', { method: 'DELETE' });
+      this.assert(response.status === 400, 'Purging an unknown kind returns 400');
+
+      response = await this.makeRequest('/api/cache?url=not-a-url', { method: 'DELETE' });
+      this.assert(response.status === 400, 'Purging an invalid URL returns 400');
+
+      response = await this.makeRequest('/api/cache?query=hello', { method: 'DELETE' });
+      this.assert(response.status === 200 && Number.isInteger(response.data.removed), 'Purging a query reports removed entries');
+
+      response = await this.makeRequest('/api/cache/stats');
+      this.assert(!response.data.kinds.search?.entries, 'Purged query is no longer cached');
+      
+    } catch (error) {
+      this.assert(false, `Web cache test failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Test the fetch policy's private address rules
+   */
+  async testFetchPolicy() {
+    console.log('\n🛡️  Testing Fetch Policy...');
+
+    try {
+      this.assert(blockedRange('127.0.0.1') === 'loopback', 'Loopback IPv4 is blocked');
+      this.assert(blockedRange('::1') === 'loopback', 'Loopback IPv6 is blocked');
+      this.assert(blockedRange('::ffff:127.0.0.1') === 'loopback', 'Dotted IPv4-mapped loopback is blocked');
+      this.assert(blockedRange('::ffff:7f00:1') === 'loopback', 'Hex IPv4-mapped loopback is blocked');
+      this.assert(blockedRange('::ffff:8.8.8.8') !== null, 'IPv4-mapped public addresses are blocked');
+      this.assert(blockedRange('64:ff9b::a00:1') === 'private', 'NAT64 addresses of private IPv4 are blocked');
+      this.assert(blockedRange('2002:c0a8:101::1') === 'private', '6to4 addresses of private IPv4 are blocked');
+      this.assert(blockedRange('64:ff9b::808:808') === null && blockedRange('2002:808:808::1') === null,
+        'NAT64 and 6to4 addresses of public IPv4 are allowed');
+      this.assert(blockedRange('8.8.8.8') === null && blockedRange('2001:4860:4860::8888') === null,
+        'Public addresses are allowed');
+
+      const policy = new FetchPolicy({ respectRobots: false });
+      const refusal = async (url) => {
+        try {
+          await policy.check(new URL(url));
+          return null;
+        } catch (error) {
+          return error.code === 'FETCH_BLOCKED' ? error.rule : error.message;
+        }
+      };
+      for (const url of [
+        'http://[::ffff:127.0.0.1]:8787/',
+        'http://[::1]/',
+        'http://[64:ff9b::7f00:1]/',
+        'http://2130706433/',
+        'http://0177.0.0.1/',
+        'http://0x7f.1/'
+      ]) {
+        this.assert(await refusal(url) === 'private-address', `${url} is refused as a private address`);
+      }
+      this.assert(await refusal('http://8.8.8.8/') === null, 'Public literal addresses pass the check');
+
+      const allowing = new FetchPolicy({ respectRobots: false, allowPrivate: ['127.0.0.1'] });
+      let allowed = true;
+      try {
+        await allowing.check(new URL('http://[::ffff:127.0.0.1]/'));
+      } catch (error) {
+        allowed = false;
+      }
+      this.assert(allowed, 'Allow-listed IPv4 addresses are allowed in mapped form');
+
+    } catch (error) {
+      this.assert(false, `Fetch policy test failed: ${error.message}`);
+    }
+  }
+
   /**
    * Test chat endpoint (basic validation)
    */
@@ -290,6 +882,49 @@ class APITester {
       
       const sessionId = response.data.id;
       
+      // Test cancelling an unknown generation
+      response = await this.makeRequest('/api/chat/req_unknown/cancel', { method: 'POST' });
+      this.assert(response.status === 404, 'Cancelling an unknown generation returns 404');
+      
+      response = await this.makeRequest('/api/chat', {
+        method: 'POST',
+        body: {
+          message: 'Hello',
+          sessionId: sessionId,
+          requestId: 'not a valid id!',
+          stream: false
+        }
+      });
+      this.assert(response.status === 400, 'Invalid requestId is rejected');
+      
+      response = await this.makeRequest('/api/chat', {
+        method: 'POST',
+        body: {
+          message: 'Hello',
+          sessionId: sessionId,
+          useTools: 'yes',
+          stream: false
+        }
+      });
+      this.assert(response.status === 400, 'Non-boolean useTools is rejected');
+      
+      response = await this.makeRequest('/api/chat', {
+        method: 'POST',
+        body: {
+          message: 'Hello',
+          sessionId: sessionId,
+          models: ['only-one-model'],
+          stream: false
+        }
+      });
+      this.assert(response.status === 400, 'Compare mode needs at least two models');
+      
+      response = await this.makeRequest(`/api/sessions/${sessionId}/messages/msg_missing/winner`, {
+        method: 'PUT',
+        body: { model: 'llama3.2:3b' }
+      });
+      this.assert(response.status === 404, 'Picking a winner for an unknown message returns 404');
+      
       // Test chat endpoint
       response = await this.makeRequest('/api/chat', {
         method: 'POST',
@@ -382,8 +1017,18 @@ class APITester {
       await this.testHealthEndpoint();
       await this.testModelsEndpoint();
       await this.testSessionsEndpoint();
+      await this.testSessionSettingsEndpoint();
+      await this.testSessionSummaryEndpoint();
       await this.testMemoryEndpoint();
+      await this.testMemoryItemEndpoints();
+      await this.testMemoryScopes();
+      await this.testMemoryImportExport();
+      await this.testCollectionEndpoints();
+      await this.testUploadExtraction();
+      await this.testAttachments();
       await this.testSearchEndpoint();
+      await this.testWebCache();
+      await this.testFetchPolicy();
       await this.testChatEndpoint();
       await this.testUploadEndpoint();
       
@@ -9,6 +9,7 @@ import { spawn } from 'child_process';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { VectorIndex } from '../lib/vector-index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -365,6 +366,69 @@ class PerformanceTester {
     }
   }
 
+  /**
+   * Test memory vector index retrieval at scale
+   */
+  async testVectorIndexLatency() {
+    console.log('\n🧭 Testing Memory Vector Index Latency...');
+    
+    try {
+      const dim = 768;
+      const clusters = 200;
+      const queries = 20;
+      // Embeddings of real text are clustered by topic, so the synthetic
+      // vectors are noisy copies of random cluster centers
+      const gaussian = () => Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+      const centers = Array.from({ length: clusters }, () => Float32Array.from({ length: dim }, gaussian));
+      const nearCenter = (center) => Float32Array.from(center, value => value + gaussian() * 0.8);
+      
+      for (const size of [10000, 100000]) {
+        console.log(`\n📊 Indexing ${size} vectors (${dim} dimensions)...`);
+        
+        const index = new VectorIndex(dim);
+        for (let id = 0; id < size; id++) {
+          index.add(id, nearCenter(centers[id % clusters]));
+        }
+        
+        const buildStart = Date.now();
+        await index.train();
+        console.log(`   📈 IVF index built in ${Date.now() - buildStart}ms (${index.nlist} lists)`);
+        
+        const searchTimes = [];
+        let found = 0;
+        for (let q = 0; q < queries; q++) {
+          const query = nearCenter(centers[(q * 7) % clusters]);
+          const start = performance.now();
+          const approximate = index.search(query, 10);
+          searchTimes.push(Math.round(performance.now() - start));
+          
+          const exact = new Set(index.search(query, 10, { exact: true }).map(match => match.id));
+          found += approximate.filter(match => exact.has(match.id)).length;
+        }
+        
+        const stats = this.calculateStats(searchTimes);
+        const recall = Math.round((found / (queries * 10)) * 100);
+        
+        this.assert(
+          stats.avg < 100,
+          `Vector search over ${size} items average: ${stats.avg}ms (< 100ms)`,
+          { name: `vector_search_${size}_avg_time`, value: stats.avg }
+        );
+        
+        this.assert(
+          recall >= 90,
+          `Vector search over ${size} items recall@10: ${recall}% (≥ 90%)`,
+          { name: `vector_search_${size}_recall_rate`, value: recall }
+        );
+        
+        console.log(`   📈 Search stats: avg=${stats.avg}ms, min=${stats.min}ms, max=${stats.max}ms, recall=${recall}%`);
+      }
+      
+    } catch (error) {
+      this.assert(false, `Vector index latency test failed: ${error.message}`);
+    }
+  }
+
   /**
    * Test large payload handling
    */
@@ -508,6 +572,7 @@ class PerformanceTester {
       await this.testConcurrentRequests();
       await this.testSessionPerformance();
       await this.testMemoryUsage();
+      await this.testVectorIndexLatency();
       await this.testLargePayloads();
       await this.testRateLimiting();
       await this.testResourceUsage();